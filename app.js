@@ -0,0 +1,2973 @@
+// app.js — Express app factory. server.js wires the real Stripe client and store; tests inject fakes.
+const crypto = require("crypto");
+const express = require("express");
+const cors = require("cors");
+const { logger: log, runWithContext, addContext } = require("./lib/logger");
+const { createMetrics } = require("./lib/metrics");
+const { redactConfig } = require("./lib/config");
+const { createWebhookLog } = require("./lib/webhookLog");
+const { createAuth } = require("./lib/auth");
+const { quote, validatePricing, validateDeposit, depositFor, PricingError } = require("./lib/pricing");
+const { getLocationConfig, setLocationSection, locationCurrency } = require("./lib/locations");
+const { checkAmount, validateLocale } = require("./lib/currency");
+const { validateFees, defaultSchedule, feeFor, getMonthlyVolume, addVolume } = require("./lib/fees");
+const { recordAudit, listAudit } = require("./lib/audit");
+const { validatePolicy, cancellationFee, noShowFee } = require("./lib/policies");
+const { arrivalInstant, localDate } = require("./lib/time");
+const { createAccountStatus, canAcceptCharges, unavailableReason } = require("./lib/accountStatus");
+const {
+  getLedger, recordCharge, updateChargeStatus, recordRefund, listHeldCharges, recordTransfer, recordAdjustment, updateAdjustmentStatus, stayPayments, refundableCharges, summarize
+} = require("./lib/ledger");
+const { createMailer } = require("./lib/mailer");
+const { createNotifier, listNotifications } = require("./lib/notifications");
+const {
+  validatePreauth, getHold, saveHold, listHolds, authorizationExpiry, createHoldScheduler, HOUR_MS
+} = require("./lib/holds");
+const { createMagicLink, redeemMagicLink, summarizeCard } = require("./lib/customers");
+const { createRateLimiter, createMemoryRateStore } = require("./lib/rateLimit");
+const { createCaptcha } = require("./lib/captcha");
+const { createInvoicer, renderInvoiceHtml, renderInvoicePdf } = require("./lib/invoices");
+const { buildReconciliation, reportRange, reconciliationCsv, payoutsCsv, ReportError } = require("./lib/reports");
+const {
+  disputeStatusFor, saveDispute, getDispute, listDisputes, recordConfirmation, getConfirmation, draftEvidence, RESPONDABLE_STATUSES
+} = require("./lib/disputes");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * config: output of lib/config.js loadConfig()
+ * stripe: a Stripe client (real, or pointed at a stand-in server)
+ * store:  a reservation store (lib/store)
+ * mailer: optional lib/mailer.js instance (default: built from MAIL_TRANSPORT)
+ * metrics: optional lib/metrics.js instance, shared with the store's GAS hook (default: a fresh one)
+ * rateLimitStore: optional counter store for lib/rateLimit.js (default: in memory)
+ * Returns the Express app; app.locals.webhookLog and app.locals.holdScheduler expose the background
+ * workers for the caller to start, app.locals.mailer the mailer in use (boater emails go through it too).
+ */
+function createApp({ config, stripe, store, mailer, metrics: sharedMetrics, rateLimitStore }){
+  const {
+    STRIPE_MODE,
+    STRIPE_WEBHOOK_SECRET,
+    STRIPE_CONNECT_WEBHOOK_SECRET,
+    WEBHOOK_MAX_ATTEMPTS,
+    AUTH_TOKEN_SECRET,
+    ADMIN_API_KEY,
+    CONNECT_RETURN_URL,
+    CONNECT_REFRESH_URL,
+    CONNECT_BUSINESS_TYPE,
+    CONNECT_ACCOUNT_COUNTRY,
+    CONNECT_UNAVAILABLE_MODE,
+    CONNECT_STATUS_MAX_AGE_MS,
+    APPLICATION_FEE_BPS,
+    APPLICATION_FEE_CENTS_FIXED,
+    APPLICATION_FEE_CURRENCY,
+    ALLOW_ORIGINS,
+    CONFIRM_URL,
+    PROFILE_URL_BASE,
+    MAIL_TRANSPORT,
+    MAIL_FROM,
+    SMTP_URL,
+    MAIL_API_KEY,
+    MAIL_API_URL,
+    MAIL_FILE,
+    NOTIFICATION_EVENTS,
+    RESERVATIONS_GAS_URL,
+    GAS_TOKEN,
+    CUSTOMER_CARDS_URL,
+    MAGIC_LINK_TTL_SECONDS,
+    CUSTOMER_SESSION_TTL_SECONDS,
+    LOG_LEVEL,
+    METRICS_TOKEN,
+    READINESS_TIMEOUT_MS,
+    RATE_LIMIT_WINDOW_MS,
+    RATE_LIMIT_PER_IP,
+    RATE_LIMIT_PER_EMAIL,
+    RATE_LIMIT_LOOKUPS_PER_IP,
+    RATE_LIMIT_LOOKUP_FAILURES_PER_IP,
+    TRUST_PROXY,
+    CAPTCHA_SECRET,
+    CAPTCHA_VERIFY_URL,
+    INVOICE_NUMBER_PREFIX,
+    PUBLIC_API_URL
+  } = config;
+
+  log.setLevel(LOG_LEVEL);
+  const metrics = sharedMetrics || createMetrics();
+
+  // Every Stripe call: latency metrics, plus a log line with its request id and idempotency key
+  stripe.on?.("response", (e) => {
+    metrics.observeStripeResponse(e);
+    log.info("stripe request", {
+      stripe_method: e.method,
+      stripe_path: e.path,
+      stripe_status: e.status,
+      stripe_request_id: e.request_id,
+      idempotency_key: e.idempotency_key,
+      stripe_account: e.account,
+      duration_ms: e.elapsed
+    });
+  });
+
+  // Every verified webhook event is logged; failures retry on a backoff (see /admin/webhook-events)
+  const webhookLog = createWebhookLog({
+    store,
+    handler: handleStripeEventTracked,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS
+  });
+
+  const accountStatus = createAccountStatus({ store, stripe, maxAgeMs: CONNECT_STATUS_MAX_AGE_MS });
+
+  // Pre-authorization holds: capture at check-in, release on decline, renew before they lapse
+  const holdScheduler = createHoldScheduler({
+    store,
+    actions: {
+      capture: (hold) => captureHold(hold),
+      release: (hold) => releaseHold(hold, hold.release_reason || "declined"),
+      expire: (hold) => expireHold(hold),
+      reauthorize: (hold) => reauthorizeHold(hold),
+      flag: (hold) => flagHold(hold, "expiring")
+    }
+  });
+
+  const auth = createAuth({ secret: AUTH_TOKEN_SECRET, adminApiKey: ADMIN_API_KEY });
+
+  const mail = mailer || createMailer({
+    transport: MAIL_TRANSPORT,
+    gasUrl: RESERVATIONS_GAS_URL,
+    gasToken: GAS_TOKEN,
+    smtpUrl: SMTP_URL,
+    apiUrl: MAIL_API_URL,
+    apiKey: MAIL_API_KEY,
+    file: MAIL_FILE,
+    from: MAIL_FROM
+  });
+
+  // Payment lifecycle emails to the boater, sent wherever the reservation's status changes
+  const notifier = createNotifier({
+    store,
+    mailer: mail,
+    events: NOTIFICATION_EVENTS,
+    cardsUrl: CUSTOMER_CARDS_URL,
+    retrievePaymentMethod: (id) => stripe.paymentMethods.retrieve(id)
+  });
+
+  // Numbered receipts, issued when a charge succeeds and revised when it's refunded
+  const invoicer = createInvoicer({
+    store,
+    retrieveAccount: (id) => stripe.accounts.retrieve(id),
+    prefix: INVOICE_NUMBER_PREFIX,
+    baseUrl: PUBLIC_API_URL
+  });
+
+  // A receipt never holds up a payment or refund; the next sync for the charge tries again
+  function syncInvoice(reservationId, paymentIntentId){
+    return invoicer.sync(reservationId, paymentIntentId).catch(e => {
+      log.warn("invoice sync failed", { reservation_id: reservationId, payment_intent_id: paymentIntentId }, e);
+      return null;
+    });
+  }
+
+  // Emails only get absolute links
+  const receiptUrl = (invoice) => (invoice && PUBLIC_API_URL ? invoicer.urlFor(invoice, "pdf") : undefined);
+
+  // One email per PaymentIntent outcome (the webhook and the route that caused it both end up here)
+  async function notifyPayment(type, pi, extra = {}){
+    const receipt = type === "payment_succeeded" ? await syncInvoice(pi?.metadata?.reservation_id, pi.id) : null;
+    return notifier.notify(type, {
+      reservationId: pi?.metadata?.reservation_id || "",
+      key: pi.id,
+      amount_cents: pi.amount_received || pi.amount,
+      currency: pi.currency,
+      kind: pi.metadata?.charge_kind || "approve",
+      payment_method_id: typeof pi.payment_method === "string" ? pi.payment_method : pi.payment_method?.id || "",
+      receipt_url: receiptUrl(receipt),
+      ...extra
+    });
+  }
+
+  // Public routes: per-IP / per-email request limits, and an optional CAPTCHA on booking
+  const windowMs = RATE_LIMIT_WINDOW_MS;
+  const limiter = createRateLimiter({
+    store: rateLimitStore || createMemoryRateStore(),
+    rules: {
+      checkout_ip: { limit: RATE_LIMIT_PER_IP, windowMs },
+      checkout_email: { limit: RATE_LIMIT_PER_EMAIL, windowMs },
+      magic_link_ip: { limit: RATE_LIMIT_PER_IP, windowMs },
+      magic_link_email: { limit: RATE_LIMIT_PER_EMAIL, windowMs },
+      lookup_ip: { limit: RATE_LIMIT_LOOKUPS_PER_IP, windowMs },
+      lookup_failures_ip: { limit: RATE_LIMIT_LOOKUP_FAILURES_PER_IP, windowMs }
+    }
+  });
+  const captcha = createCaptcha({ secret: CAPTCHA_SECRET, verifyUrl: CAPTCHA_VERIFY_URL });
+
+  const app = express();
+  if (TRUST_PROXY !== "" && TRUST_PROXY !== undefined) app.set("trust proxy", TRUST_PROXY);
+
+  /* ------------------ Request ids + access log ------------------ */
+  // X-Request-Id is echoed back (or minted) so a dashboard error can be matched to the log lines
+  app.use((req, res, next) => {
+    const incoming = String(req.get("X-Request-Id") || "");
+    req.id = /^[A-Za-z0-9._:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader("X-Request-Id", req.id);
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      // Route templates, not raw paths, keep the label set small
+      const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+      metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      metrics.httpDuration.observe({ method: req.method, route }, seconds);
+      const ctx = req.logContext || {};
+      log.info("request", {
+        request_id: req.id,
+        reservation_id: ctx.reservation_id,
+        location: ctx.location,
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        duration_ms: Math.round(seconds * 1000)
+      });
+    });
+    next();
+  });
+
+  // Log context for the rest of the request. Runs after body parsing: stream callbacks lose it.
+  function withRequestContext(req, res, next){
+    const body = req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body) ? req.body : {};
+    runWithContext({
+      request_id: req.id,
+      reservation_id: String(body.reservation_id || req.query.reservation_id || ""),
+      location: String(body.location || req.query.location || "")
+    }, (ctx) => {
+      req.logContext = ctx;
+      next();
+    });
+  }
+
+  /* --------------------------- CORS --------------------------- */
+  const normalize = (o) => (o || "").replace(/\/$/, "");
+  const corsOrigin = (origin, cb) => {
+    if (!origin) return cb(null, true);
+    const ok = ALLOW_ORIGINS.length === 0 || ALLOW_ORIGINS.includes(normalize(origin));
+    return ok ? cb(null, true) : cb(new Error("Not allowed by CORS: " + origin));
+  };
+
+  const corsConfig = {
+    origin: corsOrigin,
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+    exposedHeaders: ["X-Request-Id"],
+    credentials: false
+  };
+
+  app.use(cors(corsConfig));
+  app.options("*", cors(corsConfig));
+
+  /* ------------- Abuse protection (public routes) -------------- */
+  const clientIp = (req) => req.ip || req.socket?.remoteAddress || "";
+  const emailKey = (req) => String(req.body?.email || "").trim().toLowerCase();
+
+  function rateLimited(res, rule, result){
+    metrics.rateLimited.inc({ rule });
+    log.warn("rate limited", { rule, count: result.count, limit: result.limit });
+    res.setHeader("Retry-After", String(result.retry_after_seconds));
+    return res.status(429).json({ error: "rate_limited", retry_after_seconds: result.retry_after_seconds });
+  }
+
+  // Counts the request against rule, keyed by idOf(req) (skipped when that's empty)
+  function limitBy(rule, idOf){
+    return async (req, res, next) => {
+      let result;
+      try {
+        result = await limiter.hit(rule, idOf(req));
+      } catch (err) {
+        // A broken counter store shouldn't take booking down with it
+        log.error("rate limit check failed", { rule }, err);
+        return next();
+      }
+      return result.allowed ? next() : rateLimited(res, rule, result);
+    };
+  }
+
+  // Turnstile's widget posts its token as cf-turnstile-response; API callers can send captcha_token
+  async function requireCaptcha(req, res, next){
+    if (!captcha.enabled) return next();
+    try {
+      const token = req.body?.captcha_token || req.body?.["cf-turnstile-response"] || "";
+      const result = await captcha.verify(token, clientIp(req));
+      if (result.ok) return next();
+      metrics.rateLimited.inc({ rule: "captcha" });
+      log.warn("captcha refused", { detail: result.codes.join(",") || undefined });
+      return res.status(403).json({ error: result.error });
+    } catch (err) {
+      log.error("captcha verify error:", err);
+      return res.status(503).json({ error: "captcha_unavailable" });
+    }
+  }
+
+  /* ------------------- Stripe event handlers ------------------- */
+  // Counted and timed per type; logs inside carry the event id and reservation
+  async function handleStripeEventTracked(event){
+    const object = event.data?.object || {};
+    const end = metrics.webhookDuration.startTimer({ type: event.type });
+    return await runWithContext({
+      stripe_event_id: event.id,
+      stripe_event_type: event.type,
+      reservation_id: object.metadata?.reservation_id || object.client_reference_id,
+      location: object.metadata?.location
+    }, async () => {
+      try {
+        await handleStripeEvent(event);
+        metrics.webhookEvents.inc({ type: event.type, result: "processed" });
+      } catch (err) {
+        metrics.webhookEvents.inc({ type: event.type, result: "failed" });
+        log.error("webhook event failed", err);
+        throw err;
+      } finally {
+        end();
+      }
+    });
+  }
+
+  // Throwing marks the event failed in the webhook log so the worker retries it
+  async function handleStripeEvent(event){
+    switch (event.type) {
+      // 🔹 New: finished Setup (we saved a card, no money moved)
+      case "checkout.session.completed": {
+        const session = event.data.object;
+        if (session.mode === "setup") {
+          const reservationId = session.client_reference_id || session?.metadata?.reservation_id || "";
+          const setupIntentId = session.setup_intent || "";
+          const customerId = session.customer || session.customer_details?.id || session.client_reference_id || "";
+          if (reservationId && setupIntentId) {
+            // Get the payment_method from the SetupIntent
+            const si = await stripe.setupIntents.retrieve(setupIntentId);
+            const pmId = si?.payment_method || "";
+            await store.saveSetup({
+              reservationId,
+              customerId: si?.customer || customerId || "",
+              paymentMethodId: pmId || "",
+              connectedAccountId: session?.metadata?.connected_account_id || "",
+              location: session?.metadata?.location || "",
+              details: reservationDetailsFrom(session?.metadata, session.customer_details?.email)
+            });
+            // Optional: mark sheet so UI can show “Card on file”
+            await store.setPreauthStatus(reservationId, "card_on_file");
+            await notifier.notify("card_saved", { reservationId, key: `${reservationId}_${pmId}` });
+            await holdAtBooking(reservationId);
+          }
+        } else if (session.mode === "payment" && session.metadata?.deposit_cents) {
+          // 🔹 Deposit paid at booking (card saved for the balance via setup_future_usage)
+          await saveDepositSession(session);
+        }
+        break;
+      }
+
+      // 🔹 Off-session charge outcomes after approval
+      case "payment_intent.succeeded": {
+        const pi = event.data.object;
+        const reservationId = pi?.metadata?.reservation_id || "";
+        if (reservationId) {
+          const kind = pi.metadata.charge_kind || "approve";
+          await updateChargeStatus(store, reservationId, pi.id, "succeeded", ledgerEntryFor(kind, pi));
+          await store.setPreauthStatus(reservationId, chargeStatus(kind, "paid"));
+          if (pi.capture_method === "manual") await syncHold(pi);
+          if (kind === "adjustment") await updateAdjustmentStatus(store, reservationId, pi.metadata.adjustment_id, "charged");
+          await notifyPayment("payment_succeeded", pi);
+        }
+        await trackVolume(pi.metadata?.location, pi);
+        break;
+      }
+      // 🔹 Holds released elsewhere (dashboard) or lapsed
+      case "payment_intent.canceled": {
+        const pi = event.data.object;
+        if (pi?.metadata?.charge_kind === "hold") await syncHold(pi);
+        break;
+      }
+      case "payment_intent.payment_failed": {
+        const pi = event.data.object;
+        const reservationId = pi?.metadata?.reservation_id || "";
+        if (reservationId) {
+          const kind = pi.metadata.charge_kind || "approve";
+          await updateChargeStatus(store, reservationId, pi.id, "failed", ledgerEntryFor(kind, pi));
+          await store.setPreauthStatus(reservationId, chargeStatus(kind, "failed"));
+          if (kind === "adjustment") await updateAdjustmentStatus(store, reservationId, pi.metadata.adjustment_id, "failed");
+          // SCA failures already got the "confirm your payment" email with the Checkout link
+          if (pi.last_payment_error?.code !== "authentication_required") {
+            await notifyPayment("payment_failed", pi, { reason: pi.last_payment_error?.message || "" });
+          }
+        }
+        break;
+      }
+
+      // 🔹 Refunds (from /refund or issued straight from the Stripe dashboard)
+      case "charge.refunded": {
+        const charge = event.data.object;
+        let reservationId = charge?.metadata?.reservation_id || "";
+        if (!reservationId && charge?.payment_intent) {
+          const pi = await stripe.paymentIntents.retrieve(charge.payment_intent);
+          reservationId = pi?.metadata?.reservation_id || "";
+        }
+        if (reservationId) {
+          // /refund and /adjust record their refunds (and set the status) before this arrives; /adjust leaves the stay paid
+          const piId = typeof charge.payment_intent === "string" ? charge.payment_intent : charge.payment_intent?.id;
+          const entry = (await getLedger(store, reservationId)).charges.find(c => c.payment_intent_id === piId);
+          const recorded = Number(entry?.refunded_cents) || 0;
+          const unrecorded = !entry || recorded < charge.amount_refunded;
+          const ledger = piId ? await recordRefund(store, reservationId, piId, charge.amount_refunded) : null;
+          if (unrecorded) await store.setPreauthStatus(reservationId, refundStatusFor(charge, ledger));
+          const receipt = piId ? await syncInvoice(reservationId, piId) : null;
+          // amount_refunded is the running total: email only this refund, the part the ledger hasn't seen, else
+          // (not in the ledger, or already recorded by the route) the charge's latest refund
+          let refunded = entry && unrecorded ? charge.amount_refunded - recorded : 0;
+          if (!refunded) {
+            const latest = await stripe.refunds.list({ charge: charge.id, limit: 1 });
+            refunded = latest.data?.[0]?.amount || charge.amount_refunded;
+          }
+          await notifier.notify("refund_issued", {
+            reservationId,
+            key: `${charge.id}_${charge.amount_refunded}`,
+            amount_cents: refunded,
+            currency: charge.currency,
+            receipt_url: receiptUrl(receipt)
+          });
+        }
+        break;
+      }
+
+      // 🔹 Chargebacks (destination charges: the platform balance takes the hit)
+      case "charge.dispute.created":
+      case "charge.dispute.updated":
+      case "charge.dispute.closed": {
+        await syncDispute(event.type, event.data.object);
+        break;
+      }
+
+      // 🔹 Connect account readiness (restrictions, lost capabilities, new requirements)
+      case "account.updated": {
+        const acct = event.data.object;
+        const status = await accountStatus.save(acct);
+        if (!canAcceptCharges(status)) {
+          log.warn("connect account cannot take charges", { account_id: acct.id, location: status.location, reason: unavailableReason(status) });
+        } else {
+          await transferHeldFunds(acct.id);
+        }
+        break;
+      }
+      case "capability.updated": {
+        const capability = event.data.object;
+        const accountId = typeof capability.account === "string" ? capability.account : capability.account?.id || event.account;
+        if (accountId && canAcceptCharges(await accountStatus.refresh(accountId))) await transferHeldFunds(accountId);
+        break;
+      }
+      default: break;
+    }
+  }
+
+  /* ----------------- Stripe webhook (raw body) ------------------ */
+  app.post(
+    "/stripe-webhook",
+    express.raw({ type: "application/json" }),
+    withRequestContext,
+    async (req, res) => {
+      const secrets = [STRIPE_WEBHOOK_SECRET, STRIPE_CONNECT_WEBHOOK_SECRET].filter(Boolean);
+      if (!secrets.length) {
+        log.warn("Webhook received but STRIPE_WEBHOOK_SECRET is not set.");
+        return res.status(200).send("ignored");
+      }
+      const sig = req.headers["stripe-signature"];
+      let event;
+      let verifyError;
+      // Platform and Connect endpoints may both point here, each with its own signing secret
+      for (const secret of secrets) {
+        try {
+          event = stripe.webhooks.constructEvent(req.body, sig, secret);
+          break;
+        } catch (err) {
+          verifyError = err;
+        }
+      }
+      if (!event) {
+        log.warn("webhook signature verify failed", { detail: verifyError.message });
+        return res.status(400).send(`Webhook Error: ${verifyError.message}`);
+      }
+      // A test-mode endpoint's secret on a live server (or the reverse) would mix test payments into real data
+      if (STRIPE_MODE && typeof event.livemode === "boolean" && event.livemode !== (STRIPE_MODE === "live")) {
+        log.warn("webhook event from the other Stripe mode", { stripe_event_id: event.id, stripe_mode: STRIPE_MODE, livemode: event.livemode });
+        return res.status(400).send("livemode_mismatch");
+      }
+
+      let result;
+      try {
+        result = await webhookLog.receive(event);
+      } catch (err) {
+        // Couldn't even record the event: let Stripe redeliver it
+        log.error("Webhook log write failed:", err);
+        return res.status(500).send("log_failed");
+      }
+      if (result.duplicate) return res.status(200).send("duplicate");
+      // Answer inside Stripe's timeout; the handler runs from the log (failures retry on a backoff)
+      res.status(200).send("ok");
+      webhookLog.drain().catch(err => log.error("webhook processing error", err));
+    }
+  );
+
+  /* ------------- Now parse JSON for the rest of routes --------- */
+  app.use(express.json());
+  app.use(withRequestContext);
+
+  /* ------------------------- Health Check ------------------------- */
+  // Liveness: the process is up
+  app.get("/", (req, res) => res.status(200).send("OK"));
+
+  // Readiness: Stripe and the reservation store both answer (point the platform health check here)
+  app.get("/readyz", async (req, res) => {
+    const timed = async (fn) => {
+      const started = Date.now();
+      let timer;
+      try {
+        await Promise.race([
+          fn(),
+          new Promise((_, reject) => { timer = setTimeout(() => reject(new Error("timeout")), READINESS_TIMEOUT_MS); })
+        ]);
+        return { ok: true, duration_ms: Date.now() - started };
+      } catch (e) {
+        return { ok: false, duration_ms: Date.now() - started, error: e.message };
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+    const [stripeCheck, storeCheck] = await Promise.all([
+      timed(() => stripe.balance.retrieve()),
+      timed(() => store.get("health", "readyz"))
+    ]);
+    const ready = stripeCheck.ok && storeCheck.ok;
+    if (!ready) log.warn("not ready", { stripe_check: stripeCheck, store_check: storeCheck });
+    return res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "not_ready",
+      checks: { stripe: stripeCheck, store: { ...storeCheck, kind: store.kind } }
+    });
+  });
+
+  // Prometheus scrape endpoint; METRICS_TOKEN, when set, is required as a bearer token
+  app.get("/metrics", (req, res) => {
+    if (METRICS_TOKEN) {
+      const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+      const got = Buffer.from(String(req.get("Authorization") || ""));
+      if (got.length !== expected.length || !crypto.timingSafeEqual(got, expected)) {
+        return res.status(401).json({ error: "unauthorized" });
+      }
+    }
+    res.type("text/plain; version=0.0.4").send(metrics.render());
+  });
+
+  /* ----------------------- CONNECT: Get Paid ----------------------- */
+  app.get("/connect/get-paid", auth.requireLocation(req => req.query.location), async (req, res) => {
+    try {
+      const { location } = req.query;
+      if (!location) return res.status(400).json({ error: "Missing location" });
+
+      let accountId = await store.getAccountIdForLocation(location);
+
+      if (!accountId) {
+        const { locale } = await getLocationConfig(store, location);
+        const country = locale?.country || CONNECT_ACCOUNT_COUNTRY;
+        const acctPayload = {
+          type: "express",
+          capabilities: {
+            card_payments: { requested: true },
+            transfers: { requested: true },
+          },
+        };
+        if (CONNECT_BUSINESS_TYPE) acctPayload.business_type = CONNECT_BUSINESS_TYPE;
+        if (country) acctPayload.country = country;
+        if (locale?.currency) acctPayload.default_currency = locale.currency;
+
+        acctPayload.metadata = { location }; // lets account.updated webhooks find the location
+        const acct = await stripe.accounts.create(acctPayload);
+        accountId = acct.id;
+        await store.saveAccountIdForLocation(location, accountId);
+      }
+
+      const acct = await stripe.accounts.retrieve(accountId);
+      await accountStatus.save(acct, location).catch(e => log.warn("account status save failed:", e));
+      const needsOnboarding =
+        !acct.details_submitted ||
+        (acct.requirements?.currently_due?.length ?? 0) > 0 ||
+        (acct.requirements?.past_due?.length ?? 0) > 0;
+
+      if (needsOnboarding) {
+        const link = await stripe.accountLinks.create({
+          account: accountId,
+          type: "account_onboarding",
+          refresh_url: `${CONNECT_REFRESH_URL}?location=${encodeURIComponent(location)}`,
+          return_url: `${CONNECT_RETURN_URL}?location=${encodeURIComponent(location)}`
+        });
+        return res.json({ url: link.url, mode: "onboarding", account_id: accountId });
+      }
+
+      const login = await stripe.accounts.createLoginLink(accountId);
+      return res.json({ url: login.url, mode: "login", account_id: accountId });
+    } catch (e) {
+      log.error("GET /connect/get-paid error:", e);
+      res.status(500).json({ error: e.message || "connect_get_paid_failed" });
+    }
+  });
+
+  app.get("/connect/login", auth.requireLocation(req => req.query.location), async (req, res) => {
+    try {
+      const { location } = req.query;
+      if (!location) return res.status(400).json({ error: "Missing location" });
+
+      const accountId = await store.getAccountIdForLocation(location);
+      if (!accountId) return res.status(404).json({ error: "No Stripe account for location yet" });
+
+      const login = await stripe.accounts.createLoginLink(accountId);
+      return res.json({ url: login.url, mode: "login", account_id: accountId });
+    } catch (e) {
+      log.error("GET /connect/login error:", e);
+      res.status(500).json({ error: e.message || "connect_login_failed" });
+    }
+  });
+
+  /**
+   * Payout readiness for the dashboard.
+   * Query: location, refresh=1 to bypass the cache
+   */
+  app.get("/connect/status", auth.requireLocation(req => req.query.location), async (req, res) => {
+    try {
+      const { location } = req.query;
+      if (!location) return res.status(400).json({ error: "Missing location" });
+
+      const accountId = await store.getAccountIdForLocation(location);
+      if (!accountId) return res.status(404).json({ error: "No Stripe account for location yet" });
+
+      const status = await accountStatus.current(accountId, { location, force: flag(req.query.refresh, false) });
+      return res.json({
+        ...status,
+        can_accept_charges: canAcceptCharges(status),
+        unavailable_reason: unavailableReason(status)
+      });
+    } catch (e) {
+      log.error("GET /connect/status error:", e);
+      res.status(500).json({ error: e.message || "connect_status_failed" });
+    }
+  });
+
+  /* --------------- CREATE “SETUP” CHECKOUT SESSION --------------- */
+  // Each call can create a Stripe Customer: limited per IP and per email, CAPTCHA when configured
+  const checkoutGuards = [limitBy("checkout_ip", clientIp), requireCaptcha, limitBy("checkout_email", emailKey)];
+  app.post("/create-checkout-session", checkoutGuards, async (req, res) => {
+    try {
+      const {
+        location = "",
+        city = "",
+        state = "",
+        email = "",
+        hours = "1",
+        arrivalDate = "",
+        arrivalTime = "",
+        boatLength = "",
+        reservation_id = ""
+      } = req.body || {};
+
+      if (!email)     return res.status(400).json({ error: "email_required" });
+      if (!location)  return res.status(400).json({ error: "location_required" });
+      if (!EMAIL_PATTERN.test(email) || email.length > 254) return res.status(400).json({ error: "invalid_email" });
+
+      // Only locations set up on the platform, so made-up names can't mint Customers
+      const known = await knownLocation(location);
+      if (!known) return res.status(404).json({ error: "unknown_location" });
+      const { connectedAccountId, locationConfig } = known;
+
+      // Success/cancel
+      const successUrlObj = new URL(CONFIRM_URL);
+      successUrlObj.searchParams.set("session_id", "{CHECKOUT_SESSION_ID}");
+      if (reservation_id) successUrlObj.searchParams.set("reservation_id", reservation_id);
+      if (location)       successUrlObj.searchParams.set("location", location);
+      const success_url = successUrlObj.toString();
+
+      const cancelUrlObj = new URL(`${PROFILE_URL_BASE}/${encodeURIComponent(location)}.html`);
+      cancelUrlObj.searchParams.set("payment", "cancelled");
+      const cancel_url = cancelUrlObj.toString();
+
+      // Find or create a platform Customer for this email (sets email on the Customer object)
+      const customer = await findOrCreateCustomerByEmail(email);
+
+      // Server-side quote (if the location has pricing) so the confirm page shows the same number /approve will charge
+      const { pricing, deposit } = locationConfig;
+      const currency = locationCurrency(locationConfig);
+      let quotedTotal = "";
+      let depositCents = 0;
+      try {
+        if (pricing) quotedTotal = String(quote({ ...pricing, currency }, { hours, arrivalDate, arrivalTime, boatLength }).total_cents);
+        depositCents = depositFor(deposit, quotedTotal);
+      } catch (e) {
+        if (!(e instanceof PricingError)) throw e;
+        return res.status(400).json({ error: e.code, message: e.message });
+      }
+      const depositProblem = depositCents > 0 ? checkAmount(depositCents, currency) : null;
+      if (depositProblem) return res.status(400).json({ ...depositProblem, deposit_cents: depositCents });
+
+      const metadata = {
+        location, city, state, hours, arrivalDate, arrivalTime, boatLength,
+        reservation_id,
+        quoted_total_cents: quotedTotal,
+        currency,
+        connected_account_id: connectedAccountId || ""
+      };
+
+      if (depositCents > 0) {
+        const session = await createDepositSession({
+          customerId: customer.id,
+          reservationId: reservation_id,
+          location,
+          amount: depositCents,
+          currency,
+          metadata,
+          success_url,
+          cancel_url
+        });
+        if (session.refused) {
+          metrics.checkoutSessions.inc({ mode: "deposit", result: "refused" });
+          return res.status(409).json(session.refused);
+        }
+        metrics.checkoutSessions.inc({ mode: "deposit", result: "created" });
+        return res.json({ url: session.url, mode: "payment", deposit_cents: depositCents });
+      }
+
+      // Idempotency across retries (bump the key name if you previously sent a bad combo)
+      const options = reservation_id ? { idempotencyKey: `setup3_${reservation_id}` } : undefined;
+
+      // ✅ Setup-mode Checkout (creates SetupIntent; no money moves)
+      const session = await stripe.checkout.sessions.create({
+        mode: "setup",
+        customer: customer.id,            // <-- keep this
+        // DO NOT include customer_email when customer is set
+
+        client_reference_id: reservation_id || undefined,
+        success_url,
+        cancel_url,
+
+        // Store context for later
+        metadata,
+        setup_intent_data: { metadata },
+        payment_method_types: ["card"]
+      }, options);
+
+      metrics.checkoutSessions.inc({ mode: "setup", result: "created" });
+      return res.json({ url: session.url });
+    } catch (err) {
+      metrics.checkoutSessions.inc({ mode: "setup", result: "failed" });
+      log.error("create-checkout-session (setup) error:", err);
+      // surface the Stripe message to the client for easier debugging
+      const status = err?.statusCode && Number.isInteger(err.statusCode) ? err.statusCode : 400;
+      return res.status(status).json({
+        error: "create_setup_session_failed",
+        stripe_message: err?.message || "",
+        stripe_code: err?.code || "",
+        stripe_param: err?.param || ""
+      });
+    }
+  });
+
+
+  /* ----------------- LOOKUP session (confirm page) ----------------- */
+  // Session ids come back with the customer's email: lookups are limited per IP, and misses much more
+  app.get("/checkout-session", limitBy("lookup_ip", clientIp), async (req, res) => {
+    try {
+      const { session_id } = req.query;
+      if (!session_id) return res.status(400).json({ error: "missing_session_id" });
+
+      const misses = await limiter.exhausted("lookup_failures_ip", clientIp(req));
+      if (!misses.allowed) return rateLimited(res, "lookup_failures_ip", misses);
+
+      let session;
+      try {
+        session = await stripe.checkout.sessions.retrieve(session_id, {
+          expand: ["setup_intent", "customer", "payment_intent"]
+        });
+      } catch (err) {
+        if (err?.code !== "resource_missing") throw err;
+        await limiter.hit("lookup_failures_ip", clientIp(req));
+        return res.status(404).json({ error: "session_not_found" });
+      }
+      const setupIntent = session.setup_intent && typeof session.setup_intent === "object" ? session.setup_intent : null;
+      const paymentIntent = session.payment_intent && typeof session.payment_intent === "object" ? session.payment_intent : null;
+
+      const out = {
+        id: session.id,
+        mode: session.mode, // "setup", or "payment" when a deposit was taken
+        customer_id: session.customer?.id || session.customer || setupIntent?.customer || "",
+        customer_email: session.customer_details?.email || session.customer_email || "",
+        location: session.metadata?.location || "",
+        city: session.metadata?.city || "",
+        state: session.metadata?.state || "",
+        hours: session.metadata?.hours || "",
+        arrivalDate: session.metadata?.arrivalDate || "",
+        arrivalTime: session.metadata?.arrivalTime || "",
+        boatLength: session.metadata?.boatLength || "",
+        quoted_total_cents: session.metadata?.quoted_total_cents || "",
+        currency: session.metadata?.currency || session.currency || "",
+        reservation_id: session.metadata?.reservation_id || session.client_reference_id || "",
+        setup_intent_id: setupIntent?.id || session.setup_intent || "",
+        payment_intent_id: paymentIntent?.id || session.payment_intent || "",
+        payment_method_id: setupIntent?.payment_method || paymentIntent?.payment_method || undefined,
+        guaranteed_spend: session.metadata?.guaranteed_spend || "" // optional, for your UI if needed
+      };
+
+      // Best-effort: store setup artifacts if not already (idempotent in the store)
+      if (out.reservation_id && session.mode === "payment" && session.metadata?.deposit_cents) {
+        await saveDepositSession(session).catch(e => log.warn("confirm saveDeposit failed:", e));
+      } else if (out.reservation_id && out.setup_intent_id) {
+        try {
+          const si = await stripe.setupIntents.retrieve(out.setup_intent_id);
+          await store.saveSetup({
+            reservationId: out.reservation_id,
+            customerId: si?.customer || out.customer_id || "",
+            paymentMethodId: si?.payment_method || "",
+            connectedAccountId: session?.metadata?.connected_account_id || "",
+            location: out.location,
+            details: reservationDetailsFrom(session?.metadata, out.customer_email)
+          });
+          await store.setPreauthStatus(out.reservation_id, "card_on_file");
+          await notifier.notify("card_saved", { reservationId: out.reservation_id, key: `${out.reservation_id}_${si?.payment_method || ""}` });
+          await holdAtBooking(out.reservation_id);
+        } catch (e) {
+          log.warn("confirm saveSetup failed:", e);
+        }
+      }
+
+      // Kept as dispute evidence: the boater saw this booking
+      if (out.reservation_id) {
+        await recordConfirmation(store, out.reservation_id, {
+          sessionId: session.id,
+          email: out.customer_email,
+          ip: req.ip || "",
+          userAgent: req.get("user-agent") || ""
+        }).catch(e => log.warn("confirmation record failed:", e));
+      }
+
+      // Deposit paid / balance due / balance paid, and the receipts to link to
+      if (out.reservation_id) {
+        const ledger = await getLedger(store, out.reservation_id).catch(() => null);
+        Object.assign(out, summarize(ledger, out.quoted_total_cents));
+        const invoices = await invoicer.list(out.reservation_id).catch(() => []);
+        out.invoices = invoices.map(d => {
+          const { number, title, status, total_cents, currency, html_url, pdf_url } = invoicer.summary(d);
+          return { number, title, status, total_cents, currency, html_url, pdf_url };
+        });
+      }
+
+      res.json(out);
+    } catch (err) {
+      log.error("checkout-session error:", err);
+      res.status(500).json({ error: "lookup_failed" });
+    }
+  });
+
+  /* ------------------------- PRICE QUOTE ------------------------- */
+  /**
+   * Reserve page calls this before the card is saved.
+   * Body: { location, hours, arrivalDate?, arrivalTime?, boatLength? }
+   * Returns the itemized breakdown /approve will charge by default.
+   */
+  app.post("/quote", async (req, res) => {
+    try {
+      const { location = "", hours = "", arrivalDate = "", arrivalTime = "", boatLength = "" } = req.body || {};
+      if (!location) return res.status(400).json({ error: "location_required" });
+
+      const locationConfig = await getLocationConfig(store, location);
+      const { pricing } = locationConfig;
+      if (!pricing) return res.status(404).json({ error: "pricing_not_configured" });
+
+      const q = quote({ ...pricing, currency: locationCurrency(locationConfig) }, { hours, arrivalDate, arrivalTime, boatLength });
+      return res.json({ location, ...q });
+    } catch (err) {
+      if (err instanceof PricingError) return res.status(400).json({ error: err.code, message: err.message });
+      log.error("POST /quote error:", err);
+      return res.status(500).json({ error: "quote_failed" });
+    }
+  });
+
+  /* --------------- CUSTOMERS: returning boaters' saved cards --------------- */
+  /**
+   * Step 1: email a one-time sign-in link. Body: { email }
+   * Always answers the same way, so it can't be used to find out who has cards on file.
+   */
+  app.post("/customers/magic-link", limitBy("magic_link_ip", clientIp), limitBy("magic_link_email", emailKey), async (req, res) => {
+    try {
+      // Same lookup as booking (Stripe matches the email as saved), so no case folding here
+      const email = String(req.body?.email || "").trim();
+      if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ error: "email_required" });
+
+      const existing = await stripe.customers.list({ email, limit: 1 });
+      const customer = existing.data?.[0];
+      if (customer) {
+        const token = await createMagicLink(store, { customerId: customer.id, email, ttlSeconds: MAGIC_LINK_TTL_SECONDS });
+        const link = new URL(CUSTOMER_CARDS_URL);
+        link.searchParams.set("token", token);
+        const minutes = Math.round(MAGIC_LINK_TTL_SECONDS / 60);
+        // A failed send answers like everyone else too; an error here would say the email has an account
+        try {
+          await mail.send({
+            to: email,
+            subject: "Your saved cards",
+            text: `Use this link within ${minutes} minutes to see and manage the cards saved for your slip reservations:\n\n${link}\n\nIf you didn't ask for it, you can ignore this email.`
+          });
+        } catch (e) {
+          log.warn("magic link email failed", { customer_id: customer.id }, e);
+        }
+      }
+      return res.status(202).json({ status: "sent" });
+    } catch (err) {
+      log.error("POST /customers/magic-link error:", err);
+      return res.status(500).json({ error: "magic_link_failed" });
+    }
+  });
+
+  /**
+   * Step 2: trade the link's token (once) for a short-lived customer token.
+   * Body: { token } -> { token, expires_at, customer_id, email }
+   */
+  app.post("/customers/session", async (req, res) => {
+    try {
+      const link = await redeemMagicLink(store, String(req.body?.token || ""));
+      if (!link) return res.status(401).json({ error: "invalid_or_expired_link" });
+      const token = auth.sign(
+        { sub: link.customer_id, scope: "customer", email: link.email },
+        { ttlSeconds: CUSTOMER_SESSION_TTL_SECONDS }
+      );
+      const expiresAt = new Date(Date.now() + CUSTOMER_SESSION_TTL_SECONDS * 1000).toISOString();
+      return res.json({ token, expires_at: expiresAt, customer_id: link.customer_id, email: link.email });
+    } catch (err) {
+      log.error("POST /customers/session error:", err);
+      return res.status(500).json({ error: "session_failed" });
+    }
+  });
+
+  // Everything below needs "Authorization: Bearer <customer token>" and only sees that Customer's cards
+  app.get("/customers/me/payment-methods", auth.requireCustomer, async (req, res) => {
+    try {
+      const customerId = req.auth.sub;
+      const [customer, methods] = await Promise.all([
+        stripe.customers.retrieve(customerId),
+        stripe.customers.listPaymentMethods(customerId, { type: "card", limit: 100 })
+      ]);
+      const defaultId = defaultPaymentMethodId(customer);
+      return res.json({
+        customer_id: customerId,
+        default_payment_method: defaultId || null,
+        payment_methods: (methods.data || []).map(pm => summarizeCard(pm, defaultId))
+      });
+    } catch (err) {
+      log.error("GET /customers/me/payment-methods error:", err);
+      return res.status(500).json({ error: "payment_methods_lookup_failed" });
+    }
+  });
+
+  /** Body: { payment_method_id } — the card new reservations use unless told otherwise. */
+  app.post("/customers/me/default-payment-method", auth.requireCustomer, async (req, res) => {
+    try {
+      const pm = await ownedCard(req.auth.sub, req.body?.payment_method_id);
+      if (!pm) return res.status(404).json({ error: "payment_method_not_found" });
+      await stripe.customers.update(req.auth.sub, { invoice_settings: { default_payment_method: pm.id } });
+      return res.json({ status: "ok", default_payment_method: pm.id });
+    } catch (err) {
+      log.error("POST /customers/me/default-payment-method error:", err);
+      return res.status(500).json({ error: "default_payment_method_failed" });
+    }
+  });
+
+  // Reservations already holding this card keep its id; charging them later will fail once it's detached
+  app.delete("/customers/me/payment-methods/:id", auth.requireCustomer, async (req, res) => {
+    try {
+      const pm = await ownedCard(req.auth.sub, req.params.id);
+      if (!pm) return res.status(404).json({ error: "payment_method_not_found" });
+      await stripe.paymentMethods.detach(pm.id);
+      return res.json({ status: "detached", payment_method_id: pm.id });
+    } catch (err) {
+      log.error("DELETE /customers/me/payment-methods/:id error:", err);
+      return res.status(500).json({ error: "detach_failed" });
+    }
+  });
+
+  /** Stripe's hosted Customer Portal (cards only, per the portal configuration in the dashboard). */
+  app.post("/customers/me/portal", auth.requireCustomer, async (req, res) => {
+    try {
+      const session = await stripe.billingPortal.sessions.create({ customer: req.auth.sub, return_url: CUSTOMER_CARDS_URL });
+      return res.json({ url: session.url });
+    } catch (err) {
+      log.error("POST /customers/me/portal error:", err);
+      return res.status(500).json({ error: "portal_failed", stripe_message: err?.message || "" });
+    }
+  });
+
+  /** Setup-mode Checkout to add a card without a reservation. */
+  app.post("/customers/me/setup-session", auth.requireCustomer, async (req, res) => {
+    try {
+      const done = new URL(CUSTOMER_CARDS_URL);
+      done.searchParams.set("card", "added");
+      const cancelled = new URL(CUSTOMER_CARDS_URL);
+      cancelled.searchParams.set("card", "cancelled");
+      const session = await stripe.checkout.sessions.create({
+        mode: "setup",
+        customer: req.auth.sub,
+        success_url: done.toString(),
+        cancel_url: cancelled.toString(),
+        payment_method_types: ["card"],
+        metadata: { purpose: "add_card" }
+      });
+      return res.json({ url: session.url });
+    } catch (err) {
+      log.error("POST /customers/me/setup-session error:", err);
+      return res.status(500).json({ error: "setup_session_failed", stripe_message: err?.message || "" });
+    }
+  });
+
+  /**
+   * Book with a card already on file instead of going through Checkout again.
+   * Body: { reservation_id, location, payment_method_id?, hours, arrivalDate?, arrivalTime?, boatLength?, city?, state? }
+   * payment_method_id defaults to the Customer's default card, else the newest one. Locations that take a deposit at
+   * booking still need /create-checkout-session (409 deposit_required).
+   */
+  app.post("/customers/me/reservations", auth.requireCustomer, async (req, res) => {
+    try {
+      const {
+        reservation_id = "",
+        location = "",
+        payment_method_id = "",
+        city = "",
+        state = "",
+        hours = "1",
+        arrivalDate = "",
+        arrivalTime = "",
+        boatLength = ""
+      } = req.body || {};
+      if (!reservation_id) return res.status(400).json({ error: "missing reservation_id" });
+      if (!location) return res.status(400).json({ error: "location_required" });
+      const customerId = req.auth.sub;
+
+      const known = await knownLocation(location);
+      if (!known) return res.status(404).json({ error: "unknown_location" });
+      const { connectedAccountId, locationConfig } = known;
+
+      // An existing reservation must already be this Customer's, or booked under their email at this location
+      const customer = await stripe.customers.retrieve(customerId);
+      const email = req.auth.email || customer.email;
+      const existing = await store.getPaymentInfo(reservation_id);
+      if (existing) {
+        const sameEmail = String(existing.details?.email || "").toLowerCase() === String(email || "").toLowerCase();
+        const ours = existing.customer_id ? existing.customer_id === customerId : !!email && sameEmail;
+        if (!ours) return res.status(409).json({ error: "reservation_exists" });
+        if (existing.location && existing.location !== location) return res.status(409).json({ error: "location_mismatch" });
+      }
+
+      let cardId = payment_method_id || defaultPaymentMethodId(customer);
+      if (!cardId) {
+        // No default chosen yet: the most recently saved card
+        const cards = await stripe.customers.listPaymentMethods(customerId, { type: "card", limit: 1 });
+        cardId = cards.data?.[0]?.id || "";
+      }
+      const pm = await ownedCard(customerId, cardId);
+      if (!pm) return res.status(404).json({ error: "payment_method_not_found" });
+
+      const { pricing, deposit } = locationConfig;
+      const currency = locationCurrency(locationConfig);
+      let quotedTotal = "";
+      try {
+        if (pricing) quotedTotal = String(quote({ ...pricing, currency }, { hours, arrivalDate, arrivalTime, boatLength }).total_cents);
+        if (depositFor(deposit, quotedTotal) > 0) return res.status(409).json({ error: "deposit_required" });
+      } catch (e) {
+        if (!(e instanceof PricingError)) throw e;
+        return res.status(400).json({ error: e.code, message: e.message });
+      }
+
+      await store.saveSetup({
+        reservationId: reservation_id,
+        customerId,
+        paymentMethodId: pm.id,
+        connectedAccountId: connectedAccountId || "",
+        location,
+        details: reservationDetailsFrom({ hours, arrivalDate, arrivalTime, boatLength, city, state }, email)
+      });
+      await store.setPreauthStatus(reservation_id, "card_on_file");
+      await notifier.notify("card_saved", { reservationId: reservation_id, key: `${reservation_id}_${pm.id}` });
+      const hold = await holdAtBooking(reservation_id);
+      return res.json({
+        status: hold?.status === "authorized" ? "hold_authorized" : "card_on_file",
+        reservation_id,
+        payment_method: summarizeCard(pm, defaultPaymentMethodId(customer)),
+        quoted_total_cents: quotedTotal,
+        currency
+      });
+    } catch (err) {
+      log.error("POST /customers/me/reservations error:", err);
+      return res.status(500).json({ error: "reservation_failed" });
+    }
+  });
+
+  /* ---------------- Off-session charge (saved card) ---------------- */
+  // Status written to the reservation for each charge kind + outcome (approve keeps the original names)
+  const CHARGE_STATUSES = {
+    approve: { paid: "paid", failed: "failed", action_required: "payment_action_required" },
+    hold: { paid: "paid" },
+    adjustment: { paid: "paid" }
+  };
+  function chargeStatus(kind, outcome){
+    return CHARGE_STATUSES[kind]?.[outcome] || `${kind}_${outcome}`;
+  }
+
+  /**
+   * Charge the reservation's saved card off-session, routed to the location's Connect account
+   * with the platform fee. If SCA is needed, falls back to hosted Checkout to finish.
+   * kind: "approve" | "cancellation_fee" | "no_show_fee" | "adjustment"
+   * keySuffix: overrides the idempotency key (default: kind, reservation and amount)
+   * Returns { status:"succeeded", payment_intent_id } | { status:"action_required", url }
+   *       | { status:"failed", error } | { status:"refused", error, reason } (account can't take charges)
+   */
+  async function chargeOffSession({ kind, reservationId, location, payinfo, amount, currency, metadata = {}, keySuffix: customKey = "" }){
+    const destination = await resolveDestination(location, payinfo.connected_account_id);
+    if (destination.refused) return destination.refused;
+    const { connectedAccountId, heldForAccount } = destination;
+    const fee = await computeApplicationFee(location, amount, currency);
+    const takeFee = Boolean(connectedAccountId) && fee.amount > 0;
+    // approve keeps its original keys so in-flight retries still dedupe
+    const keySuffix = customKey || (kind === "approve" ? `${reservationId}_${amount}` : `${kind}_${reservationId}_${amount}`);
+    const idempotencyKey = kind === "approve" ? `approve_${keySuffix}` : keySuffix;
+
+    // Create & confirm off-session charge
+    try {
+      const pi = await stripe.paymentIntents.create({
+        amount,
+        currency,
+        customer: payinfo.customer_id,
+        payment_method: payinfo.payment_method_id,
+        off_session: true,
+        confirm: true,
+        metadata: {
+          reservation_id: reservationId,
+          location,
+          charge_kind: kind,
+          ...(heldForAccount ? { held_for_account: heldForAccount } : {}),
+          ...(connectedAccountId ? feeMetadata(fee) : {}),
+          ...metadata
+        },
+        transfer_data: connectedAccountId ? { destination: connectedAccountId } : undefined,
+        application_fee_amount: takeFee ? fee.amount : undefined,
+        statement_descriptor_suffix: "SLIPREZI",
+        on_behalf_of: connectedAccountId || undefined
+      }, {
+        idempotencyKey
+      });
+
+      // Success (the payment_intent.succeeded webhook writes the same status if this fails)
+      await recordCharge(store, reservationId, { ...ledgerEntryFor(kind, pi), status: "succeeded" })
+        .catch(e => log.warn("ledger write failed", { charge_kind: kind }, e));
+      await store.setPreauthStatus(reservationId, chargeStatus(kind, "paid"))
+        .catch(e => log.warn("setPreauthStatus failed", { charge_kind: kind }, e));
+      await trackVolume(location, pi);
+      await notifyPayment("payment_succeeded", pi);
+      return heldForAccount
+        ? { status: "succeeded", payment_intent_id: pi.id, held_on_platform: true, held_for_account: heldForAccount }
+        : { status: "succeeded", payment_intent_id: pi.id };
+    } catch (e) {
+      // SCA required or similar: fall back to hosted Checkout to finish
+      const pi = e?.payment_intent;
+      if (pi && (e.code === "authentication_required" || pi.status === "requires_action")) {
+        const successUrlObj = new URL(CONFIRM_URL);
+        successUrlObj.searchParams.set("reservation_id", reservationId);
+        successUrlObj.searchParams.set("payment_intent_id", pi.id);
+        const success_url = successUrlObj.toString();
+
+        const cancelUrlObj = new URL(`${PROFILE_URL_BASE}/${encodeURIComponent(location || "")}.html`);
+        cancelUrlObj.searchParams.set("payment", "incomplete");
+        const cancel_url = cancelUrlObj.toString();
+
+        const session = await stripe.checkout.sessions.create({
+          mode: "payment",
+          payment_intent: pi.id,
+          success_url,
+          cancel_url
+        }, { idempotencyKey: `sca_${keySuffix}` });
+        metrics.scaFallbacks.inc({ kind });
+        metrics.checkoutSessions.inc({ mode: "sca", result: "created" });
+        log.info("sca fallback", { charge_kind: kind, payment_intent_id: pi.id, checkout_session_id: session.id });
+
+        await recordCharge(store, reservationId, { ...ledgerEntryFor(kind, pi), status: "requires_action" }).catch(()=>{});
+        await store.setPreauthStatus(reservationId, chargeStatus(kind, "action_required"));
+        // The dashboard gets the URL too, but the boater is the one who has to open it
+        await notifyPayment("authentication_required", pi, { url: session.url });
+        return { status: "action_required", url: session.url, payment_intent_id: pi.id };
+      }
+      log.error("charge error", { charge_kind: kind, reservation_id: reservationId, location, idempotency_key: idempotencyKey }, e);
+      await store.setPreauthStatus(reservationId, chargeStatus(kind, "failed")).catch(()=>{});
+      // Card declines carry the PaymentIntent; other errors are ours to fix, not the boater's
+      if (pi) await notifyPayment("payment_failed", pi, { reason: e.message || "" });
+      return { status: "failed", error: e.message || "charge_failed" };
+    }
+  }
+
+  // Ledger kind per charge kind (/approve, captured holds and /adjust pay the balance)
+  function ledgerEntryFor(kind, pi){
+    return {
+      kind: ["approve", "hold", "adjustment"].includes(kind) ? "balance" : kind,
+      payment_intent_id: pi.id,
+      amount_cents: pi.amount_received || pi.amount,
+      currency: pi.currency,
+      ...(pi.metadata?.adjustment_id ? { adjustment_id: pi.metadata.adjustment_id } : {}),
+      ...(pi.metadata?.held_for_account ? { held_for_account: pi.metadata.held_for_account } : {})
+    };
+  }
+
+  /**
+   * Where a charge's funds go: the location's Connect account, or (CONNECT_UNAVAILABLE_MODE=hold)
+   * the platform when that account can't take charges.
+   * Returns { connectedAccountId, heldForAccount } or { refused: <route response> }.
+   */
+  async function resolveDestination(location, savedAccountId){
+    const accountId = savedAccountId || (location ? (await store.getAccountIdForLocation(location)) : null);
+    if (!accountId) return { connectedAccountId: null, heldForAccount: "" };
+
+    const status = await accountStatus.current(accountId, { location })
+      .catch(e => { log.warn("account status lookup failed:", e); return null; });
+    if (canAcceptCharges(status)) return { connectedAccountId: accountId, heldForAccount: "" };
+
+    const reason = unavailableReason(status);
+    if (CONNECT_UNAVAILABLE_MODE !== "hold") {
+      return { refused: { status: "refused", error: "connected_account_unavailable", reason, account_id: accountId } };
+    }
+    // Keep the funds on the platform; transferHeldFunds pays them out once the marina fixes its account
+    return { connectedAccountId: null, heldForAccount: accountId };
+  }
+
+  /**
+   * Pay out what CONNECT_UNAVAILABLE_MODE=hold kept on the platform for accountId, now that it can take
+   * charges: a transfer per held charge, tied to it with source_transaction, for what's left after refunds
+   * and the platform fee. The ledger records each transfer, so a repeated event doesn't pay twice.
+   */
+  async function transferHeldFunds(accountId){
+    for (const held of await listHeldCharges(store, accountId)) {
+      const pi = await stripe.paymentIntents.retrieve(held.payment_intent_id, { expand: ["latest_charge"] });
+      const charge = pi.latest_charge;
+      const location = pi.metadata?.location || "";
+      const gross = charge.amount_captured || charge.amount;
+      const fee = await computeApplicationFee(location, gross, charge.currency);
+      const amount = gross - (charge.amount_refunded || 0) - fee.amount;
+      if (amount <= 0) {
+        await recordTransfer(store, held.reservation_id, pi.id, null);
+        continue;
+      }
+      const transfer = await stripe.transfers.create({
+        amount,
+        currency: charge.currency,
+        destination: accountId,
+        source_transaction: charge.id,
+        metadata: { reservation_id: held.reservation_id, location, payment_intent_id: pi.id, fee_cents: String(fee.amount), ...feeMetadata(fee) }
+      }, { idempotencyKey: `held_transfer_${pi.id}` });
+      await recordTransfer(store, held.reservation_id, pi.id, transfer);
+      log.info("held funds transferred", { account_id: accountId, payment_intent_id: pi.id, transfer_id: transfer.id, amount_cents: amount });
+    }
+  }
+
+  /**
+   * Payment-mode Checkout for a booking deposit. setup_future_usage keeps the card on the
+   * Customer so /approve can charge the balance off-session later.
+   */
+  async function createDepositSession({ customerId, reservationId, location, amount, currency, metadata, success_url, cancel_url }){
+    const destination = await resolveDestination(location, metadata.connected_account_id);
+    if (destination.refused) return { refused: destination.refused };
+    const { connectedAccountId, heldForAccount } = destination;
+    const fee = await computeApplicationFee(location, amount, currency);
+    const takeFee = Boolean(connectedAccountId) && fee.amount > 0;
+    const meta = { ...metadata, deposit_cents: String(amount) };
+
+    return await stripe.checkout.sessions.create({
+      mode: "payment",
+      customer: customerId,
+      client_reference_id: reservationId || undefined,
+      success_url,
+      cancel_url,
+      metadata: meta,
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency,
+          unit_amount: amount,
+          product_data: { name: `Reservation deposit${location ? ` – ${location}` : ""}` }
+        }
+      }],
+      payment_intent_data: {
+        setup_future_usage: "off_session",
+        metadata: {
+          ...meta,
+          charge_kind: "deposit",
+          ...(heldForAccount ? { held_for_account: heldForAccount } : {}),
+          ...(connectedAccountId ? feeMetadata(fee) : {})
+        },
+        transfer_data: connectedAccountId ? { destination: connectedAccountId } : undefined,
+        application_fee_amount: takeFee ? fee.amount : undefined,
+        on_behalf_of: connectedAccountId || undefined,
+        statement_descriptor_suffix: "SLIPREZI"
+      },
+      payment_method_types: ["card"]
+    }, reservationId ? { idempotencyKey: `deposit1_${reservationId}_${amount}` } : {});
+  }
+
+  // Deposit Checkout finished: keep the card it saved and log the deposit in the ledger
+  async function saveDepositSession(session){
+    const reservationId = session.client_reference_id || session?.metadata?.reservation_id || "";
+    const piId = typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id;
+    if (!reservationId || !piId) return;
+
+    const pi = await stripe.paymentIntents.retrieve(piId);
+    await store.saveSetup({
+      reservationId,
+      customerId: pi.customer || session.customer?.id || session.customer || "",
+      paymentMethodId: typeof pi.payment_method === "string" ? pi.payment_method : pi.payment_method?.id || "",
+      connectedAccountId: session?.metadata?.connected_account_id || "",
+      location: session?.metadata?.location || "",
+      details: reservationDetailsFrom(session?.metadata, session.customer_details?.email)
+    });
+    const paid = pi.status === "succeeded";
+    await recordCharge(store, reservationId, { ...ledgerEntryFor("deposit", pi), status: paid ? "succeeded" : pi.status });
+    await store.setPreauthStatus(reservationId, paid ? chargeStatus("deposit", "paid") : "card_on_file");
+    if (paid) {
+      await trackVolume(session?.metadata?.location, pi);
+      await notifyPayment("payment_succeeded", pi);
+    }
+  }
+
+  function chargeHttpStatus(result){
+    if (result.status === "failed") return 400;
+    if (result.status === "refused") return 409;
+    return 200;
+  }
+
+  /* ---------------- PRE-AUTHORIZATION HOLDS (manual capture) ---------------- */
+  /**
+   * Authorize the reservation's saved card for amount without charging it, routed to the location's
+   * Connect account like /approve. previous: the hold being renewed (its PaymentIntent is left alone).
+   * Returns { status: "authorized" | "requires_action" | "failed" | "refused", hold?, error? }
+   */
+  async function placeHold({ reservationId, location, payinfo, amount, currency, previous = null }){
+    const destination = await resolveDestination(location, payinfo.connected_account_id);
+    if (destination.refused) return destination.refused;
+    const { connectedAccountId, heldForAccount } = destination;
+    const fee = await computeApplicationFee(location, amount, currency);
+    const generation = (previous?.generation || 0) + 1;
+
+    const { preauth, locale, cancellation } = await getLocationConfig(store, location);
+    const arrivalAt = arrivalInstant(payinfo.details || {}, cancellation?.timezone || locale?.timezone);
+    const base = {
+      ...(previous || {}),
+      reservation_id: reservationId,
+      location,
+      amount_cents: amount,
+      currency,
+      account_id: connectedAccountId || "",
+      capture_at: arrivalAt === null ? null : new Date(arrivalAt + (preauth?.capture_delay_hours || 0) * HOUR_MS).toISOString(),
+      reauthorize: preauth?.reauthorize !== false,
+      reauthorize_before_ms: (preauth?.reauthorize_before_hours || 24) * HOUR_MS,
+      generation,
+      release_requested: false,
+      attempts: 0,
+      last_error: "",
+      next_attempt_at: null,
+      stalled: false
+    };
+
+    let pi;
+    try {
+      pi = await stripe.paymentIntents.create({
+        amount,
+        currency,
+        customer: payinfo.customer_id,
+        payment_method: payinfo.payment_method_id,
+        capture_method: "manual",
+        off_session: true,
+        confirm: true,
+        metadata: {
+          reservation_id: reservationId,
+          location,
+          charge_kind: "hold",
+          hold_generation: String(generation),
+          ...(heldForAccount ? { held_for_account: heldForAccount } : {}),
+          ...(connectedAccountId ? feeMetadata(fee) : {})
+        },
+        transfer_data: connectedAccountId ? { destination: connectedAccountId } : undefined,
+        application_fee_amount: connectedAccountId && fee.amount > 0 ? fee.amount : undefined,
+        statement_descriptor_suffix: "SLIPREZI",
+        on_behalf_of: connectedAccountId || undefined,
+        expand: ["latest_charge"]
+      }, { idempotencyKey: `hold_${reservationId}_${generation}_${amount}` });
+    } catch (e) {
+      // A renewal that fails leaves the current hold in place (the caller flags it)
+      if (previous) return { status: "failed", error: e.message || "hold_failed" };
+      const failed = e?.payment_intent && (e.code === "authentication_required" || e.payment_intent.status === "requires_action")
+        ? "requires_action"
+        : "failed";
+      log.error("hold error:", e);
+      const hold = await saveHold(store, {
+        ...base,
+        status: failed,
+        payment_intent_id: e?.payment_intent?.id || "",
+        last_error: e.message || "hold_failed"
+      }, { event: failed, payment_intent_id: e?.payment_intent?.id || "" });
+      await store.setPreauthStatus(reservationId, failed === "requires_action" ? "hold_action_required" : "hold_failed").catch(()=>{});
+      return { status: failed, error: e.message || "hold_failed", hold };
+    }
+
+    const authorizedAt = Date.now();
+    const hold = await saveHold(store, {
+      ...base,
+      status: "authorized",
+      payment_intent_id: pi.id,
+      authorized_at: new Date(authorizedAt).toISOString(),
+      expires_at: new Date(authorizationExpiry(pi, authorizedAt)).toISOString(),
+      flag: ""
+    }, { event: previous ? "reauthorized" : "authorized", payment_intent_id: pi.id, amount_cents: amount });
+    await store.setPreauthStatus(reservationId, "hold_authorized").catch(()=>{});
+    return { status: "authorized", hold };
+  }
+
+  // Locations with preauth.enabled hold the stay's balance as soon as the card is saved; never fails the booking
+  async function holdAtBooking(reservationId){
+    try {
+      const payinfo = await store.getPaymentInfo(reservationId);
+      if (!payinfo?.customer_id || !payinfo?.payment_method_id) return null;
+      const locationConfig = await getLocationConfig(store, payinfo.location);
+      if (!locationConfig.preauth?.enabled) return null;
+      const existing = await getHold(store, reservationId);
+      if (existing && ["authorized", "captured"].includes(existing.status)) return existing;
+      if (!locationConfig.pricing) {
+        log.warn("preauth needs pricing to size the hold", { location: payinfo.location, reservation_id: reservationId });
+        return null;
+      }
+      const currency = locationCurrency(locationConfig);
+      const total = quote({ ...locationConfig.pricing, currency }, payinfo.details || {}).total_cents;
+      const amount = summarize(await getLedger(store, reservationId), total).balance_due_cents;
+      if (!(amount > 0) || checkAmount(amount, currency)) return null;
+      const result = await placeHold({ reservationId, location: payinfo.location, payinfo, amount, currency });
+      return result.hold || null;
+    } catch (e) {
+      log.warn("hold at booking failed", { reservation_id: reservationId }, e);
+      return null;
+    }
+  }
+
+  // kind: what the captured amount pays for, "hold" (the stay) or a policy fee. Stripe releases whatever isn't captured
+  async function captureHold(hold, amount = hold.amount_cents, { kind = "hold", metadata = {} } = {}){
+    const fee = await computeApplicationFee(hold.location, amount, hold.currency);
+    const pi = await stripe.paymentIntents.capture(hold.payment_intent_id, {
+      amount_to_capture: amount,
+      application_fee_amount: hold.account_id && fee.amount > 0 ? fee.amount : undefined,
+      // So the webhook and receipts file a fee under the fee
+      metadata: kind === "hold" ? undefined : { charge_kind: kind, ...metadata }
+    }, { idempotencyKey: `capture_${hold.payment_intent_id}_${amount}` });
+
+    await recordCharge(store, hold.reservation_id, { ...ledgerEntryFor(kind, pi), status: "succeeded" })
+      .catch(e => log.warn("hold ledger write failed:", e));
+    await store.setPreauthStatus(hold.reservation_id, chargeStatus(kind, "paid")).catch(()=>{});
+    await trackVolume(hold.location, pi);
+    await notifyPayment("payment_succeeded", pi);
+    return await saveHold(store, {
+      ...hold,
+      status: "captured",
+      captured_cents: pi.amount_received || amount,
+      captured_at: new Date().toISOString(),
+      attempts: 0,
+      next_attempt_at: null
+    }, { event: "captured", payment_intent_id: pi.id, amount_cents: pi.amount_received || amount, charge_kind: kind });
+  }
+
+  async function cancelHoldIntent(paymentIntentId, reason){
+    try {
+      await stripe.paymentIntents.cancel(paymentIntentId, { cancellation_reason: reason });
+    } catch (e) {
+      // Already canceled (by us, the dashboard or expiry) is fine
+      if (e?.code !== "payment_intent_unexpected_state") throw e;
+    }
+  }
+
+  async function releaseHold(hold, reason = "declined"){
+    await cancelHoldIntent(hold.payment_intent_id, "requested_by_customer");
+    const status = ["declined", "cancelled", "no_show"].includes(reason) ? reason : "released";
+    await store.setPreauthStatus(hold.reservation_id, status).catch(()=>{});
+    await notifyHoldReleased(hold, { declined: reason === "declined" });
+    return await saveHold(store, {
+      ...hold,
+      status: "released",
+      release_reason: reason,
+      release_requested: false,
+      released_at: new Date().toISOString(),
+      attempts: 0,
+      next_attempt_at: null
+    }, { event: "released", payment_intent_id: hold.payment_intent_id, reason });
+  }
+
+  function notifyHoldReleased(hold, extra = {}){
+    return notifier.notify("hold_released", {
+      reservationId: hold.reservation_id,
+      key: hold.payment_intent_id,
+      amount_cents: hold.amount_cents,
+      currency: hold.currency,
+      kind: "hold",
+      ...extra
+    });
+  }
+
+  async function expireHold(hold){
+    await cancelHoldIntent(hold.payment_intent_id, "abandoned").catch(e => log.warn("expired hold cancel failed:", e));
+    log.warn("hold expired before check-in", { payment_intent_id: hold.payment_intent_id, reservation_id: hold.reservation_id, location: hold.location });
+    await store.setPreauthStatus(hold.reservation_id, "hold_expired").catch(()=>{});
+    await recordAudit(store, { type: "hold_expired", reservation_id: hold.reservation_id, location: hold.location, payment_intent_id: hold.payment_intent_id });
+    return await saveHold(store, { ...hold, status: "expired", expired_at: new Date().toISOString() }, { event: "expired", payment_intent_id: hold.payment_intent_id });
+  }
+
+  // Needs a person: the hold will lapse before check-in and won't (or couldn't) be renewed
+  async function flagHold(hold, flag, extra = {}){
+    log.warn("hold flagged", { flag, reservation_id: hold.reservation_id, location: hold.location, expires_at: hold.expires_at });
+    await recordAudit(store, { type: `hold_${flag}`, reservation_id: hold.reservation_id, location: hold.location, payment_intent_id: hold.payment_intent_id, expires_at: hold.expires_at, ...extra });
+    return await saveHold(store, { ...hold, flag }, { event: "flagged", flag, ...extra });
+  }
+
+  // New authorization first, then let go of the old one, so the reservation is never uncovered
+  async function reauthorizeHold(hold){
+    const payinfo = await store.getPaymentInfo(hold.reservation_id);
+    if (!payinfo?.customer_id || !payinfo?.payment_method_id) return await flagHold(hold, "reauthorization_failed", { error: "missing_card" });
+    const result = await placeHold({
+      reservationId: hold.reservation_id,
+      location: hold.location,
+      payinfo,
+      amount: hold.amount_cents,
+      currency: hold.currency,
+      previous: hold
+    });
+    if (result.status !== "authorized") return await flagHold(hold, "reauthorization_failed", { error: result.error || result.reason || result.status });
+    await cancelHoldIntent(hold.payment_intent_id, "duplicate")
+      .catch(e => log.warn("old hold not canceled", { payment_intent_id: hold.payment_intent_id }, e));
+    return result.hold;
+  }
+
+  // Keep the hold document in step with captures/cancels done outside the scheduler
+  async function syncHold(pi){
+    const hold = await getHold(store, pi?.metadata?.reservation_id);
+    // Renewals cancel the previous PaymentIntent; those events are about a hold we no longer track
+    if (!hold || hold.payment_intent_id !== pi.id || hold.status !== "authorized") return;
+    if (pi.status === "succeeded") {
+      await saveHold(store, { ...hold, status: "captured", captured_cents: pi.amount_received, captured_at: new Date().toISOString() },
+        { event: "captured", payment_intent_id: pi.id, amount_cents: pi.amount_received });
+    } else if (pi.status === "canceled") {
+      const expired = pi.cancellation_reason === "automatic";
+      await saveHold(store, { ...hold, status: expired ? "expired" : "released", release_reason: pi.cancellation_reason || "" },
+        { event: expired ? "expired" : "released", payment_intent_id: pi.id });
+      if (expired) await store.setPreauthStatus(hold.reservation_id, "hold_expired");
+      else await notifyHoldReleased(hold);
+    }
+  }
+
+  /**
+   * Place a hold now (e.g. for a reservation booked before preauth was switched on).
+   * Body: { reservation_id, location?, amount_cents? }  — amount defaults to the computed balance
+   */
+  app.post("/holds", auth.authenticate, async (req, res) => {
+    try {
+      const { reservation_id, location = "", amount_cents } = req.body || {};
+      if (!reservation_id) return res.status(400).json({ error: "missing reservation_id" });
+      const payinfo = await store.getPaymentInfo(reservation_id);
+      if (!payinfo?.customer_id || !payinfo?.payment_method_id) {
+        return res.status(400).json({ error: "missing_customer_or_payment_method" });
+      }
+      const owner = await reservationLocation(payinfo, location);
+      if (!auth.canAccessLocation(req.auth, owner)) return res.status(403).json({ error: "forbidden" });
+      const existing = await getHold(store, reservation_id);
+      if (existing && ["authorized", "captured"].includes(existing.status)) {
+        return res.status(409).json({ error: `hold_${existing.status}`, hold: existing });
+      }
+
+      const locationConfig = await getLocationConfig(store, owner || location);
+      const currency = locationCurrency(locationConfig);
+      let amount = amount_cents === undefined || amount_cents === null || amount_cents === "" ? null : Math.floor(Number(amount_cents));
+      if (amount === null) {
+        if (!locationConfig.pricing) return res.status(400).json({ error: "amount_cents_required" });
+        try { amount = quote({ ...locationConfig.pricing, currency }, payinfo.details || {}).total_cents; }
+        catch (e) {
+          if (!(e instanceof PricingError)) throw e;
+          return res.status(400).json({ error: e.code, message: e.message });
+        }
+        amount = summarize(await getLedger(store, reservation_id), amount).balance_due_cents;
+      }
+      const amountProblem = checkAmount(amount, currency);
+      if (amountProblem) return res.status(400).json({ ...amountProblem, amount_cents: amount, currency });
+
+      const result = await placeHold({ reservationId: reservation_id, location: owner || location, payinfo, amount, currency });
+      return res.status(chargeHttpStatus(result)).json(result);
+    } catch (err) {
+      log.error("POST /holds error:", err);
+      return res.status(500).json({ error: "hold_failed" });
+    }
+  });
+
+  /** Holds at a location, soonest check-in first. Query: location, status? */
+  app.get("/holds", auth.requireLocation(req => req.query.location), async (req, res) => {
+    try {
+      const holds = await listHolds(store, { location: String(req.query.location || ""), status: String(req.query.status || "") });
+      return res.json({ holds: holds.map(({ history, ...h }) => h) });
+    } catch (err) {
+      log.error("GET /holds error:", err);
+      return res.status(500).json({ error: "holds_lookup_failed" });
+    }
+  });
+
+  /**
+   * Location turns a booking down. Body: { reservation_id, location?, reason? }
+   * Releases the hold (if any); when Stripe can't be reached the scheduler retries the release.
+   */
+  app.post("/decline", auth.authenticate, async (req, res) => {
+    try {
+      const { reservation_id, location = "", reason = "" } = req.body || {};
+      if (!reservation_id) return res.status(400).json({ error: "missing reservation_id" });
+      const payinfo = await store.getPaymentInfo(reservation_id);
+      if (!payinfo) return res.status(404).json({ error: "reservation_not_found" });
+      const owner = await reservationLocation(payinfo, location);
+      if (!auth.canAccessLocation(req.auth, owner)) return res.status(403).json({ error: "forbidden" });
+
+      const hold = await getHold(store, reservation_id);
+      if (hold?.status === "captured") return res.status(409).json({ error: "hold_captured", hint: "use /refund" });
+      await recordAudit(store, { type: "reservation_declined", reservation_id, location: owner, actor: req.auth?.sub || "", reason });
+      if (hold?.status !== "authorized") {
+        await store.setPreauthStatus(reservation_id, "declined");
+        return res.json({ status: "declined", hold: null });
+      }
+      try {
+        const released = await releaseHold(hold, "declined");
+        return res.json({ status: "declined", hold: released });
+      } catch (e) {
+        log.error("decline release error:", e);
+        const pending = await saveHold(store, { ...hold, release_requested: true, release_reason: "declined" }, { event: "release_requested" });
+        await store.setPreauthStatus(reservation_id, "declined").catch(()=>{});
+        return res.status(202).json({ status: "declined", release_pending: true, hold: pending });
+      }
+    } catch (err) {
+      log.error("POST /decline error:", err);
+      return res.status(500).json({ error: "decline_failed" });
+    }
+  });
+
+  /* -------------------- APPROVE (charge later) -------------------- */
+  // Outcome + latency of every /approve: the response's status (succeeded, action_required, failed,
+  // refused, nothing_due), "rejected" for other 4xx answers and "error" for 5xx
+  function countApprovals(req, res, next){
+    const end = metrics.approvalDuration.startTimer();
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      let result = res.statusCode >= 500 ? "error" : "rejected";
+      if (body?.nothing_due) result = "nothing_due";
+      else if (typeof body?.status === "string") result = body.status;
+      metrics.approvals.inc({ result });
+      end({ result });
+      return json(body);
+    };
+    next();
+  }
+
+  /**
+   * A stay's total for the given reservation details, shared by /approve and /adjust.
+   * With pricing the total is computed; a different requested amount needs a reason and is audited
+   * (audit: { reservation_id, location, actor }). Without pricing the requested amount is used as is.
+   * Returns { amount, source: "computed" | "override" | "client" } or { error } (a 400 body).
+   */
+  async function priceStay({ pricing, currency, details, requested, overrideReason, audit }){
+    if (!pricing) return { amount: requested, source: "client" };
+
+    let priceQuote = null;
+    let pricingError = null;
+    try { priceQuote = quote({ ...pricing, currency }, details); }
+    catch (e) { if (!(e instanceof PricingError)) throw e; pricingError = e; }
+
+    if (requested === null) {
+      if (!priceQuote) return { error: { error: pricingError.code, message: pricingError.message } };
+      return { amount: priceQuote.total_cents, source: "computed" };
+    }
+    if (priceQuote && requested === priceQuote.total_cents) return { amount: requested, source: "computed" };
+
+    const computed = priceQuote ? priceQuote.total_cents : null;
+    const reason = String(overrideReason || "").trim();
+    if (!reason) return { error: { error: "override_reason_required", computed_amount_cents: computed } };
+    await recordAudit(store, {
+      type: "amount_override",
+      ...audit,
+      computed_amount_cents: computed,
+      charged_amount_cents: requested,
+      reason
+    });
+    return { amount: requested, source: "override" };
+  }
+
+  /**
+   * Dashboard calls this when a location APPROVES a paid request.
+   * Body:
+   *  {
+   *    reservation_id, location, amount_cents?, override_reason?, currency?
+   *  }
+   * When the location has pricing configured the amount is computed server-side from the saved
+   * reservation details; a different amount_cents needs an override_reason and is audited.
+   * The currency is the location's (currency, if sent, must match it); amounts are in its minor unit.
+   * Server looks up saved customer & payment_method from the reservation store, then charges off-session.
+   * If SCA is needed, returns { status:"action_required", url: <Checkout link> }
+   * Caller must hold a token for the reservation's location (or admin scope).
+   */
+  app.post("/approve", countApprovals, auth.authenticate, async (req, res) => {
+    try {
+      const { reservation_id, amount_cents, currency = "", location = "", override_reason = "" } = req.body || {};
+      if (!reservation_id) return res.status(400).json({ error: "missing reservation_id" });
+
+      const requested = amount_cents === undefined || amount_cents === null || amount_cents === ""
+        ? null
+        : Math.floor(Number(amount_cents));
+      if (requested !== null && !(requested > 0)) return res.status(400).json({ error: "invalid amount_cents" });
+
+      // Fetch saved artifacts from the reservation store
+      const payinfo = await store.getPaymentInfo(reservation_id);
+      if (!payinfo?.customer_id || !payinfo?.payment_method_id) {
+        return res.status(400).json({ error: "missing_customer_or_payment_method" });
+      }
+      const owner = await reservationLocation(payinfo, location);
+      if (!auth.canAccessLocation(req.auth, owner)) return res.status(403).json({ error: "forbidden" });
+
+      const locationConfig = await getLocationConfig(store, owner || location);
+      const { pricing } = locationConfig;
+      const chargeCurrency = locationCurrency(locationConfig);
+      if (currency && String(currency).toLowerCase() !== chargeCurrency) {
+        return res.status(400).json({ error: "currency_mismatch", currency: chargeCurrency });
+      }
+
+      // Price it: computed by default, client amount only as an audited override
+      const priced = await priceStay({
+        pricing,
+        currency: chargeCurrency,
+        details: payinfo.details || {},
+        requested,
+        overrideReason: override_reason,
+        audit: { reservation_id, location: owner || location, actor: req.auth?.sub || "" }
+      });
+      if (priced.error) return res.status(400).json(priced.error);
+      let amount = priced.amount;
+      const amountSource = priced.source;
+      if (!amount) return res.status(400).json({ error: "invalid amount_cents" });
+
+      // amount is the stay's total: only charge what the deposit (and any earlier balance charge) didn't cover
+      const paid = summarize(await getLedger(store, reservation_id), amount);
+      const totalCents = amount;
+      amount = paid.balance_due_cents;
+      if (amount <= 0) {
+        return res.json({ status: "succeeded", nothing_due: true, amount_cents: 0, total_cents: totalCents, currency: chargeCurrency, ...paid });
+      }
+      const amountProblem = checkAmount(amount, chargeCurrency);
+      if (amountProblem) return res.status(400).json({ ...amountProblem, amount_cents: amount, currency: chargeCurrency });
+
+      // Pre-authorized: capture the hold now instead of charging the card again
+      const hold = await getHold(store, reservation_id);
+      if (hold?.status === "authorized") {
+        if (amount > hold.amount_cents) {
+          return res.status(409).json({ error: "amount_exceeds_hold", hold_amount_cents: hold.amount_cents, amount_cents: amount });
+        }
+        const captured = await captureHold(hold, amount);
+        return res.json({
+          status: "succeeded",
+          payment_intent_id: captured.payment_intent_id,
+          captured_from_hold: true,
+          amount_cents: amount,
+          total_cents: totalCents,
+          currency: chargeCurrency,
+          deposit_paid_cents: paid.deposit_paid_cents,
+          amount_source: amountSource
+        });
+      }
+
+      const result = await chargeOffSession({
+        kind: "approve",
+        reservationId: reservation_id,
+        location: owner || location,
+        payinfo,
+        amount,
+        currency: chargeCurrency,
+        metadata: { amount_source: amountSource }
+      });
+      return res.status(chargeHttpStatus(result)).json({
+        ...result,
+        amount_cents: amount,
+        total_cents: totalCents,
+        currency: chargeCurrency,
+        deposit_paid_cents: paid.deposit_paid_cents,
+        amount_source: amountSource
+      });
+    } catch (err) {
+      log.error("POST /approve error:", err);
+      return res.status(500).json({ error: "approve_failed" });
+    }
+  });
+
+  /* ------------------ CANCEL / NO-SHOW (policy fees) ------------------ */
+  /**
+   * Dashboard calls these when a boater cancels or doesn't turn up.
+   * Body: { reservation_id, location?, reason? }
+   * The fee comes from the location's cancellation policy and is charged to the saved card
+   * exactly like /approve (Connect routing, platform fee, SCA fallback). An authorized hold pays
+   * the fee or, when there's none, is released.
+   */
+  app.post("/cancel", auth.authenticate, async (req, res) => {
+    try {
+      const { reservation_id, location = "", reason = "" } = req.body || {};
+      if (!reservation_id) return res.status(400).json({ error: "missing reservation_id" });
+
+      const ctx = await loadPolicyContext(req, res, reservation_id, location);
+      if (!ctx) return;
+      const { payinfo, owner, policy, timezone, currency, baseAmount } = ctx;
+
+      const arrivalAt = arrivalInstant(payinfo.details, timezone);
+      if (policy && arrivalAt === null) return res.status(400).json({ error: "arrival_unknown" });
+
+      const fee = cancellationFee(policy, { arrivalAt, baseAmount });
+      if (fee.fee_cents === null) return res.status(400).json({ error: "base_amount_unknown" });
+      if (fee.fee_cents <= 0) {
+        // A release that failed is left to the worker; nothing is charged either way
+        const released = await settleHold(reservation_id, "cancellation_fee", 0, currency);
+        await store.setPreauthStatus(reservation_id, "cancelled");
+        return res.json({ status: "cancelled", rule: fee.rule, fee_cents: 0, ...(released ? { release_pending: true } : {}) });
+      }
+      if (!payinfo.customer_id || !payinfo.payment_method_id) {
+        return res.status(400).json({ error: "missing_customer_or_payment_method" });
+      }
+      const feeProblem = checkAmount(fee.fee_cents, currency);
+      if (feeProblem) return res.status(400).json({ ...feeProblem, rule: fee.rule, fee_cents: fee.fee_cents, currency });
+
+      const metadata = { fee_rule: fee.rule, note: String(reason).slice(0, 400) };
+      const settled = await settleHold(reservation_id, "cancellation_fee", fee.fee_cents, currency, metadata);
+      if (settled?.status === "hold_release_pending") return res.status(503).json({ ...settled, rule: fee.rule, fee_cents: fee.fee_cents });
+      const result = settled || await chargeOffSession({
+        kind: "cancellation_fee",
+        reservationId: reservation_id,
+        location: owner,
+        payinfo,
+        amount: fee.fee_cents,
+        currency,
+        metadata
+      });
+      return res.status(chargeHttpStatus(result)).json({ ...result, rule: fee.rule, fee_cents: fee.fee_cents });
+    } catch (err) {
+      log.error("POST /cancel error:", err);
+      return res.status(500).json({ error: "cancel_failed" });
+    }
+  });
+
+  app.post("/no-show", auth.authenticate, async (req, res) => {
+    try {
+      const { reservation_id, location = "" } = req.body || {};
+      if (!reservation_id) return res.status(400).json({ error: "missing reservation_id" });
+
+      const ctx = await loadPolicyContext(req, res, reservation_id, location);
+      if (!ctx) return;
+      const { payinfo, owner, policy, timezone, currency, baseAmount } = ctx;
+
+      const arrivalAt = arrivalInstant(payinfo.details, timezone);
+      if (arrivalAt !== null && arrivalAt > Date.now()) return res.status(409).json({ error: "arrival_not_reached" });
+
+      const fee = noShowFee(policy, { baseAmount });
+      if (fee.fee_cents === null) return res.status(400).json({ error: "base_amount_unknown" });
+      if (fee.fee_cents <= 0) {
+        // A release that failed is left to the worker; nothing is charged either way
+        const released = await settleHold(reservation_id, "no_show_fee", 0, currency);
+        await store.setPreauthStatus(reservation_id, "no_show");
+        return res.json({ status: "no_show", rule: fee.rule, fee_cents: 0, ...(released ? { release_pending: true } : {}) });
+      }
+      if (!payinfo.customer_id || !payinfo.payment_method_id) {
+        return res.status(400).json({ error: "missing_customer_or_payment_method" });
+      }
+      const feeProblem = checkAmount(fee.fee_cents, currency);
+      if (feeProblem) return res.status(400).json({ ...feeProblem, rule: fee.rule, fee_cents: fee.fee_cents, currency });
+
+      const metadata = { fee_rule: fee.rule };
+      const settled = await settleHold(reservation_id, "no_show_fee", fee.fee_cents, currency, metadata);
+      if (settled?.status === "hold_release_pending") return res.status(503).json({ ...settled, rule: fee.rule, fee_cents: fee.fee_cents });
+      const result = settled || await chargeOffSession({
+        kind: "no_show_fee",
+        reservationId: reservation_id,
+        location: owner,
+        payinfo,
+        amount: fee.fee_cents,
+        currency,
+        metadata
+      });
+      return res.status(chargeHttpStatus(result)).json({ ...result, rule: fee.rule, fee_cents: fee.fee_cents });
+    } catch (err) {
+      log.error("POST /no-show error:", err);
+      return res.status(500).json({ error: "no_show_failed" });
+    }
+  });
+
+  /* -------------------- REFUND (full or partial) -------------------- */
+  /**
+   * Dashboard calls this when a marina cancels or a boater leaves early.
+   * Body:
+   *  {
+   *    reservation_id, payment_intent_id?, amount_cents?, reason?,
+   *    reverse_transfer?, refund_application_fee?
+   *  }
+   * Omit amount_cents to refund everything still refundable. On destination charges the
+   * connected-account transfer is reversed and the application fee refunded unless told otherwise.
+   */
+  app.post("/refund", auth.authenticate, async (req, res) => {
+    try {
+      const {
+        reservation_id = "",
+        payment_intent_id = "",
+        amount_cents,
+        reason = "",
+        reverse_transfer,
+        refund_application_fee
+      } = req.body || {};
+      if (!reservation_id && !payment_intent_id) return res.status(400).json({ error: "missing reservation_id" });
+
+      let piId = payment_intent_id;
+      if (!piId) {
+        // Deposit, balance, fees and adjustments are separate charges: pick from the ledger, never guess
+        const payinfo = await store.getPaymentInfo(reservation_id);
+        if (!payinfo) return res.status(404).json({ error: "payment_intent_not_found" });
+        if (!auth.canAccessLocation(req.auth, await reservationLocation(payinfo, ""))) return res.status(403).json({ error: "forbidden" });
+        const ledger = await getLedger(store, reservation_id);
+        const open = refundableCharges(ledger);
+        if (!open.length) {
+          const charged = ledger.charges.some(c => c.status === "succeeded");
+          return charged ? res.status(400).json({ error: "already_refunded" }) : res.status(404).json({ error: "payment_intent_not_found" });
+        }
+        if (open.length > 1) return res.status(409).json({ error: "payment_intent_required", charges: open });
+        piId = open[0].payment_intent_id;
+      }
+
+      const pi = await stripe.paymentIntents.retrieve(piId, { expand: ["latest_charge"] });
+      const reservationId = pi?.metadata?.reservation_id || reservation_id;
+      if (reservation_id && pi?.metadata?.reservation_id && pi.metadata.reservation_id !== reservation_id) {
+        return res.status(400).json({ error: "reservation_mismatch" });
+      }
+      if (!auth.canAccessLocation(req.auth, pi?.metadata?.location || "")) return res.status(403).json({ error: "forbidden" });
+
+      const charge = pi.latest_charge;
+      if (pi.status !== "succeeded" || !charge || typeof charge !== "object") {
+        return res.status(400).json({ error: "payment_not_refundable", payment_intent_status: pi.status });
+      }
+      const refundable = (charge.amount_captured || charge.amount) - (charge.amount_refunded || 0);
+      if (refundable <= 0) return res.status(400).json({ error: "already_refunded" });
+
+      let amount = refundable;
+      if (amount_cents !== undefined && amount_cents !== null && amount_cents !== "") {
+        const requested = Math.floor(Number(amount_cents));
+        if (!Number.isFinite(requested) || requested <= 0) return res.status(400).json({ error: "invalid amount_cents" });
+        if (requested > refundable) {
+          return res.status(400).json({ error: "amount_exceeds_refundable", refundable_cents: refundable });
+        }
+        amount = requested;
+      }
+
+      // Only meaningful on destination charges (transfer_data set by /approve)
+      const isDestination = Boolean(pi.transfer_data?.destination);
+      const refund = await stripe.refunds.create({
+        payment_intent: pi.id,
+        amount,
+        reason: STRIPE_REFUND_REASONS.includes(reason) ? reason : undefined,
+        reverse_transfer: isDestination ? flag(reverse_transfer, true) : undefined,
+        refund_application_fee: isDestination && pi.application_fee_amount ? flag(refund_application_fee, true) : undefined,
+        metadata: { reservation_id: reservationId, location: pi.metadata?.location || "", note: reason }
+      }, {
+        // amount_refunded moves after each refund, so repeated partial refunds of the same size stay distinct
+        idempotencyKey: `refund_${pi.id}_${charge.amount_refunded || 0}_${amount}`
+      });
+
+      let status = amount === refundable ? "refunded" : "partially_refunded";
+      if (reservationId) {
+        const ledger = await recordRefund(store, reservationId, pi.id, (charge.amount_refunded || 0) + amount);
+        // The reservation is refunded once nothing in its ledger is left to refund
+        if (refundableCharges(ledger).length) status = "partially_refunded";
+        await store.setPreauthStatus(reservationId, status).catch(()=>{});
+        const receipt = await syncInvoice(reservationId, pi.id);
+        await notifier.notify("refund_issued", {
+          reservationId,
+          key: `${charge.id}_${(charge.amount_refunded || 0) + amount}`,
+          amount_cents: amount,
+          currency: pi.currency,
+          receipt_url: receiptUrl(receipt)
+        });
+      }
+      return res.json({
+        status,
+        refund_id: refund.id,
+        refund_status: refund.status,
+        amount_refunded: amount,
+        refundable_remaining: refundable - amount,
+        payment_intent_id: pi.id
+      });
+    } catch (err) {
+      log.error("POST /refund error:", err);
+      const status = err?.statusCode && Number.isInteger(err.statusCode) ? err.statusCode : 500;
+      return res.status(status).json({ error: "refund_failed", stripe_message: err?.message || "" });
+    }
+  });
+
+  /* ------------- ADJUST (re-price a changed stay after approval) ------------- */
+  /**
+   * Dashboard calls this when an approved stay changes (more hours, another arrival, a longer boat).
+   * Body: { reservation_id, location?, hours?, arrivalDate?, arrivalTime?, boatLength?, amount_cents?, override_reason?, reason? }
+   * The new total is priced like /approve and compared with what the stay has collected (deposit and
+   * balance charges, less refunds). A higher total charges only the difference off-session (with the
+   * same SCA fallback); a lower one refunds the overpayment, newest charge first. The saved reservation
+   * details are updated unless the charge fails, and every attempt is kept in the reservation's ledger.
+   * Returns { status: "charged" | "action_required" | "refunded" | "no_change" | "failed" | "refused", adjustment_id, ... }
+   */
+  app.post("/adjust", auth.authenticate, async (req, res) => {
+    try {
+      const { reservation_id, location = "", amount_cents, override_reason = "", reason = "" } = req.body || {};
+      if (!reservation_id) return res.status(400).json({ error: "missing reservation_id" });
+
+      const changes = {};
+      for (const field of ADJUSTABLE_FIELDS) {
+        const value = req.body[field];
+        if (value !== undefined && value !== null) changes[field] = String(value).trim();
+      }
+      const requested = amount_cents === undefined || amount_cents === null || amount_cents === ""
+        ? null
+        : Math.floor(Number(amount_cents));
+      if (requested !== null && !(requested > 0)) return res.status(400).json({ error: "invalid amount_cents" });
+      if (!Object.keys(changes).length && requested === null) return res.status(400).json({ error: "nothing_to_adjust" });
+
+      const payinfo = await store.getPaymentInfo(reservation_id);
+      if (!payinfo) return res.status(404).json({ error: "reservation_not_found" });
+      const owner = await reservationLocation(payinfo, location);
+      if (!auth.canAccessLocation(req.auth, owner)) return res.status(403).json({ error: "forbidden" });
+
+      // An open hold would still be captured for the old amount; capture or release it first
+      const hold = await getHold(store, reservation_id);
+      if (hold?.status === "authorized") return res.status(409).json({ error: "hold_pending", hold_amount_cents: hold.amount_cents });
+
+      const ledger = await getLedger(store, reservation_id);
+      const paid = stayPayments(ledger);
+      if (!paid.charges.length) return res.status(409).json({ error: "nothing_collected" });
+
+      const locationConfig = await getLocationConfig(store, owner || location);
+      const currency = locationCurrency(locationConfig);
+      const previousDetails = payinfo.details || {};
+      const details = { ...previousDetails, ...changes };
+      const actor = req.auth?.sub || "";
+      const priced = await priceStay({
+        pricing: locationConfig.pricing,
+        currency,
+        details,
+        requested,
+        overrideReason: override_reason,
+        audit: { reservation_id, location: owner || location, actor }
+      });
+      if (priced.error) return res.status(400).json(priced.error);
+      if (!priced.amount) return res.status(400).json({ error: "invalid amount_cents" });
+      const newTotal = priced.amount;
+      const difference = newTotal - paid.collected_cents;
+
+      // Same change, same key, so a retried request doesn't charge twice; a new try after a failure gets its own
+      const failures = (ledger.adjustments || []).filter(a => a.status === "failed" || a.status === "refused").length;
+      const id = `adjust_${reservation_id}_${paid.collected_cents}_${newTotal}${failures ? `_${failures}` : ""}`;
+      const adjustment = {
+        id,
+        status: "no_change",
+        previous_details: previousDetails,
+        details,
+        collected_before_cents: paid.collected_cents,
+        new_total_cents: newTotal,
+        difference_cents: difference,
+        currency,
+        amount_source: priced.source,
+        payment_intent_id: "",
+        refunds: [],
+        actor,
+        reason: String(reason).slice(0, 500)
+      };
+
+      let charge = null;
+      if (difference > 0) {
+        if (!payinfo.customer_id || !payinfo.payment_method_id) {
+          return res.status(400).json({ error: "missing_customer_or_payment_method" });
+        }
+        const amountProblem = checkAmount(difference, currency);
+        if (amountProblem) return res.status(400).json({ ...amountProblem, amount_cents: difference, currency });
+
+        // On record before the charge, so its receipt lists the new details
+        await recordAdjustment(store, reservation_id, { ...adjustment, status: "pending" });
+        charge = await chargeOffSession({
+          kind: "adjustment",
+          reservationId: reservation_id,
+          location: owner || location,
+          payinfo,
+          amount: difference,
+          currency,
+          keySuffix: id,
+          metadata: { adjustment_id: id, amount_source: priced.source }
+        });
+        adjustment.status = charge.status === "succeeded" ? "charged" : charge.status;
+        adjustment.payment_intent_id = charge.payment_intent_id || "";
+        if (charge.error) adjustment.error = charge.error;
+      } else if (difference < 0) {
+        const refunded = await refundOverpayment(reservation_id, id, paid.charges, -difference, adjustment.reason);
+        Object.assign(adjustment, refunded);
+      }
+
+      if (adjustment.status !== "failed" && adjustment.status !== "refused") {
+        await store.saveSetup({
+          reservationId: reservation_id,
+          customerId: payinfo.customer_id || "",
+          paymentMethodId: payinfo.payment_method_id || "",
+          connectedAccountId: payinfo.connected_account_id || "",
+          location: payinfo.location || "",
+          details: { ...details, quoted_total_cents: String(newTotal) }
+        });
+      }
+      await recordAdjustment(store, reservation_id, adjustment);
+      await recordAudit(store, {
+        type: "reservation_adjusted",
+        reservation_id,
+        location: owner || location,
+        actor,
+        adjustment_id: id,
+        status: adjustment.status,
+        difference_cents: difference
+      });
+
+      const { id: adjustmentId, previous_details: _previous, ...shown } = adjustment;
+      const body = { adjustment_id: adjustmentId, ...shown };
+      if (charge?.url) body.url = charge.url;
+      if (charge?.reason) body.refusal_reason = charge.reason;
+      return res.status(chargeHttpStatus(adjustment)).json(body);
+    } catch (err) {
+      log.error("POST /adjust error:", err);
+      return res.status(500).json({ error: "adjust_failed" });
+    }
+  });
+
+  /**
+   * Refunds up to `amount` across the stay's charges, newest first.
+   * A Stripe error stops the loop; what was refunded by then is still reported.
+   * Returns { status: "refunded" | "failed", refunds, unrefunded_cents?, error? }
+   */
+  async function refundOverpayment(reservationId, adjustmentId, charges, amount, note){
+    const refunds = [];
+    let remaining = amount;
+    try {
+      for (const entry of charges) {
+        if (remaining <= 0) break;
+        const pi = await stripe.paymentIntents.retrieve(entry.payment_intent_id, { expand: ["latest_charge"] });
+        const charge = pi.latest_charge;
+        if (!charge || typeof charge !== "object") continue;
+        const alreadyRefunded = charge.amount_refunded || 0;
+        const part = Math.min(remaining, (charge.amount_captured || charge.amount) - alreadyRefunded);
+        if (part <= 0) continue;
+
+        const isDestination = Boolean(pi.transfer_data?.destination);
+        const refund = await stripe.refunds.create({
+          payment_intent: pi.id,
+          amount: part,
+          reverse_transfer: isDestination || undefined,
+          refund_application_fee: isDestination && pi.application_fee_amount ? true : undefined,
+          metadata: { reservation_id: reservationId, location: pi.metadata?.location || "", adjustment_id: adjustmentId, note }
+        }, { idempotencyKey: `refund_${pi.id}_${alreadyRefunded}_${part}` });
+
+        await recordRefund(store, reservationId, pi.id, alreadyRefunded + part);
+        const receipt = await syncInvoice(reservationId, pi.id);
+        await notifier.notify("refund_issued", {
+          reservationId,
+          key: `${charge.id}_${alreadyRefunded + part}`,
+          amount_cents: part,
+          currency: pi.currency,
+          receipt_url: receiptUrl(receipt)
+        });
+        refunds.push({ refund_id: refund.id, payment_intent_id: pi.id, amount_cents: part });
+        remaining -= part;
+      }
+    } catch (err) {
+      log.error("adjustment refund failed", { reservation_id: reservationId, adjustment_id: adjustmentId }, err);
+      return { status: "failed", refunds, unrefunded_cents: remaining, error: err?.message || "refund_failed" };
+    }
+    return remaining > 0 ? { status: "refunded", refunds, unrefunded_cents: remaining } : { status: "refunded", refunds };
+  }
+
+  /**
+   * A reservation's adjustments, newest last, with what its stay has collected.
+   * Query: reservation_id, location?
+   */
+  app.get("/adjustments", auth.authenticate, async (req, res) => {
+    try {
+      const reservationId = String(req.query.reservation_id || "");
+      if (!reservationId) return res.status(400).json({ error: "missing reservation_id" });
+      const payinfo = await store.getPaymentInfo(reservationId);
+      if (!payinfo) return res.status(404).json({ error: "reservation_not_found" });
+      const owner = await reservationLocation(payinfo, String(req.query.location || ""));
+      if (!auth.canAccessLocation(req.auth, owner)) return res.status(403).json({ error: "forbidden" });
+
+      const ledger = await getLedger(store, reservationId);
+      const { collected_cents, charges } = stayPayments(ledger);
+      return res.json({ reservation_id: reservationId, collected_cents, charges, adjustments: ledger.adjustments || [] });
+    } catch (err) {
+      log.error("GET /adjustments error:", err);
+      return res.status(500).json({ error: "adjustments_failed" });
+    }
+  });
+
+  /* ------------------------ INVOICES / RECEIPTS ------------------------ */
+  /**
+   * A receipt, for the boater: the link carries its access key, so the confirmation page and
+   * emails can link straight to it. Query: key, format? ("html" default | "pdf")
+   * Misses count against the same per-IP lookup limits as /checkout-session.
+   */
+  app.get("/invoices/:number", limitBy("lookup_ip", clientIp), async (req, res) => {
+    try {
+      const misses = await limiter.exhausted("lookup_failures_ip", clientIp(req));
+      if (!misses.allowed) return rateLimited(res, "lookup_failures_ip", misses);
+
+      const doc = await invoicer.getWithKey(req.params.number, String(req.query.key || ""));
+      if (!doc) {
+        await limiter.hit("lookup_failures_ip", clientIp(req));
+        return res.status(404).json({ error: "invoice_not_found" });
+      }
+      // Refunds revise it, and the key is in the URL
+      res.setHeader("Cache-Control", "no-store");
+      res.setHeader("Referrer-Policy", "no-referrer");
+      if (req.query.format === "pdf") {
+        res.setHeader("Content-Disposition", `inline; filename="${doc.number}.pdf"`);
+        return res.type("application/pdf").send(renderInvoicePdf(doc));
+      }
+      return res.type("html").send(renderInvoiceHtml(doc));
+    } catch (err) {
+      log.error("GET /invoices/:number error:", err);
+      return res.status(500).json({ error: "invoice_failed" });
+    }
+  });
+
+  /**
+   * Dashboard: a reservation's receipts with their download links. Query: reservation_id, location?
+   */
+  app.get("/invoices", auth.authenticate, async (req, res) => {
+    try {
+      const reservationId = String(req.query.reservation_id || "");
+      if (!reservationId) return res.status(400).json({ error: "missing reservation_id" });
+      const payinfo = await store.getPaymentInfo(reservationId);
+      if (!payinfo) return res.status(404).json({ error: "reservation_not_found" });
+      const owner = await reservationLocation(payinfo, String(req.query.location || ""));
+      if (!auth.canAccessLocation(req.auth, owner)) return res.status(403).json({ error: "forbidden" });
+
+      const invoices = await invoicer.list(reservationId);
+      return res.json({ reservation_id: reservationId, invoices: invoices.map(invoicer.summary) });
+    } catch (err) {
+      log.error("GET /invoices error:", err);
+      return res.status(500).json({ error: "invoices_failed" });
+    }
+  });
+
+  /* ---------------- Optional: legacy capture/release -------------- */
+  app.post("/capture", auth.authenticate, async (req, res) => {
+    try {
+      const { payment_intent_id, amount_cents } = req.body || {};
+      if (!payment_intent_id) return res.status(400).json({ error: "missing payment_intent_id" });
+      if (!(await canActOnPaymentIntent(req.auth, payment_intent_id))) return res.status(403).json({ error: "forbidden" });
+      const args = {};
+      if (Number.isFinite(Number(amount_cents)) && Number(amount_cents) > 0) {
+        args.amount_to_capture = Math.floor(Number(amount_cents));
+      }
+      const pi = await stripe.paymentIntents.capture(payment_intent_id, args);
+      const reservationId = pi?.metadata?.reservation_id;
+      if (reservationId) {
+        store.setPreauthStatus(reservationId, "paid").catch(()=>{});
+      }
+      if (pi?.metadata?.charge_kind === "hold") await syncHold(pi).catch(e => log.warn("hold sync failed:", e));
+      await notifyPayment("payment_succeeded", pi);
+      return res.json({ status: "ok", payment_intent: pi.id });
+    } catch (err) {
+      log.error("capture error:", err);
+      return res.status(500).json({ error: "capture_failed" });
+    }
+  });
+
+  app.post("/release", auth.authenticate, async (req, res) => {
+    try {
+      const { payment_intent_id } = req.body || {};
+      if (!payment_intent_id) return res.status(400).json({ error: "missing payment_intent_id" });
+      if (!(await canActOnPaymentIntent(req.auth, payment_intent_id))) return res.status(403).json({ error: "forbidden" });
+      const pi = await stripe.paymentIntents.cancel(payment_intent_id);
+      const reservationId = pi?.metadata?.reservation_id;
+      if (reservationId) {
+        store.setPreauthStatus(reservationId, "released").catch(()=>{});
+      }
+      if (pi?.metadata?.charge_kind === "hold") await syncHold(pi).catch(e => log.warn("hold sync failed:", e));
+      await notifyPayment("hold_released", pi, { kind: "hold" });
+      return res.json({ status: "ok", payment_intent: pi.id });
+    } catch (err) {
+      log.error("release error:", err);
+      return res.status(500).json({ error: "release_failed" });
+    }
+  });
+
+  /* ------------------------- DISPUTES ------------------------- */
+  /**
+   * Disputes on a location's charges, newest first.
+   * Query: location, status=open (default: still needs a response or a decision) | all
+   */
+  app.get("/disputes", auth.requireLocation(req => req.query.location), async (req, res) => {
+    try {
+      const location = String(req.query.location || "");
+      if (!location) return res.status(400).json({ error: "missing location" });
+      const open = String(req.query.status || "open") !== "all";
+      const disputes = await listDisputes(store, { location, open });
+      return res.json({ location, disputes });
+    } catch (err) {
+      log.error("GET /disputes error:", err);
+      return res.status(500).json({ error: "disputes_lookup_failed" });
+    }
+  });
+
+  /**
+   * Send evidence for a dispute before evidence_due_by.
+   * Body: { evidence?: { ...Stripe evidence fields }, submit?: true }
+   * Evidence is drafted from the reservation (dates, hours, boater email, confirmation page record,
+   * charges, cancellation policy); fields in the body override the draft.
+   * submit: false stages it on Stripe without submitting (it can be edited until submitted).
+   */
+  app.post("/disputes/:id/evidence", auth.authenticate, async (req, res) => {
+    try {
+      const { evidence = {}, submit } = req.body || {};
+      if (!evidence || typeof evidence !== "object" || Array.isArray(evidence)) {
+        return res.status(400).json({ error: "invalid evidence" });
+      }
+      const dispute = await stripe.disputes.retrieve(req.params.id);
+      const saved = await getDispute(store, dispute.id);
+      const link = saved?.reservation_id
+        ? { reservationId: saved.reservation_id, location: saved.location }
+        : await disputeReservation(dispute);
+      if (!auth.canAccessLocation(req.auth, link.location || "")) return res.status(403).json({ error: "forbidden" });
+
+      if (!RESPONDABLE_STATUSES.includes(dispute.status)) {
+        return res.status(409).json({ error: "dispute_not_open", dispute_status: dispute.status });
+      }
+      const dueBy = dispute.evidence_details?.due_by;
+      if (dueBy && dueBy * 1000 <= Date.now()) {
+        return res.status(409).json({ error: "evidence_deadline_passed", evidence_due_by: new Date(dueBy * 1000).toISOString() });
+      }
+
+      const reservationId = link.reservationId;
+      const [info, ledger, confirmation, locationConfig] = await Promise.all([
+        reservationId ? store.getPaymentInfo(reservationId) : null,
+        reservationId ? getLedger(store, reservationId) : null,
+        getConfirmation(store, reservationId),
+        getLocationConfig(store, link.location)
+      ]);
+      const drafted = draftEvidence({
+        reservationId,
+        location: link.location,
+        info,
+        ledger,
+        confirmation,
+        policy: locationConfig.cancellation
+      });
+      const submitted = flag(submit, true);
+      const updated = await stripe.disputes.update(dispute.id, {
+        evidence: { ...drafted, ...evidence },
+        submit: submitted,
+        metadata: { reservation_id: reservationId, location: link.location || "" }
+      });
+
+      const doc = await saveDispute(store, updated, link);
+      await recordAudit(store, {
+        type: submitted ? "dispute_evidence_submitted" : "dispute_evidence_staged",
+        reservation_id: reservationId,
+        location: link.location || "",
+        actor: req.auth?.sub || "",
+        dispute_id: dispute.id,
+        fields: Object.keys({ ...drafted, ...evidence })
+      });
+      return res.json({ dispute: doc, submitted, evidence: updated.evidence });
+    } catch (err) {
+      log.error("POST /disputes/:id/evidence error:", err);
+      const status = err?.statusCode && Number.isInteger(err.statusCode) ? err.statusCode : 500;
+      return res.status(status).json({ error: "evidence_failed", stripe_message: err?.message || "" });
+    }
+  });
+
+  /* ------------------- REPORTS (reconciliation) ------------------- */
+  /**
+   * What a marina was paid, for which reservations.
+   * Query: from, to ("YYYY-MM-DD", inclusive, marina-local; default this month), format=json|csv
+   * Lines join charges, application fees, transfers and payouts on the location's Connect account
+   * back to reservation_id through the PaymentIntent metadata.
+   */
+  app.get("/reports/locations/:location/reconciliation", auth.requireLocation(req => req.params.location), async (req, res) => {
+    try {
+      const report = await loadReport(req.params.location, req.query);
+      if (String(req.query.format || "") !== "csv") return res.json(report);
+      return sendCsv(res, `reconciliation_${req.params.location}_${report.from}_${report.to}.csv`, reconciliationCsv(report));
+    } catch (err) {
+      if (err instanceof ReportError) return res.status(err.status).json({ error: err.code, message: err.message });
+      log.error("GET /reports/locations/:location/reconciliation error:", err);
+      return res.status(500).json({ error: "report_failed" });
+    }
+  });
+
+  app.get("/reports/locations/:location/payouts", auth.requireLocation(req => req.params.location), async (req, res) => {
+    try {
+      const report = await loadReport(req.params.location, req.query);
+      if (String(req.query.format || "") === "csv") {
+        return sendCsv(res, `payouts_${req.params.location}_${report.from}_${report.to}.csv`, payoutsCsv(report));
+      }
+      const { payouts, totals } = report;
+      return res.json({
+        location: report.location,
+        account_id: report.account_id,
+        from: report.from,
+        to: report.to,
+        payouts,
+        totals: {
+          paid_out_cents: totals.paid_out_cents,
+          in_transit_cents: totals.in_transit_cents,
+          failed_payouts_cents: totals.failed_payouts_cents,
+          not_paid_out_cents: totals.not_paid_out_cents
+        }
+      });
+    } catch (err) {
+      if (err instanceof ReportError) return res.status(err.status).json({ error: err.code, message: err.message });
+      log.error("GET /reports/locations/:location/payouts error:", err);
+      return res.status(500).json({ error: "report_failed" });
+    }
+  });
+
+  async function loadReport(location, query){
+    const locationConfig = await getLocationConfig(store, location);
+    const range = reportRange({ from: String(query.from || ""), to: String(query.to || "") }, locationConfig.locale?.timezone);
+    const accountId = await store.getAccountIdForLocation(location);
+    const report = await buildReconciliation({
+      stripe,
+      location,
+      accountId,
+      currency: locationCurrency(locationConfig),
+      fromMs: range.fromMs,
+      toMs: range.toMs
+    });
+    return { ...report, from: range.from, to: range.to };
+  }
+
+  function sendCsv(res, filename, body){
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename.replace(/[^\w.-]+/g, "_")}"`);
+    return res.send(body);
+  }
+
+  /* --------------------- ADMIN: access tokens --------------------- */
+  /**
+   * Mint a bearer token for the dashboard.
+   * Body: { locations: ["Marina A", ...], sub?, ttl_seconds? }  or  { scope: "admin", sub?, ttl_seconds? }
+   */
+  app.post("/admin/tokens", auth.requireAdmin, (req, res) => {
+    try {
+      if (!AUTH_TOKEN_SECRET) return res.status(503).json({ error: "auth_token_secret_not_set" });
+      const { scope = "location", locations = [], sub = "", ttl_seconds } = req.body || {};
+      if (!["location", "admin"].includes(scope)) return res.status(400).json({ error: "invalid scope" });
+      const list = (Array.isArray(locations) ? locations : [locations]).map(String).filter(Boolean);
+      if (scope === "location" && list.length === 0) return res.status(400).json({ error: "locations_required" });
+
+      const ttlSeconds = Number(ttl_seconds) > 0 ? Math.floor(Number(ttl_seconds)) : undefined;
+      const claims = scope === "admin" ? { sub: sub || "admin", scope } : { sub: sub || list.join(","), scope, locations: list };
+      const token = auth.sign(claims, { ttlSeconds });
+      const { exp } = JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+      return res.json({ token, scope, locations: claims.locations || [], expires_at: new Date(exp * 1000).toISOString() });
+    } catch (err) {
+      log.error("POST /admin/tokens error:", err);
+      return res.status(500).json({ error: "token_mint_failed" });
+    }
+  });
+
+  /* ------------------ ADMIN: location locale + fees ------------------ */
+  app.get("/admin/locations/:location/locale", auth.requireAdmin, async (req, res) => {
+    try {
+      const locationConfig = await getLocationConfig(store, req.params.location);
+      return res.json({
+        location: req.params.location,
+        locale: locationConfig.locale || {},
+        currency: locationCurrency(locationConfig)
+      });
+    } catch (err) {
+      log.error("GET /admin/locations/:location/locale error:", err);
+      return res.status(500).json({ error: "locale_lookup_failed" });
+    }
+  });
+
+  /**
+   * Body: { country: "CA", currency: "cad", timezone?: "America/Halifax", locale?: "en-CA" }
+   * Amounts in pricing, deposit, fees and policies are in this currency's minor unit, so the
+   * currency can't be changed under an existing pricing config in another currency.
+   */
+  app.put("/admin/locations/:location/locale", auth.requireAdmin, async (req, res) => {
+    try {
+      const locale = req.body || {};
+      const errors = validateLocale(locale);
+      if (errors.length) return res.status(400).json({ error: "invalid_locale", details: errors });
+      const { pricing } = await getLocationConfig(store, req.params.location);
+      if (locale.currency && pricing?.currency && pricing.currency !== locale.currency) {
+        return res.status(409).json({ error: "currency_conflict", pricing_currency: pricing.currency });
+      }
+      await setLocationSection(store, req.params.location, "locale", locale);
+      await recordAudit(store, { type: "locale_updated", location: req.params.location, actor: req.auth?.sub || "", locale });
+      return res.json({ location: req.params.location, locale });
+    } catch (err) {
+      log.error("PUT /admin/locations/:location/locale error:", err);
+      return res.status(500).json({ error: "locale_update_failed" });
+    }
+  });
+
+  app.get("/admin/locations/:location/fees", auth.requireAdmin, async (req, res) => {
+    try {
+      const { fees } = await getLocationConfig(store, req.params.location);
+      if (!fees) return res.status(404).json({ error: "fees_not_configured" });
+      return res.json({ location: req.params.location, fees });
+    } catch (err) {
+      log.error("GET /admin/locations/:location/fees error:", err);
+      return res.status(500).json({ error: "fees_lookup_failed" });
+    }
+  });
+
+  /**
+   * What a charge would pay right now. Query: amount_cents
+   * Returns the fee, the rule that produced it and the month's processed volume so far.
+   */
+  app.get("/admin/locations/:location/fees/preview", auth.requireAdmin, async (req, res) => {
+    try {
+      const amount = Math.floor(Number(req.query.amount_cents));
+      if (!(amount > 0)) return res.status(400).json({ error: "invalid amount_cents" });
+      const locationConfig = await getLocationConfig(store, req.params.location);
+      const currency = locationCurrency(locationConfig);
+      const fee = await computeApplicationFee(req.params.location, amount, currency);
+      const monthlyVolume = await getMonthlyVolume(store, req.params.location, fee.date.slice(0, 7));
+      return res.json({
+        location: req.params.location,
+        amount_cents: amount,
+        currency,
+        fee_cents: fee.amount,
+        rule: fee.rule,
+        bps: fee.bps,
+        fixed: fee.fixed,
+        date: fee.date,
+        monthly_volume_cents: monthlyVolume
+      });
+    } catch (err) {
+      log.error("GET /admin/locations/:location/fees/preview error:", err);
+      return res.status(500).json({ error: "fees_preview_failed" });
+    }
+  });
+
+  app.put("/admin/locations/:location/fees", auth.requireAdmin, async (req, res) => {
+    try {
+      const fees = req.body || {};
+      const errors = validateFees(fees);
+      if (errors.length) return res.status(400).json({ error: "invalid_fees", details: errors });
+      await setLocationSection(store, req.params.location, "fees", fees);
+      await recordAudit(store, { type: "fees_updated", location: req.params.location, actor: req.auth?.sub || "", fees });
+      return res.json({ location: req.params.location, fees });
+    } catch (err) {
+      log.error("PUT /admin/locations/:location/fees error:", err);
+      return res.status(500).json({ error: "fees_update_failed" });
+    }
+  });
+
+  // Back to the platform default (APPLICATION_FEE_* env)
+  app.delete("/admin/locations/:location/fees", auth.requireAdmin, async (req, res) => {
+    try {
+      await setLocationSection(store, req.params.location, "fees", undefined);
+      await recordAudit(store, { type: "fees_removed", location: req.params.location, actor: req.auth?.sub || "" });
+      return res.json({ location: req.params.location, fees: null });
+    } catch (err) {
+      log.error("DELETE /admin/locations/:location/fees error:", err);
+      return res.status(500).json({ error: "fees_delete_failed" });
+    }
+  });
+
+  /* -------------------- ADMIN: location pricing -------------------- */
+  app.get("/admin/locations/:location/pricing", auth.requireAdmin, async (req, res) => {
+    try {
+      const { pricing } = await getLocationConfig(store, req.params.location);
+      if (!pricing) return res.status(404).json({ error: "pricing_not_configured" });
+      return res.json({ location: req.params.location, pricing });
+    } catch (err) {
+      log.error("GET /admin/locations/:location/pricing error:", err);
+      return res.status(500).json({ error: "pricing_lookup_failed" });
+    }
+  });
+
+  app.put("/admin/locations/:location/pricing", auth.requireAdmin, async (req, res) => {
+    try {
+      const pricing = req.body || {};
+      const errors = validatePricing(pricing);
+      if (errors.length) return res.status(400).json({ error: "invalid_pricing", details: errors });
+      const { locale } = await getLocationConfig(store, req.params.location);
+      if (pricing.currency && locale?.currency && pricing.currency !== locale.currency) {
+        return res.status(400).json({ error: "currency_mismatch", currency: locale.currency });
+      }
+      await setLocationSection(store, req.params.location, "pricing", pricing);
+      await recordAudit(store, { type: "pricing_updated", location: req.params.location, actor: req.auth?.sub || "", pricing });
+      return res.json({ location: req.params.location, pricing });
+    } catch (err) {
+      log.error("PUT /admin/locations/:location/pricing error:", err);
+      return res.status(500).json({ error: "pricing_update_failed" });
+    }
+  });
+
+  app.put("/admin/locations/:location/deposit", auth.requireAdmin, async (req, res) => {
+    try {
+      const deposit = req.body || {};
+      const errors = validateDeposit(deposit);
+      if (errors.length) return res.status(400).json({ error: "invalid_deposit", details: errors });
+      await setLocationSection(store, req.params.location, "deposit", deposit);
+      await recordAudit(store, { type: "deposit_updated", location: req.params.location, actor: req.auth?.sub || "", deposit });
+      return res.json({ location: req.params.location, deposit });
+    } catch (err) {
+      log.error("PUT /admin/locations/:location/deposit error:", err);
+      return res.status(500).json({ error: "deposit_update_failed" });
+    }
+  });
+
+  /**
+   * Pre-authorization mode. Body: { enabled, capture_delay_hours?, reauthorize?, reauthorize_before_hours? }
+   * Needs pricing: the hold is the stay's computed balance.
+   */
+  app.get("/admin/locations/:location/preauth", auth.requireAdmin, async (req, res) => {
+    try {
+      const { preauth } = await getLocationConfig(store, req.params.location);
+      if (!preauth) return res.status(404).json({ error: "preauth_not_configured" });
+      return res.json({ location: req.params.location, preauth });
+    } catch (err) {
+      log.error("GET /admin/locations/:location/preauth error:", err);
+      return res.status(500).json({ error: "preauth_lookup_failed" });
+    }
+  });
+
+  app.put("/admin/locations/:location/preauth", auth.requireAdmin, async (req, res) => {
+    try {
+      const preauth = req.body || {};
+      const errors = validatePreauth(preauth);
+      if (errors.length) return res.status(400).json({ error: "invalid_preauth", details: errors });
+      await setLocationSection(store, req.params.location, "preauth", preauth);
+      await recordAudit(store, { type: "preauth_updated", location: req.params.location, actor: req.auth?.sub || "", preauth });
+      return res.json({ location: req.params.location, preauth });
+    } catch (err) {
+      log.error("PUT /admin/locations/:location/preauth error:", err);
+      return res.status(500).json({ error: "preauth_update_failed" });
+    }
+  });
+
+  app.get("/admin/locations/:location/cancellation-policy", auth.requireAdmin, async (req, res) => {
+    try {
+      const { cancellation } = await getLocationConfig(store, req.params.location);
+      if (!cancellation) return res.status(404).json({ error: "policy_not_configured" });
+      return res.json({ location: req.params.location, cancellation });
+    } catch (err) {
+      log.error("GET /admin/locations/:location/cancellation-policy error:", err);
+      return res.status(500).json({ error: "policy_lookup_failed" });
+    }
+  });
+
+  app.put("/admin/locations/:location/cancellation-policy", auth.requireAdmin, async (req, res) => {
+    try {
+      const cancellation = req.body || {};
+      const errors = validatePolicy(cancellation);
+      if (errors.length) return res.status(400).json({ error: "invalid_policy", details: errors });
+      await setLocationSection(store, req.params.location, "cancellation", cancellation);
+      await recordAudit(store, { type: "cancellation_policy_updated", location: req.params.location, actor: req.auth?.sub || "", cancellation });
+      return res.json({ location: req.params.location, cancellation });
+    } catch (err) {
+      log.error("PUT /admin/locations/:location/cancellation-policy error:", err);
+      return res.status(500).json({ error: "policy_update_failed" });
+    }
+  });
+
+  app.get("/admin/audit", auth.requireAdmin, async (req, res) => {
+    try {
+      const entries = await listAudit(store, {
+        reservationId: String(req.query.reservation_id || ""),
+        location: String(req.query.location || "")
+      });
+      return res.json({ entries });
+    } catch (err) {
+      log.error("GET /admin/audit error:", err);
+      return res.status(500).json({ error: "audit_lookup_failed" });
+    }
+  });
+
+  /* ------------------ ADMIN: effective config ------------------ */
+  // What this process is running with (secrets masked), and what loadConfig warned about
+  app.get("/admin/config", auth.requireAdmin, (req, res) => {
+    return res.json({
+      stripe_mode: STRIPE_MODE || "",
+      config: redactConfig(config),
+      warnings: config.CONFIG_WARNINGS || []
+    });
+  });
+
+  /* ------------------ ADMIN: boater emails ------------------ */
+  // What went out (or failed to) per reservation; status=failed lists the ones that need a look
+  app.get("/admin/notifications", auth.requireAdmin, async (req, res) => {
+    try {
+      const notifications = await listNotifications(store, {
+        reservationId: String(req.query.reservation_id || ""),
+        status: String(req.query.status || "")
+      });
+      return res.json({ notifications });
+    } catch (err) {
+      log.error("GET /admin/notifications error:", err);
+      return res.status(500).json({ error: "notifications_lookup_failed" });
+    }
+  });
+
+  /* ------------------ ADMIN: webhook event log ------------------ */
+  app.get("/admin/webhook-events", auth.requireAdmin, async (req, res) => {
+    try {
+      const status = String(req.query.status || "");
+      const events = await webhookLog.list({ status });
+      return res.json({ events });
+    } catch (err) {
+      log.error("GET /admin/webhook-events error:", err);
+      return res.status(500).json({ error: "webhook_events_failed" });
+    }
+  });
+
+  app.post("/admin/webhook-events/:id/replay", auth.requireAdmin, async (req, res) => {
+    try {
+      const record = await webhookLog.replay(req.params.id);
+      if (!record) return res.status(404).json({ error: "event_not_found" });
+      const { event, ...summary } = record;
+      return res.status(record.status === "processed" ? 200 : 502).json(summary);
+    } catch (err) {
+      log.error("POST /admin/webhook-events/:id/replay error:", err);
+      return res.status(500).json({ error: "replay_failed" });
+    }
+  });
+
+  /* ----------------------- Helpers ------------------------- */
+  // Which location owns a reservation: what setup saved, else the claimed location if its
+  // Connect account matches the saved one. "" means unknown (admin only).
+  async function reservationLocation(payinfo, claimedLocation){
+    let location = payinfo?.location || "";
+    if (!location && claimedLocation && payinfo?.connected_account_id) {
+      const acct = await store.getAccountIdForLocation(claimedLocation);
+      if (acct && acct === payinfo.connected_account_id) location = claimedLocation;
+    }
+    // From here on the request's log lines name the owning location
+    addContext({ location });
+    return location;
+  }
+
+  // Locations set up on the platform: a Connect account or saved settings. null for anything else
+  async function knownLocation(location){
+    const connectedAccountId = await store.getAccountIdForLocation(location);
+    const locationConfig = await getLocationConfig(store, location);
+    if (!connectedAccountId && !Object.keys(locationConfig).length) return null;
+    return { connectedAccountId, locationConfig };
+  }
+
+  async function canActOnPaymentIntent(authClaims, paymentIntentId){
+    if (authClaims?.scope === "admin") return true;
+    const pi = await stripe.paymentIntents.retrieve(paymentIntentId);
+    return auth.canAccessLocation(authClaims, pi?.metadata?.location || "");
+  }
+
+  // Shared lookup for /cancel and /no-show; sends the error response itself and returns null on failure
+  async function loadPolicyContext(req, res, reservationId, claimedLocation){
+    const payinfo = await store.getPaymentInfo(reservationId);
+    if (!payinfo) {
+      res.status(404).json({ error: "reservation_not_found" });
+      return null;
+    }
+    const owner = await reservationLocation(payinfo, claimedLocation);
+    if (!auth.canAccessLocation(req.auth, owner)) {
+      res.status(403).json({ error: "forbidden" });
+      return null;
+    }
+    const locationConfig = await getLocationConfig(store, owner || claimedLocation);
+    const { pricing, cancellation, locale } = locationConfig;
+    const currency = locationCurrency(locationConfig);
+    // Percentage fees are a share of what the stay would have cost
+    let baseAmount = 0;
+    if (pricing) {
+      try { baseAmount = quote({ ...pricing, currency }, payinfo.details || {}).total_cents; }
+      catch (e) { if (!(e instanceof PricingError)) throw e; }
+    }
+    // Arrival times are local to the marina: the policy's timezone, else the location's (with or without a policy)
+    const timezone = cancellation?.timezone || locale?.timezone;
+    const policy = cancellation ? { ...cancellation, timezone } : null;
+    return { payinfo, owner: owner || claimedLocation, policy, timezone, currency, baseAmount };
+  }
+
+  /**
+   * /cancel and /no-show with an authorized hold: the fee is captured from it (Stripe releases the rest),
+   * and with no fee, or one larger than the hold, the hold is released. If the release fails the worker
+   * retries it, and it never captures a hold with a release pending.
+   * Returns the charge result when the hold paid the fee, { status: "hold_release_pending" } when the
+   * release failed (so the card isn't charged on top of the authorization), else null.
+   */
+  async function settleHold(reservationId, kind, fee, currency, metadata = {}){
+    const hold = await getHold(store, reservationId);
+    if (hold?.status !== "authorized") return null;
+    if (fee > 0 && fee <= hold.amount_cents && hold.currency === currency) {
+      const captured = await captureHold(hold, fee, { kind, metadata });
+      return { status: "succeeded", payment_intent_id: captured.payment_intent_id, captured_from_hold: true };
+    }
+    const reason = kind === "no_show_fee" ? "no_show" : "cancelled";
+    try {
+      await releaseHold(hold, reason);
+    } catch (e) {
+      log.error("hold release error:", e);
+      await saveHold(store, { ...hold, release_requested: true, release_reason: reason }, { event: "release_requested" });
+      return { status: "hold_release_pending", error: "hold_release_pending" };
+    }
+    return null;
+  }
+
+  /**
+   * Platform fee for a charge at location: its fee schedule (tiers by this month's processed volume,
+   * promotions by the marina's local date), else the global env settings.
+   * Returns { amount, rule, bps, fixed, monthly_volume, date }
+   */
+  async function computeApplicationFee(location, amount, currency){
+    const { fees, locale } = await getLocationConfig(store, location);
+    const schedule = fees || defaultSchedule({
+      bps: APPLICATION_FEE_BPS,
+      fixed: APPLICATION_FEE_CENTS_FIXED,
+      fixedCurrency: APPLICATION_FEE_CURRENCY
+    }, currency);
+    const date = localDate(Date.now(), locale?.timezone);
+    const monthlyVolume = fees?.tiers?.length ? await getMonthlyVolume(store, location, date.slice(0, 7)) : 0;
+    return { ...feeFor(schedule, amount, { monthlyVolume, date }), monthly_volume: monthlyVolume, date };
+  }
+
+  // PaymentIntent metadata that explains its application_fee_amount
+  function feeMetadata(fee){
+    return {
+      fee_rule: fee.rule,
+      fee_rate: `${fee.bps}bps+${fee.fixed}`,
+      fee_monthly_volume: String(fee.monthly_volume)
+    };
+  }
+
+  // Succeeded charges count towards the location's monthly volume (fee tiers); each PaymentIntent once
+  async function trackVolume(location, pi){
+    if (!location || !pi?.id) return;
+    try {
+      const { locale } = await getLocationConfig(store, location);
+      const month = localDate(Date.now(), locale?.timezone).slice(0, 7);
+      await addVolume(store, location, month, pi.id, pi.amount_received || pi.amount);
+    } catch (e) {
+      log.warn("fee volume update failed:", e);
+    }
+  }
+
+  // Reservation and location behind a dispute, from the disputed PaymentIntent's (or charge's) metadata
+  async function disputeReservation(dispute){
+    const piId = typeof dispute.payment_intent === "object" ? dispute.payment_intent?.id : dispute.payment_intent;
+    let meta = {};
+    if (piId) {
+      meta = (await stripe.paymentIntents.retrieve(piId))?.metadata || {};
+    } else if (dispute.charge) {
+      const chargeId = typeof dispute.charge === "object" ? dispute.charge.id : dispute.charge;
+      meta = (await stripe.charges.retrieve(chargeId))?.metadata || {};
+    }
+    return { reservationId: meta.reservation_id || "", location: meta.location || "" };
+  }
+
+  async function syncDispute(type, dispute){
+    const { reservationId, location } = await disputeReservation(dispute);
+    const doc = await saveDispute(store, dispute, { reservationId, location });
+    // A stale event for an already-closed dispute leaves the reservation alone
+    if (doc.status !== dispute.status) return;
+    if (doc.reservation_id) await store.setPreauthStatus(doc.reservation_id, disputeStatusFor(dispute));
+    if (type === "charge.dispute.created") {
+      log.warn("dispute opened", { dispute_id: dispute.id, payment_intent_id: doc.payment_intent_id, charge_id: doc.charge_id, location: doc.location, evidence_due_by: doc.evidence_due_by });
+    }
+    if (type !== "charge.dispute.updated") {
+      await recordAudit(store, {
+        type: type === "charge.dispute.created" ? "dispute_opened" : "dispute_closed",
+        reservation_id: doc.reservation_id,
+        location: doc.location,
+        dispute_id: dispute.id,
+        amount_cents: dispute.amount,
+        reason: dispute.reason || "",
+        status: dispute.status
+      });
+    }
+  }
+
+  // The card, if it is attached to this Customer; null for unknown ids and other people's cards
+  async function ownedCard(customerId, paymentMethodId){
+    if (!paymentMethodId) return null;
+    try {
+      const pm = await stripe.paymentMethods.retrieve(String(paymentMethodId));
+      const owner = typeof pm.customer === "object" ? pm.customer?.id : pm.customer;
+      return owner === customerId ? pm : null;
+    } catch (e) {
+      if (e?.statusCode === 404) return null;
+      throw e;
+    }
+  }
+
+  // Customers
+  async function findOrCreateCustomerByEmail(email){
+    // Try to find an existing Customer by email
+    const existing = await stripe.customers.list({ email, limit: 1 });
+    if (existing.data && existing.data[0]) return existing.data[0];
+    return await stripe.customers.create({ email });
+  }
+
+  app.locals.webhookLog = webhookLog;
+  app.locals.mailer = mail;
+  app.locals.holdScheduler = holdScheduler;
+  return app;
+}
+
+/* ------------------ Helpers (no app state) ------------------ */
+// Reservation details we keep with the saved card (pricing, policies and receipts read these)
+function reservationDetailsFrom(metadata, email){
+  const m = metadata || {};
+  return {
+    hours: m.hours || "",
+    arrivalDate: m.arrivalDate || "",
+    arrivalTime: m.arrivalTime || "",
+    boatLength: m.boatLength || "",
+    city: m.city || "",
+    state: m.state || "",
+    email: email || ""
+  };
+}
+
+// Reservation details /adjust may change
+const ADJUSTABLE_FIELDS = ["hours", "arrivalDate", "arrivalTime", "boatLength"];
+
+// Stripe only accepts these as refund.reason; anything else goes into metadata.note
+const STRIPE_REFUND_REASONS = ["duplicate", "fraudulent", "requested_by_customer"];
+
+function defaultPaymentMethodId(customer){
+  const pm = customer?.invoice_settings?.default_payment_method;
+  return (pm && typeof pm === "object" ? pm.id : pm) || "";
+}
+
+// Loose boolean for JSON/form bodies ("false", "0", false -> false)
+function flag(v, dflt){
+  if (v === undefined || v === null || v === "") return dflt;
+  return !["false", "0", "no", "off"].includes(String(v).toLowerCase());
+}
+
+// "refunded" only when the charge is, and the reservation's ledger (if given) has nothing else left to refund
+function refundStatusFor(charge, ledger = null){
+  const captured = charge?.amount_captured || charge?.amount || 0;
+  const full = charge?.refunded || (charge?.amount_refunded || 0) >= captured;
+  return full && !refundableCharges(ledger).length ? "refunded" : "partially_refunded";
+}
+
+module.exports = { createApp };
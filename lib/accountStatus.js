@@ -0,0 +1,71 @@
+// lib/accountStatus.js — cached Connect account readiness, kept fresh by account.updated / capability.updated
+const COLLECTION = "connect_accounts";
+
+const iso = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null);
+
+/** Flatten a Stripe Account into what the dashboard and the charge path need. */
+function summarizeAccount(acct, location = ""){
+  const req = acct?.requirements || {};
+  return {
+    account_id: acct.id,
+    location: location || acct?.metadata?.location || "",
+    charges_enabled: Boolean(acct.charges_enabled),
+    payouts_enabled: Boolean(acct.payouts_enabled),
+    details_submitted: Boolean(acct.details_submitted),
+    disabled_reason: req.disabled_reason || null,
+    currently_due: req.currently_due || [],
+    past_due: req.past_due || [],
+    eventually_due: req.eventually_due || [],
+    pending_verification: req.pending_verification || [],
+    current_deadline: iso(req.current_deadline),
+    capabilities: {
+      card_payments: acct?.capabilities?.card_payments || "inactive",
+      transfers: acct?.capabilities?.transfers || "inactive"
+    },
+    updated_at: new Date().toISOString()
+  };
+}
+
+/** Destination charges need the account able to take charges and receive transfers. */
+function canAcceptCharges(status){
+  return Boolean(status && status.charges_enabled && status.capabilities?.transfers === "active");
+}
+
+function unavailableReason(status){
+  if (!status) return "status_unknown";
+  if (status.disabled_reason) return status.disabled_reason;
+  if (!status.charges_enabled) return "charges_disabled";
+  if (status.capabilities?.transfers !== "active") return "transfers_inactive";
+  return null;
+}
+
+function createAccountStatus({ store, stripe, maxAgeMs = 60 * 60 * 1000 }){
+  async function get(accountId){
+    return await store.get(COLLECTION, accountId);
+  }
+
+  // Keeps the location we already know when the account has no metadata.location
+  async function save(acct, location = ""){
+    const previous = await get(acct.id);
+    const status = summarizeAccount(acct, location || previous?.location || "");
+    await store.put(COLLECTION, acct.id, status);
+    return status;
+  }
+
+  async function refresh(accountId, location = ""){
+    const acct = await stripe.accounts.retrieve(accountId);
+    return await save(acct, location);
+  }
+
+  /** Cached status, refetched when missing, older than maxAgeMs, or forced. */
+  async function current(accountId, { location = "", force = false } = {}){
+    const cached = await get(accountId);
+    const fresh = cached && Date.now() - Date.parse(cached.updated_at) < maxAgeMs;
+    if (cached && fresh && !force) return cached;
+    return await refresh(accountId, location);
+  }
+
+  return { get, save, refresh, current };
+}
+
+module.exports = { createAccountStatus, summarizeAccount, canAcceptCharges, unavailableReason };
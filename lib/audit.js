@@ -0,0 +1,22 @@
+// lib/audit.js — append-only audit trail for operator decisions (amount overrides, ...)
+const crypto = require("crypto");
+
+const COLLECTION = "audit_log";
+
+/** entry: { type, reservation_id?, location?, actor?, ...details } */
+async function recordAudit(store, entry){
+  const at = new Date().toISOString();
+  const id = `${at}_${crypto.randomBytes(4).toString("hex")}`;
+  const row = { id, at, ...entry };
+  await store.put(COLLECTION, id, row);
+  return row;
+}
+
+async function listAudit(store, { reservationId = "", location = "" } = {}){
+  const rows = (await store.list(COLLECTION)).map(({ value }) => value).filter(Boolean);
+  return rows
+    .filter(r => (!reservationId || r.reservation_id === reservationId) && (!location || r.location === location))
+    .sort((a, b) => String(b.at).localeCompare(String(a.at)));
+}
+
+module.exports = { recordAudit, listAudit };
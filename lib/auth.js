@@ -0,0 +1,112 @@
+// lib/auth.js — signed bearer tokens (HS256 JWT) scoped to locations, plus admin and customer scopes
+const crypto = require("crypto");
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const fromB64url = (s) => Buffer.from(String(s), "base64url").toString("utf8");
+
+function safeEqual(a, b){
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Claims we issue:
+ *   { sub, scope: "location" | "admin", locations: ["Some Marina", ...], iat, exp }
+ *   { sub: "cus_...", scope: "customer", email, iat, exp }   (boater, after a magic link)
+ * A "location" token may only act on the listed locations; "admin" may act on any.
+ * A "customer" token only reaches the boater's own saved cards, never dashboard routes.
+ */
+function signToken(claims, secret, { ttlSeconds = 30 * 24 * 60 * 60 } = {}){
+  if (!secret) throw new Error("AUTH_TOKEN_SECRET is not set");
+  const iat = Math.floor(Date.now() / 1000);
+  const payload = { iat, exp: iat + ttlSeconds, ...claims };
+  const head = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = b64url(JSON.stringify(payload));
+  const sig = crypto.createHmac("sha256", secret).update(`${head}.${body}`).digest("base64url");
+  return `${head}.${body}.${sig}`;
+}
+
+/** Returns the claims, or null if the token is malformed, forged or expired. */
+function verifyToken(token, secret){
+  if (!secret || !token) return null;
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+  const [head, body, sig] = parts;
+  const want = crypto.createHmac("sha256", secret).update(`${head}.${body}`).digest("base64url");
+  if (!safeEqual(sig, want)) return null;
+  try {
+    const header = JSON.parse(fromB64url(head));
+    if (header.alg !== "HS256") return null;
+    const claims = JSON.parse(fromB64url(body));
+    if (claims.exp && claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+function canAccessLocation(auth, location){
+  if (!auth) return false;
+  if (auth.scope === "admin") return true;
+  if (!location) return false;
+  return auth.scope === "location" && Array.isArray(auth.locations) && auth.locations.includes(location);
+}
+
+/**
+ * Express middleware bundle.
+ *   authenticate       — any valid dashboard token, location or admin (sets req.auth)
+ *   requireAdmin       — admin scope (or the static ADMIN_API_KEY)
+ *   requireLocation(fn) — fn(req) returns the location the request acts on
+ *   requireCustomer    — a boater's customer token (req.auth.sub is the Stripe Customer id)
+ */
+function createAuth({ secret = "", adminApiKey = "" } = {}){
+  function identify(req){
+    const raw = String(req.headers.authorization || "").replace(/^Bearer\s+/i, "").trim();
+    if (!raw) return null;
+    if (adminApiKey && safeEqual(raw, adminApiKey)) return { sub: "admin_api_key", scope: "admin" };
+    return verifyToken(raw, secret);
+  }
+
+  function authenticate(req, res, next){
+    const auth = identify(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    if (auth.scope === "customer") return res.status(403).json({ error: "forbidden" });
+    req.auth = auth;
+    return next();
+  }
+
+  function requireAdmin(req, res, next){
+    const auth = identify(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    if (auth.scope !== "admin") return res.status(403).json({ error: "forbidden" });
+    req.auth = auth;
+    return next();
+  }
+
+  function requireLocation(getLocation){
+    return (req, res, next) => authenticate(req, res, () => {
+      if (!canAccessLocation(req.auth, getLocation(req))) return res.status(403).json({ error: "forbidden" });
+      return next();
+    });
+  }
+
+  function requireCustomer(req, res, next){
+    const auth = identify(req);
+    if (!auth) return res.status(401).json({ error: "unauthorized" });
+    if (auth.scope !== "customer" || !String(auth.sub || "").startsWith("cus_")) return res.status(403).json({ error: "forbidden" });
+    req.auth = auth;
+    return next();
+  }
+
+  return {
+    authenticate,
+    requireAdmin,
+    requireLocation,
+    requireCustomer,
+    canAccessLocation,
+    sign: (claims, opts) => signToken(claims, secret, opts)
+  };
+}
+
+module.exports = { createAuth, signToken, verifyToken, canAccessLocation };
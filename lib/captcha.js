@@ -0,0 +1,26 @@
+// lib/captcha.js — server-side check of a Cloudflare Turnstile token (hCaptcha's siteverify takes the same request)
+const TURNSTILE_VERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+
+/**
+ * verify(token, ip) -> { ok: true } | { ok: false, error: "captcha_required" | "captcha_failed", codes }
+ * Without a secret the check is off and everything passes. Throws when the provider can't be reached;
+ * callers refuse the request then rather than let it through.
+ */
+function createCaptcha({ secret = "", verifyUrl = "", timeoutMs = 5000 } = {}){
+  async function verify(token, ip){
+    if (!secret) return { ok: true };
+    if (!token) return { ok: false, error: "captcha_required", codes: [] };
+
+    const body = new URLSearchParams({ secret, response: String(token) });
+    if (ip) body.set("remoteip", ip);
+    const r = await fetch(verifyUrl || TURNSTILE_VERIFY_URL, { method: "POST", body, signal: AbortSignal.timeout(timeoutMs) });
+    if (!r.ok) throw new Error(`captcha verify http ${r.status}`);
+    const data = await r.json();
+    if (data.success) return { ok: true };
+    return { ok: false, error: "captcha_failed", codes: data["error-codes"] || [] };
+  }
+
+  return { enabled: Boolean(secret), verify };
+}
+
+module.exports = { createCaptcha, TURNSTILE_VERIFY_URL };
@@ -0,0 +1,88 @@
+// lib/currency.js — Stripe currency rules: minor units, zero-decimal currencies, minimum charge amounts
+
+// Amounts are already whole units (¥500 is amount 500)
+const ZERO_DECIMAL = new Set([
+  "bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga", "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf"
+]);
+
+// Sent as two-decimal, but Stripe only charges whole units (amount must end in 00)
+const WHOLE_UNITS_ONLY = new Set(["isk", "huf", "twd"]);
+
+// Smallest charge Stripe accepts, in the currency's minor unit. Anything not listed is held to 50;
+// Stripe may still reject charges worth less than ~$0.50 after conversion to the settlement currency.
+const MINIMUM_CHARGE = {
+  usd: 50, cad: 50, aud: 50, nzd: 50, sgd: 50, eur: 50, chf: 50, brl: 50, inr: 50, jpy: 50,
+  gbp: 30, dkk: 250, nok: 300, sek: 300, czk: 1500, huf: 17500, pln: 200, ron: 200, bgn: 100,
+  hkd: 400, mxn: 1000, thb: 1000, myr: 200, aed: 200,
+  // Caribbean currencies we onboard (not on Stripe's table: about USD 0.50, rounded up)
+  xcd: 200, bsd: 50, bbd: 100, jmd: 10000, ttd: 400, kyd: 50, dop: 3000, awg: 100
+};
+const DEFAULT_MINIMUM = 50;
+
+const normalize = (currency) => String(currency || "").trim().toLowerCase();
+
+function isCurrencyCode(currency){
+  return /^[a-z]{3}$/.test(String(currency || ""));
+}
+
+function minorUnits(currency){
+  return ZERO_DECIMAL.has(normalize(currency)) ? 0 : 2;
+}
+
+function minimumCharge(currency){
+  return MINIMUM_CHARGE[normalize(currency)] ?? DEFAULT_MINIMUM;
+}
+
+/**
+ * Returns null when amount (minor units) is chargeable in currency, else
+ *   { error: "invalid_amount" | "amount_below_minimum" | "amount_not_whole_units", message, minimum_amount? }
+ */
+function checkAmount(amount, currency){
+  const c = normalize(currency);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { error: "invalid_amount", message: "amount must be a positive integer in the currency's minor unit" };
+  }
+  const minimum = minimumCharge(c);
+  if (amount < minimum) {
+    return { error: "amount_below_minimum", message: `${formatAmount(amount, c)} is below Stripe's minimum charge for ${c.toUpperCase()}`, minimum_amount: minimum };
+  }
+  if (WHOLE_UNITS_ONLY.has(c) && amount % 100 !== 0) {
+    return { error: "amount_not_whole_units", message: `${c.toUpperCase()} charges must be whole units (amount divisible by 100)` };
+  }
+  return null;
+}
+
+/** 12345, "cad" -> "CA$123.45"; 500, "jpy" -> "¥500" */
+function formatAmount(amount, currency, locale = "en-US"){
+  const c = normalize(currency) || "usd";
+  const digits = minorUnits(c);
+  const value = Number(amount || 0) / 10 ** digits;
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency: c.toUpperCase(), minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+  } catch {
+    return `${value.toFixed(digits)} ${c.toUpperCase()}`;
+  }
+}
+
+/**
+ * Locale config (location "locale" section):
+ *  { country: "CA", currency: "cad", timezone?: "America/Halifax", locale?: "en-CA" }
+ * country is the Connect account's country; currency is what every charge for the location uses.
+ */
+function validateLocale(locale){
+  const errors = [];
+  if (!locale || typeof locale !== "object") return ["locale must be an object"];
+  if (locale.country !== undefined && !/^[A-Z]{2}$/.test(String(locale.country))) errors.push("country must be a 2-letter uppercase ISO code");
+  if (locale.currency !== undefined && !isCurrencyCode(locale.currency)) errors.push("currency must be a 3-letter lowercase code");
+  if (locale.timezone !== undefined) {
+    try { new Intl.DateTimeFormat("en-US", { timeZone: locale.timezone }); }
+    catch { errors.push(`timezone "${locale.timezone}" is not a valid IANA zone`); }
+  }
+  if (locale.locale !== undefined) {
+    try { Intl.getCanonicalLocales(locale.locale); }
+    catch { errors.push(`locale "${locale.locale}" is not a valid BCP 47 tag`); }
+  }
+  return errors;
+}
+
+module.exports = { isCurrencyCode, minorUnits, minimumCharge, checkAmount, formatAmount, validateLocale, ZERO_DECIMAL };
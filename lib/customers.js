@@ -0,0 +1,53 @@
+// lib/customers.js — one-time magic links that let a boater manage the cards saved on their Customer
+const crypto = require("crypto");
+
+const COLLECTION = "magic_links";
+
+// Only a hash of the link token is stored, so the store alone can't be used to sign in
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Document per link (keyed by token hash):
+ *  { customer_id, email, created_at, expires_at, used_at }
+ * Returns the raw token to put in the emailed link.
+ */
+async function createMagicLink(store, { customerId, email, ttlSeconds = 15 * 60 }){
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+  await store.put(COLLECTION, hashToken(token), {
+    customer_id: customerId,
+    email,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + ttlSeconds * 1000).toISOString(),
+    used_at: null
+  });
+  return token;
+}
+
+/**
+ * Use up a link token. Returns { customer_id, email }, or null when it is unknown,
+ * expired or already used (links work once).
+ */
+async function redeemMagicLink(store, token){
+  if (!token) return null;
+  const key = hashToken(token);
+  const link = await store.get(COLLECTION, key);
+  if (!link || link.used_at || Date.parse(link.expires_at) <= Date.now()) return null;
+  await store.put(COLLECTION, key, { ...link, used_at: new Date().toISOString() });
+  return { customer_id: link.customer_id, email: link.email };
+}
+
+/** What the "my cards" page shows for a card PaymentMethod. */
+function summarizeCard(pm, defaultId = ""){
+  const card = pm?.card || {};
+  return {
+    id: pm.id,
+    brand: card.brand || "",
+    last4: card.last4 || "",
+    exp_month: card.exp_month || null,
+    exp_year: card.exp_year || null,
+    is_default: Boolean(defaultId) && pm.id === defaultId
+  };
+}
+
+module.exports = { createMagicLink, redeemMagicLink, summarizeCard };
@@ -0,0 +1,154 @@
+// lib/disputes.js — chargebacks on reservation charges, and the evidence we send back to Stripe
+const COLLECTION = "disputes";
+const CONFIRMATIONS = "confirmations";
+
+// Stripe dispute statuses that still need (or are waiting on) a response
+const OPEN_STATUSES = ["warning_needs_response", "needs_response", "warning_under_review", "under_review"];
+const RESPONDABLE_STATUSES = ["warning_needs_response", "needs_response"];
+
+const iso = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null);
+const idOf = (v) => (v && typeof v === "object" ? v.id : v || "");
+
+const isOpen = (status) => OPEN_STATUSES.includes(status);
+
+/**
+ * Reservation status for a dispute: "disputed" while it runs, then "dispute_won" / "dispute_lost".
+ * An inquiry closed without a chargeback (warning_closed) counts as won: the money stayed put.
+ */
+function disputeStatusFor(dispute){
+  if (dispute?.status === "lost") return "dispute_lost";
+  if (dispute?.status === "won" || dispute?.status === "warning_closed") return "dispute_won";
+  return "disputed";
+}
+
+/**
+ * Document per dispute id:
+ *  { dispute_id, reservation_id, location, payment_intent_id, charge_id, amount_cents, currency,
+ *    reason, status, evidence_due_by, has_evidence, submission_count, opened_at, closed_at, updated_at }
+ * A late or replayed event never reopens a closed dispute.
+ */
+async function saveDispute(store, dispute, { reservationId = "", location = "" } = {}){
+  const current = await store.get(COLLECTION, dispute.id);
+  if (current && !isOpen(current.status) && isOpen(dispute.status)) return current;
+  const details = dispute.evidence_details || {};
+  const now = new Date().toISOString();
+  const doc = {
+    ...(current || {}),
+    dispute_id: dispute.id,
+    reservation_id: reservationId || current?.reservation_id || "",
+    location: location || current?.location || "",
+    payment_intent_id: idOf(dispute.payment_intent) || current?.payment_intent_id || "",
+    charge_id: idOf(dispute.charge),
+    amount_cents: dispute.amount,
+    currency: dispute.currency,
+    reason: dispute.reason || "",
+    status: dispute.status,
+    evidence_due_by: iso(details.due_by),
+    has_evidence: Boolean(details.has_evidence),
+    submission_count: details.submission_count || 0,
+    opened_at: current?.opened_at || iso(dispute.created) || now,
+    closed_at: isOpen(dispute.status) ? null : current?.closed_at || now,
+    updated_at: now
+  };
+  await store.put(COLLECTION, dispute.id, doc);
+  return doc;
+}
+
+async function getDispute(store, disputeId){
+  return await store.get(COLLECTION, disputeId);
+}
+
+/** Newest first; open: true keeps the ones still awaiting a response or a decision. */
+async function listDisputes(store, { location = "", open = false } = {}){
+  const rows = (await store.list(COLLECTION)).map(({ value }) => value).filter(Boolean);
+  return rows
+    .filter(d => (!location || d.location === location) && (!open || isOpen(d.status)))
+    .sort((a, b) => String(b.opened_at).localeCompare(String(a.opened_at)));
+}
+
+/* ---------------------- confirmation page record ---------------------- */
+/**
+ * The boater loading the confirmation page (/checkout-session) is our proof they saw the booking.
+ * One document per reservation: { reservation_id, session_id, customer_email, ip, user_agent,
+ *   first_viewed_at, last_viewed_at, views }
+ */
+async function recordConfirmation(store, reservationId, { sessionId = "", email = "", ip = "", userAgent = "" } = {}){
+  if (!reservationId) return null;
+  const current = await store.get(CONFIRMATIONS, reservationId);
+  const now = new Date().toISOString();
+  const doc = current
+    ? { ...current, last_viewed_at: now, views: (current.views || 0) + 1 }
+    : {
+      reservation_id: reservationId,
+      session_id: sessionId,
+      customer_email: email,
+      ip,
+      user_agent: userAgent,
+      first_viewed_at: now,
+      last_viewed_at: now,
+      views: 1
+    };
+  await store.put(CONFIRMATIONS, reservationId, doc);
+  return doc;
+}
+
+async function getConfirmation(store, reservationId){
+  return reservationId ? await store.get(CONFIRMATIONS, reservationId) : null;
+}
+
+/* ------------------------------ evidence ------------------------------ */
+function policyDisclosure(policy){
+  if (!policy) return "";
+  const parts = [`Free cancellation up to ${policy.free_cancellation_hours || 0} hours before arrival.`];
+  if (policy.late_cancellation_bps || policy.late_cancellation_cents) parts.push("Later cancellations are charged a late cancellation fee.");
+  if (policy.no_show_bps || policy.no_show_cents) parts.push("No-shows are charged a no-show fee.");
+  return parts.join(" ");
+}
+
+/**
+ * Stripe dispute evidence (text fields) from what we know about the reservation.
+ * info: store.getPaymentInfo(); ledger: lib/ledger.js; confirmation: recordConfirmation(); policy: cancellation section
+ */
+function draftEvidence({ reservationId, location = "", info, ledger, confirmation, policy }){
+  const d = info?.details || {};
+  const where = [location || info?.location, d.city, d.state].filter(Boolean).join(", ");
+  const stay = [
+    d.arrivalDate && `arrival ${d.arrivalDate}${d.arrivalTime ? ` ${d.arrivalTime}` : ""}`,
+    d.hours && `${d.hours} hours`,
+    d.boatLength && `boat length ${d.boatLength} ft`
+  ].filter(Boolean).join(", ");
+
+  const notes = [`Reservation ${reservationId}`];
+  if (confirmation) {
+    notes.push(
+      `Booking confirmation page (checkout session ${confirmation.session_id}) viewed ${confirmation.views} time(s), ` +
+      `first at ${confirmation.first_viewed_at}${confirmation.ip ? ` from ${confirmation.ip}` : ""}` +
+      `${confirmation.user_agent ? ` (${confirmation.user_agent})` : ""}.`
+    );
+  }
+  for (const c of ledger?.charges || []) {
+    notes.push(`${c.kind} charge ${c.payment_intent_id}: ${c.amount_cents} ${String(c.currency || "").toUpperCase()} ${c.status} at ${c.updated_at || c.created_at}`);
+  }
+
+  const evidence = {
+    customer_email_address: d.email || confirmation?.customer_email || undefined,
+    customer_purchase_ip: confirmation?.ip || undefined,
+    service_date: d.arrivalDate || undefined,
+    product_description: `Marina slip reservation${where ? ` at ${where}` : ""}${stay ? `: ${stay}` : ""}`,
+    cancellation_policy_disclosure: policyDisclosure(policy) || undefined,
+    uncategorized_text: notes.join("\n")
+  };
+  return Object.fromEntries(Object.entries(evidence).filter(([, v]) => v !== undefined && v !== ""));
+}
+
+module.exports = {
+  disputeStatusFor,
+  saveDispute,
+  getDispute,
+  listDisputes,
+  recordConfirmation,
+  getConfirmation,
+  draftEvidence,
+  isOpen,
+  RESPONDABLE_STATUSES
+};
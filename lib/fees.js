@@ -0,0 +1,111 @@
+// lib/fees.js — platform application fee per location: base rate, floor/cap, volume tiers, promotions
+const VOLUME_COLLECTION = "fee_volume";
+
+const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || ""));
+const isAmount = (v) => v === undefined || (Number.isInteger(v) && v >= 0);
+const isBps = (v) => v === undefined || (Number.isInteger(v) && v >= 0 && v <= 10000);
+
+/**
+ * Fee schedule (location "fees" section), amounts in the location currency's minor unit:
+ *  {
+ *    bps?: 1000, fixed?: 30,                          // base rate: 10% + 30 per charge
+ *    min?: 100, max?: 2500,                           // floor/cap per charge (not applied during promotions)
+ *    tiers?: [{ name, from_volume: 5000000, bps?, fixed? }],
+ *                                                     // by the location's processed volume so far this month;
+ *                                                     // the highest tier reached wins, unset fields keep the base rate
+ *    promotions?: [{ name, start: "YYYY-MM-DD", end: "YYYY-MM-DD", bps?: 0, fixed?: 0 }]
+ *                                                     // inclusive local dates; beats tiers (zero-fee launch months)
+ *  }
+ * Locations without one fall back to APPLICATION_FEE_BPS, plus APPLICATION_FEE_CENTS_FIXED when the
+ * charge is in APPLICATION_FEE_CURRENCY (a flat amount means nothing in another currency).
+ */
+function validateFees(fees){
+  const errors = [];
+  if (!fees || typeof fees !== "object") return ["fees must be an object"];
+  if (!isBps(fees.bps)) errors.push("bps must be an integer between 0 and 10000");
+  for (const f of ["fixed", "min", "max"]) if (!isAmount(fees[f])) errors.push(`${f} must be a non-negative integer`);
+  if (fees.min !== undefined && fees.max !== undefined && fees.min > fees.max) errors.push("min must not exceed max");
+
+  if (fees.tiers !== undefined && !Array.isArray(fees.tiers)) errors.push("tiers must be an array");
+  (Array.isArray(fees.tiers) ? fees.tiers : []).forEach((t, i) => {
+    if (!t || !t.name) errors.push(`tiers[${i}].name is required`);
+    if (!Number.isInteger(t?.from_volume) || t.from_volume < 0) errors.push(`tiers[${i}].from_volume must be a non-negative integer`);
+    if (!isBps(t?.bps)) errors.push(`tiers[${i}].bps must be an integer between 0 and 10000`);
+    if (!isAmount(t?.fixed)) errors.push(`tiers[${i}].fixed must be a non-negative integer`);
+  });
+
+  if (fees.promotions !== undefined && !Array.isArray(fees.promotions)) errors.push("promotions must be an array");
+  (Array.isArray(fees.promotions) ? fees.promotions : []).forEach((p, i) => {
+    if (!p || !p.name) errors.push(`promotions[${i}].name is required`);
+    if (!isDate(p?.start) || !isDate(p?.end) || p.start > p.end) errors.push(`promotions[${i}] needs start <= end as YYYY-MM-DD`);
+    if (!isBps(p?.bps)) errors.push(`promotions[${i}].bps must be an integer between 0 and 10000`);
+    if (!isAmount(p?.fixed)) errors.push(`promotions[${i}].fixed must be a non-negative integer`);
+  });
+  return errors;
+}
+
+/** Schedule from the global env settings, for locations that have none of their own. */
+function defaultSchedule({ bps = 0, fixed = 0, fixedCurrency = "usd" } = {}, currency = "usd"){
+  return {
+    rule: "default",
+    bps,
+    fixed: String(currency).toLowerCase() === String(fixedCurrency).toLowerCase() ? fixed : 0
+  };
+}
+
+/**
+ * Fee for one charge and the rule that produced it.
+ * context: { monthlyVolume, date: "YYYY-MM-DD" } (local to the location)
+ * Returns { amount, rule, bps, fixed } — rule is "base" | "default" | "tier:<name>" | "promo:<name>",
+ * with "+min" / "+max" when the floor or cap kicked in.
+ */
+function feeFor(schedule, amount, { monthlyVolume = 0, date = "" } = {}){
+  if (!schedule) return { amount: 0, rule: "none", bps: 0, fixed: 0 };
+  let rule = schedule.rule || "base";
+  let rate = { bps: schedule.bps || 0, fixed: schedule.fixed || 0 };
+
+  const promo = date ? (schedule.promotions || []).find(p => date >= p.start && date <= p.end) : null;
+  if (promo) {
+    rule = `promo:${promo.name}`;
+    rate = { bps: promo.bps || 0, fixed: promo.fixed || 0 };
+  } else {
+    const tier = [...(schedule.tiers || [])]
+      .sort((a, b) => b.from_volume - a.from_volume)
+      .find(t => monthlyVolume >= t.from_volume);
+    if (tier) {
+      rule = `tier:${tier.name}`;
+      rate = { bps: tier.bps ?? rate.bps, fixed: tier.fixed ?? rate.fixed };
+    }
+  }
+
+  let fee = Math.floor((amount * rate.bps) / 10000) + rate.fixed;
+  if (!promo && schedule.min !== undefined && fee < schedule.min) { fee = schedule.min; rule += "+min"; }
+  if (!promo && schedule.max !== undefined && fee > schedule.max) { fee = schedule.max; rule += "+max"; }
+  // Stripe rejects a fee larger than the charge
+  return { amount: Math.min(fee, amount), rule, bps: rate.bps, fixed: rate.fixed };
+}
+
+/* ------------------------- monthly volume ------------------------- */
+// One document per location and month: { location, month: "YYYY-MM", processed_cents, payment_intents: [...] }
+const volumeKey = (location, month) => `${location}:${month}`;
+
+async function getMonthlyVolume(store, location, month){
+  if (!location) return 0;
+  const doc = await store.get(VOLUME_COLLECTION, volumeKey(location, month));
+  return doc?.processed_cents || 0;
+}
+
+/** Count a succeeded charge towards the location's month; each PaymentIntent counts once. */
+async function addVolume(store, location, month, paymentIntentId, amount){
+  if (!location || !paymentIntentId) return null;
+  const key = volumeKey(location, month);
+  const doc = (await store.get(VOLUME_COLLECTION, key)) || { location, month, processed_cents: 0, payment_intents: [] };
+  if (doc.payment_intents.includes(paymentIntentId)) return doc;
+  doc.payment_intents.push(paymentIntentId);
+  doc.processed_cents += Number(amount) || 0;
+  doc.updated_at = new Date().toISOString();
+  await store.put(VOLUME_COLLECTION, key, doc);
+  return doc;
+}
+
+module.exports = { validateFees, defaultSchedule, feeFor, getMonthlyVolume, addVolume };
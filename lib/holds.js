@@ -0,0 +1,148 @@
+// lib/holds.js — pre-authorization holds per reservation, and the worker that captures, releases or renews them
+const { logger: log, runWithContext } = require("./logger");
+
+const COLLECTION = "holds";
+
+const HOUR_MS = 60 * 60 * 1000;
+// Card authorizations on online payments last 7 days unless the charge says otherwise (capture_before)
+const AUTHORIZATION_MS = 7 * 24 * HOUR_MS;
+
+const iso = (ms) => new Date(ms).toISOString();
+
+/**
+ * Location "preauth" section:
+ *  {
+ *    enabled: true,                    // place a hold when the card is saved at booking
+ *    capture_delay_hours?: 0,          // capture this long after the arrival time (check-in)
+ *    reauthorize?: true,               // renew holds that would expire before check-in
+ *    reauthorize_before_hours?: 24     // how long before expiry to renew (or flag when reauthorize is false)
+ *  }
+ */
+function validatePreauth(preauth){
+  const errors = [];
+  if (!preauth || typeof preauth !== "object") return ["preauth must be an object"];
+  if (preauth.enabled !== undefined && typeof preauth.enabled !== "boolean") errors.push("enabled must be true or false");
+  if (preauth.reauthorize !== undefined && typeof preauth.reauthorize !== "boolean") errors.push("reauthorize must be true or false");
+  if (preauth.capture_delay_hours !== undefined && !(Number.isInteger(preauth.capture_delay_hours) && preauth.capture_delay_hours >= 0)) {
+    errors.push("capture_delay_hours must be a non-negative integer");
+  }
+  const before = preauth.reauthorize_before_hours;
+  if (before !== undefined && !(Number.isInteger(before) && before >= 1 && before < 7 * 24)) {
+    errors.push("reauthorize_before_hours must be an integer between 1 and 167");
+  }
+  return errors;
+}
+
+/**
+ * Document per reservation:
+ *  { reservation_id, location, payment_intent_id, amount_cents, currency,
+ *    status: "authorized" | "requires_action" | "failed" | "captured" | "released" | "expired",
+ *    authorized_at, expires_at, capture_at (null when the arrival time is unknown),
+ *    reauthorize, reauthorize_before_ms, generation (bumped on each renewal),
+ *    release_requested, flag ("" | "expiring" | "reauthorization_failed" | ...),
+ *    attempts, last_error, next_attempt_at, stalled, history: [{ at, event, payment_intent_id, ... }] }
+ */
+async function getHold(store, reservationId){
+  return reservationId ? await store.get(COLLECTION, reservationId) : null;
+}
+
+async function saveHold(store, hold, event = null){
+  const next = { ...hold, updated_at: new Date().toISOString() };
+  if (event) next.history = [...(hold.history || []), { at: next.updated_at, ...event }];
+  await store.put(COLLECTION, hold.reservation_id, next);
+  return next;
+}
+
+async function listHolds(store, { location = "", status = "" } = {}){
+  const rows = (await store.list(COLLECTION)).map(({ value }) => value).filter(Boolean);
+  return rows
+    .filter(h => (!location || h.location === location) && (!status || h.status === status))
+    .sort((a, b) => String(a.capture_at || "~").localeCompare(String(b.capture_at || "~")));
+}
+
+/** When an authorization on this PaymentIntent lapses. */
+function authorizationExpiry(pi, authorizedAt = Date.now()){
+  const charge = typeof pi?.latest_charge === "object" ? pi.latest_charge : null;
+  const captureBefore = charge?.payment_method_details?.card?.capture_before;
+  return captureBefore ? captureBefore * 1000 : authorizedAt + AUTHORIZATION_MS;
+}
+
+/**
+ * What the worker should do with a hold at time t:
+ *   "release" | "capture" | "expire" | "reauthorize" | "flag" | null
+ * Check-in wins over renewal: a hold due for capture is captured, not renewed.
+ */
+function nextAction(hold, t = Date.now()){
+  if (!hold || hold.status !== "authorized" || hold.stalled) return null;
+  if (hold.next_attempt_at && Date.parse(hold.next_attempt_at) > t) return null;
+  if (hold.release_requested) return "release";
+  if (hold.capture_at && Date.parse(hold.capture_at) <= t) return "capture";
+  const expiresAt = Date.parse(hold.expires_at);
+  if (expiresAt <= t) return "expire";
+  if (expiresAt - t > (hold.reauthorize_before_ms || 24 * HOUR_MS)) return null;
+  // Expiring soon; nothing to do when check-in comes first
+  if (hold.capture_at && Date.parse(hold.capture_at) < expiresAt) return null;
+  if (hold.reauthorize && hold.flag !== "reauthorization_failed") return "reauthorize";
+  return hold.flag ? null : "flag";
+}
+
+/**
+ * Background worker over the holds collection; state lives in the store, so a restart just picks up
+ * where it left off. actions: { capture, release, expire, reauthorize, flag } — each (hold) => Promise.
+ * A failing action is retried every retryDelayMs (growing) up to maxAttempts, then the hold is
+ * marked stalled for someone to look at.
+ */
+function createHoldScheduler({ store, actions, retryDelayMs = 15 * 60 * 1000, maxAttempts = 5, now = () => Date.now() }){
+  async function runDue(t = now()){
+    const holds = await listHolds(store, { status: "authorized" });
+    let acted = 0;
+    for (const hold of holds) {
+      const action = nextAction(hold, t);
+      if (!action) continue;
+      try {
+        await runWithContext({ reservation_id: hold.reservation_id, location: hold.location, job: `hold_${action}` }, () => actions[action](hold));
+        acted++;
+      } catch (err) {
+        const attempts = (hold.attempts || 0) + 1;
+        const stalled = attempts >= maxAttempts;
+        log.error("hold action failed", { hold_action: action, reservation_id: hold.reservation_id, location: hold.location, attempts }, err);
+        await saveHold(store, {
+          ...hold,
+          attempts,
+          last_error: err?.message || String(err),
+          next_attempt_at: stalled ? null : iso(t + retryDelayMs * attempts),
+          stalled,
+          flag: stalled ? `${action}_failed` : hold.flag
+        }, stalled ? { event: "stalled", action } : null);
+      }
+    }
+    return acted;
+  }
+
+  /** Returns a stop() function. */
+  function startWorker(intervalMs = 5 * 60 * 1000){
+    let busy = false;
+    const timer = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      try { await runDue(); }
+      catch (e) { log.error("hold scheduler error", e); }
+      finally { busy = false; }
+    }, intervalMs);
+    timer.unref?.();
+    return () => clearInterval(timer);
+  }
+
+  return { runDue, startWorker };
+}
+
+module.exports = {
+  validatePreauth,
+  getHold,
+  saveHold,
+  listHolds,
+  authorizationExpiry,
+  nextAction,
+  createHoldScheduler,
+  HOUR_MS
+};
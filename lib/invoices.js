@@ -0,0 +1,306 @@
+// lib/invoices.js — numbered receipts for reservation charges, with the marina's details, as HTML or PDF
+const crypto = require("crypto");
+const { getLedger } = require("./ledger");
+const { getLocationConfig, locationCurrency } = require("./locations");
+const { quote } = require("./pricing");
+const { formatAmount } = require("./currency");
+const { renderPdf } = require("./pdf");
+const { logger: log } = require("./logger");
+
+const COLLECTION = "invoices";          // by number
+const NUMBERS = "invoice_numbers";      // payment_intent_id -> number
+const COUNTERS = "invoice_counters";    // year -> last number issued
+
+const TITLES = { deposit: "Deposit receipt", cancellation_fee: "Cancellation fee receipt", no_show_fee: "No-show fee receipt" };
+const FEE_LINES = { cancellation_fee: "Late cancellation fee", no_show_fee: "No-show fee" };
+
+const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[ch]);
+const line = (description, amount, quantity = 1, unit = amount) => ({ description, quantity, unit_amount_cents: unit, amount_cents: amount });
+
+/**
+ * The marina as it appears on its receipts: the Connect account's public business details,
+ * falling back to the location name.
+ */
+function sellerFrom(account, location){
+  const profile = account?.business_profile || {};
+  const a = profile.support_address || account?.company?.address || null;
+  const address = a
+    ? [a.line1, a.line2, [a.city, a.state, a.postal_code].filter(Boolean).join(" "), a.country].filter(Boolean)
+    : [];
+  return {
+    name: profile.name || account?.company?.name || account?.settings?.dashboard?.display_name || location,
+    location,
+    address,
+    email: profile.support_email || account?.email || "",
+    phone: profile.support_phone || "",
+    url: profile.url || "",
+    account_id: account?.id || ""
+  };
+}
+
+/**
+ * Line items for one ledger charge. A balance charge lists the stay's priced items (when the
+ * reservation still prices to at least the amount charged) less what was paid before it;
+ * otherwise, and for deposits and fees, it's a single line.
+ * Returns { lines, taxes, subtotal_cents, tax_cents, paid_earlier_cents }
+ */
+function lineItems(entry, details, pricing){
+  const amount = entry.amount_cents;
+  const single = (description) => ({ lines: [line(description, amount)], taxes: [], subtotal_cents: amount, tax_cents: 0, paid_earlier_cents: 0 });
+  if (entry.kind === "deposit") return single("Booking deposit");
+  if (FEE_LINES[entry.kind]) return single(FEE_LINES[entry.kind]);
+
+  let q = null;
+  try { q = pricing ? quote(pricing, details) : null; } catch { q = null; }
+  if (!q || q.total_cents < amount) return single("Slip stay");
+  return {
+    lines: q.items.filter(i => i.code !== "tax").map(i => line(i.description, i.amount_cents, i.quantity, i.unit_amount_cents)),
+    taxes: q.items.filter(i => i.code === "tax").map(i => ({ description: i.description, amount_cents: i.amount_cents })),
+    subtotal_cents: q.subtotal_cents,
+    tax_cents: q.tax_cents,
+    paid_earlier_cents: q.total_cents - amount
+  };
+}
+
+const statusFor = (total, refunded) => (refunded <= 0 ? "paid" : refunded >= total ? "refunded" : "partially_refunded");
+
+/**
+ * Document per invoice number:
+ *  { number, revision, title, status: "paid" | "partially_refunded" | "refunded",
+ *    reservation_id, location, payment_intent_id, charge_kind, currency, locale, issued_at, updated_at,
+ *    seller: { name, location, address: [...], email, phone, url, account_id }, customer: { email },
+ *    stay: { arrival_date, arrival_time, hours, boat_length },
+ *    lines: [{ description, quantity, unit_amount_cents, amount_cents }], taxes: [{ description, amount_cents }],
+ *    subtotal_cents, tax_cents, paid_earlier_cents, total_cents (charged), refunded_cents, net_cents, access_key }
+ */
+function buildInvoice({ number, entry, reservationId, payinfo, pricing, currency, locale, seller, accessKey, issuedAt }){
+  const details = payinfo?.details || {};
+  const items = lineItems(entry, details, pricing ? { ...pricing, currency } : null);
+  const refunded = Number(entry.refunded_cents) || 0;
+  return {
+    number,
+    revision: 1,
+    title: TITLES[entry.kind] || "Receipt",
+    status: statusFor(entry.amount_cents, refunded),
+    reservation_id: reservationId,
+    location: payinfo?.location || seller.location || "",
+    payment_intent_id: entry.payment_intent_id,
+    charge_kind: entry.kind,
+    currency: entry.currency || currency,
+    locale,
+    issued_at: issuedAt,
+    updated_at: issuedAt,
+    seller,
+    customer: { email: details.email || "" },
+    stay: { arrival_date: details.arrivalDate || "", arrival_time: details.arrivalTime || "", hours: details.hours || "", boat_length: details.boatLength || "" },
+    ...items,
+    total_cents: entry.amount_cents,
+    refunded_cents: refunded,
+    net_cents: entry.amount_cents - refunded,
+    access_key: accessKey
+  };
+}
+
+// The invoice as label/amount rows, shared by the HTML and PDF renderings
+function summaryRows(doc){
+  const money = (cents) => formatAmount(cents, doc.currency, doc.locale || "en-US");
+  const rows = [{ label: "Subtotal", amount: money(doc.subtotal_cents) }];
+  for (const t of doc.taxes) rows.push({ label: t.description, amount: money(t.amount_cents) });
+  if (doc.paid_earlier_cents > 0) rows.push({ label: "Paid earlier", amount: money(-doc.paid_earlier_cents) });
+  rows.push({ label: "Amount charged", amount: money(doc.total_cents), bold: true });
+  if (doc.refunded_cents > 0) {
+    rows.push({ label: "Refunded", amount: money(-doc.refunded_cents) });
+    rows.push({ label: "Net paid", amount: money(doc.net_cents), bold: true });
+  }
+  return rows;
+}
+
+function stayLine(doc){
+  const s = doc.stay;
+  return [
+    s.arrival_date && `Arrival ${[s.arrival_date, s.arrival_time].filter(Boolean).join(" ")}`,
+    s.hours && `${s.hours} hours`,
+    s.boat_length && `${s.boat_length} ft boat`
+  ].filter(Boolean).join(" · ");
+}
+
+const issuedDate = (doc) => String(doc.issued_at).slice(0, 10);
+
+function renderInvoiceHtml(doc){
+  const money = (cents) => formatAmount(cents, doc.currency, doc.locale || "en-US");
+  const seller = doc.seller;
+  const contact = [seller.email, seller.phone, seller.url].filter(Boolean);
+  const revised = doc.revision > 1 ? ` (revised ${escapeHtml(String(doc.updated_at).slice(0, 10))})` : "";
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)} ${escapeHtml(doc.number)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 40px auto; padding: 0 16px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  .muted { color: #666; }
+  table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+  td, th { padding: 6px 0; text-align: left; }
+  th { border-bottom: 1px solid #ccc; font-weight: 600; }
+  .amount { text-align: right; white-space: nowrap; }
+  .totals td { border-top: 1px solid #eee; }
+  .bold td { font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(doc.title)}</h1>
+<p class="muted">No. ${escapeHtml(doc.number)} · issued ${escapeHtml(issuedDate(doc))}${revised} · ${escapeHtml(doc.status.replace(/_/g, " "))}</p>
+<p><strong>${escapeHtml(seller.name)}</strong>${seller.name !== seller.location && seller.location ? `<br>${escapeHtml(seller.location)}` : ""}
+${seller.address.map(l => `<br>${escapeHtml(l)}`).join("")}${contact.length ? `<br>${contact.map(escapeHtml).join(" · ")}` : ""}</p>
+<p>Billed to ${escapeHtml(doc.customer.email || "the boater")}<br>Reservation ${escapeHtml(doc.reservation_id)}${stayLine(doc) ? `<br>${escapeHtml(stayLine(doc))}` : ""}</p>
+<table>
+<tr><th>Description</th><th class="amount">Qty</th><th class="amount">Unit</th><th class="amount">Amount</th></tr>
+${doc.lines.map(l => `<tr><td>${escapeHtml(l.description)}</td><td class="amount">${l.quantity}</td><td class="amount">${escapeHtml(money(l.unit_amount_cents))}</td><td class="amount">${escapeHtml(money(l.amount_cents))}</td></tr>`).join("\n")}
+${summaryRows(doc).map(r => `<tr class="totals${r.bold ? " bold" : ""}"><td colspan="3">${escapeHtml(r.label)}</td><td class="amount">${escapeHtml(r.amount)}</td></tr>`).join("\n")}
+</table>
+<p class="muted">Payment ${escapeHtml(doc.payment_intent_id)}</p>
+</body>
+</html>
+`;
+}
+
+function renderInvoicePdf(doc){
+  const money = (cents) => formatAmount(cents, doc.currency, doc.locale || "en-US");
+  const seller = doc.seller;
+  const revised = doc.revision > 1 ? ` (revised ${String(doc.updated_at).slice(0, 10)})` : "";
+  const rows = [
+    { text: doc.title, size: 18, bold: true },
+    { text: `No. ${doc.number} · issued ${issuedDate(doc)}${revised} · ${doc.status.replace(/_/g, " ")}` },
+    { text: seller.name, bold: true, gap: 12 },
+    ...(seller.name !== seller.location && seller.location ? [{ text: seller.location }] : []),
+    ...seller.address.map(text => ({ text })),
+    ...[seller.email, seller.phone, seller.url].filter(Boolean).map(text => ({ text })),
+    { text: `Billed to ${doc.customer.email || "the boater"}`, gap: 12 },
+    { text: `Reservation ${doc.reservation_id}` },
+    ...(stayLine(doc) ? [{ text: stayLine(doc) }] : []),
+    { text: "Description", right: "Amount", bold: true, gap: 12 },
+    ...doc.lines.map(l => ({ text: l.description, right: money(l.amount_cents) })),
+    ...summaryRows(doc).map((r, i) => ({ text: r.label, right: r.amount, bold: r.bold, gap: i === 0 ? 6 : 0 })),
+    { text: `Payment ${doc.payment_intent_id}`, size: 8, gap: 12 }
+  ];
+  return renderPdf(rows, { title: `${doc.title} ${doc.number}` });
+}
+
+/**
+ * Issues one receipt per succeeded charge and keeps it in step with the charge's refunds.
+ * retrieveAccount(id): the Connect account, for the marina's business details.
+ * baseUrl: this server's public URL, for links that leave the API (the confirmation page, emails).
+ * Numbers run per calendar year: <prefix>-2026-000001.
+ */
+function createInvoicer({ store, retrieveAccount, prefix = "SR", baseUrl = "" }){
+  // One issue at a time, so the route and the webhook for the same charge can't both take a number
+  let queue = Promise.resolve();
+  const serially = (fn) => {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  async function nextNumber(year){
+    const last = Number(await store.get(COUNTERS, year)) || 0;
+    await store.put(COUNTERS, year, last + 1);
+    return `${prefix}-${year}-${String(last + 1).padStart(6, "0")}`;
+  }
+
+  async function sellerFor(payinfo){
+    const location = payinfo?.location || "";
+    const accountId = payinfo?.connected_account_id || (location ? await store.getAccountIdForLocation(location) : "");
+    let account = null;
+    if (accountId && retrieveAccount) {
+      account = await retrieveAccount(accountId).catch(e => { log.warn("invoice account lookup failed", { account_id: accountId }, e); return null; });
+    }
+    return sellerFrom(account, location);
+  }
+
+  /**
+   * The receipt for a reservation's charge: issued on first call once the charge has succeeded, then
+   * revised (revision + 1) whenever its refunded total changes. Resolves null for charges that
+   * aren't in the ledger or haven't succeeded.
+   */
+  function sync(reservationId, paymentIntentId){
+    return serially(async () => {
+      if (!reservationId || !paymentIntentId) return null;
+      const ledger = await getLedger(store, reservationId);
+      const entry = ledger.charges.find(c => c.payment_intent_id === paymentIntentId);
+      if (!entry || entry.status !== "succeeded") return null;
+
+      const number = await store.get(NUMBERS, paymentIntentId);
+      const current = number ? await store.get(COLLECTION, number) : null;
+      if (current) {
+        const refunded = Number(entry.refunded_cents) || 0;
+        if (refunded === current.refunded_cents) return current;
+        const revised = {
+          ...current,
+          revision: current.revision + 1,
+          status: statusFor(current.total_cents, refunded),
+          refunded_cents: refunded,
+          net_cents: current.total_cents - refunded,
+          updated_at: new Date().toISOString()
+        };
+        await store.put(COLLECTION, current.number, revised);
+        return revised;
+      }
+
+      // An /adjust charge is for the adjusted stay, which is saved only once the charge goes through
+      const saved = await store.getPaymentInfo(reservationId);
+      const adjustment = entry.adjustment_id ? (ledger.adjustments || []).find(a => a.id === entry.adjustment_id) : null;
+      const payinfo = adjustment ? { ...saved, details: { ...saved?.details, ...adjustment.details } } : saved;
+      const locationConfig = await getLocationConfig(store, payinfo?.location || "");
+      const issuedAt = new Date().toISOString();
+      const doc = buildInvoice({
+        number: await nextNumber(issuedAt.slice(0, 4)),
+        entry,
+        reservationId,
+        payinfo,
+        pricing: locationConfig.pricing,
+        currency: locationCurrency(locationConfig),
+        locale: locationConfig.locale?.locale || "en-US",
+        seller: await sellerFor(payinfo),
+        accessKey: crypto.randomBytes(18).toString("base64url"),
+        issuedAt
+      });
+      await store.put(COLLECTION, doc.number, doc);
+      await store.put(NUMBERS, paymentIntentId, doc.number);
+      return doc;
+    });
+  }
+
+  /** The invoice when key is its access key, else null. */
+  async function getWithKey(number, key){
+    const doc = await store.get(COLLECTION, String(number));
+    if (!doc?.access_key || !key) return null;
+    const a = Buffer.from(String(key));
+    const b = Buffer.from(doc.access_key);
+    return a.length === b.length && crypto.timingSafeEqual(a, b) ? doc : null;
+  }
+
+  /** A reservation's invoices, oldest first. */
+  async function list(reservationId){
+    const rows = (await store.list(COLLECTION)).map(({ value }) => value).filter(Boolean);
+    return rows
+      .filter(d => d.reservation_id === reservationId)
+      .sort((a, b) => String(a.issued_at).localeCompare(String(b.issued_at)) || a.number.localeCompare(b.number));
+  }
+
+  /** Download link; key-protected, so it can go to the boater. format: "html" | "pdf" */
+  function urlFor(doc, format = "html"){
+    const path = `/invoices/${encodeURIComponent(doc.number)}?key=${encodeURIComponent(doc.access_key)}${format === "pdf" ? "&format=pdf" : ""}`;
+    return `${baseUrl.replace(/\/+$/, "")}${path}`;
+  }
+
+  /** What the API shows of an invoice: everything but the access key, plus its links. */
+  function summary(doc){
+    const { access_key: _key, ...shown } = doc;
+    return { ...shown, html_url: urlFor(doc, "html"), pdf_url: urlFor(doc, "pdf") };
+  }
+
+  return { sync, getWithKey, list, urlFor, summary };
+}
+
+module.exports = { createInvoicer, buildInvoice, sellerFrom, lineItems, renderInvoiceHtml, renderInvoicePdf };
@@ -0,0 +1,141 @@
+// lib/ledger.js — every charge taken for a reservation (deposit, balance, fees), keyed by PaymentIntent
+const COLLECTION = "reservation_charges";
+// Index of charges kept on the platform for an account that couldn't take them (CONNECT_UNAVAILABLE_MODE=hold),
+// keyed by PaymentIntent: { payment_intent_id, reservation_id, account_id }. Removed once transferred.
+const HELD = "held_funds";
+
+/**
+ * Document per reservation:
+ *  { reservation_id,
+ *    charges: [{ kind, payment_intent_id, amount_cents, refunded_cents?, adjustment_id?, currency, status,
+ *                held_for_account?, transfer_id?, transferred_cents?, created_at, updated_at }],
+ *    adjustments: [{ id, status, previous_details, details, collected_before_cents, new_total_cents, difference_cents,
+ *                    payment_intent_id?, refunds: [{ refund_id, payment_intent_id, amount_cents }], ... }] }
+ * kind:   "deposit" | "balance" | "cancellation_fee" | "no_show_fee" (/adjust charges pay more balance)
+ * status: "succeeded" | "requires_action" | "failed" | "canceled"
+ * adjustment status: "pending" (charging) | "charged" | "refunded" | "no_change" | "action_required" | "failed" | "refused"
+ */
+async function getLedger(store, reservationId){
+  return (await store.get(COLLECTION, reservationId)) || { reservation_id: reservationId, charges: [] };
+}
+
+/** Insert or update the entry for entry.payment_intent_id. */
+async function recordCharge(store, reservationId, entry){
+  if (!reservationId || !entry?.payment_intent_id) return null;
+  const ledger = await getLedger(store, reservationId);
+  const now = new Date().toISOString();
+  const i = ledger.charges.findIndex(c => c.payment_intent_id === entry.payment_intent_id);
+  if (i >= 0) ledger.charges[i] = { ...ledger.charges[i], ...entry, updated_at: now };
+  else ledger.charges.push({ created_at: now, updated_at: now, ...entry });
+  await store.put(COLLECTION, reservationId, ledger);
+  const charge = ledger.charges[i >= 0 ? i : ledger.charges.length - 1];
+  if (charge.held_for_account && charge.status === "succeeded" && charge.transfer_id === undefined) {
+    await store.put(HELD, charge.payment_intent_id, { payment_intent_id: charge.payment_intent_id, reservation_id: reservationId, account_id: charge.held_for_account });
+  }
+  return ledger;
+}
+
+/** Succeeded charges held on the platform for accountId and not transferred yet: [{ reservation_id, ...charge }] */
+async function listHeldCharges(store, accountId){
+  const held = (await store.list(HELD)).map(({ value }) => value).filter(h => h && h.account_id === accountId);
+  const charges = [];
+  for (const h of held) {
+    const charge = (await getLedger(store, h.reservation_id)).charges.find(c => c.payment_intent_id === h.payment_intent_id);
+    if (charge && charge.status === "succeeded" && charge.transfer_id === undefined) charges.push({ reservation_id: h.reservation_id, ...charge });
+  }
+  return charges;
+}
+
+/** A held charge was paid out to its account (transfer null: nothing was left to pay out). */
+async function recordTransfer(store, reservationId, paymentIntentId, transfer){
+  const ledger = await recordCharge(store, reservationId, {
+    payment_intent_id: paymentIntentId,
+    transfer_id: transfer?.id || "",
+    transferred_cents: transfer?.amount || 0
+  });
+  await store.remove(HELD, paymentIntentId);
+  return ledger;
+}
+
+/** Update status by PaymentIntent id; no-op when the PI isn't in the ledger yet and no kind is given. */
+async function updateChargeStatus(store, reservationId, paymentIntentId, status, extra = {}){
+  const ledger = await getLedger(store, reservationId);
+  if (!ledger.charges.some(c => c.payment_intent_id === paymentIntentId) && !extra.kind) return ledger;
+  return await recordCharge(store, reservationId, { payment_intent_id: paymentIntentId, status, ...extra });
+}
+
+/** Record a charge's running refunded total (Stripe's amount_refunded); no-op for PaymentIntents not in the ledger. */
+async function recordRefund(store, reservationId, paymentIntentId, refundedCents){
+  const ledger = await getLedger(store, reservationId);
+  if (!ledger.charges.some(c => c.payment_intent_id === paymentIntentId)) return ledger;
+  return await recordCharge(store, reservationId, { payment_intent_id: paymentIntentId, refunded_cents: Number(refundedCents) || 0 });
+}
+
+/** Insert or update the adjustment with adjustment.id. */
+async function recordAdjustment(store, reservationId, adjustment){
+  if (!reservationId || !adjustment?.id) return null;
+  const ledger = await getLedger(store, reservationId);
+  const adjustments = ledger.adjustments || [];
+  const now = new Date().toISOString();
+  const i = adjustments.findIndex(a => a.id === adjustment.id);
+  if (i >= 0) adjustments[i] = { ...adjustments[i], ...adjustment, updated_at: now };
+  else adjustments.push({ created_at: now, updated_at: now, ...adjustment });
+  await store.put(COLLECTION, reservationId, { ...ledger, adjustments });
+  return adjustments[i >= 0 ? i : adjustments.length - 1];
+}
+
+/** Update an adjustment's status by id; no-op when the ledger doesn't have it. */
+async function updateAdjustmentStatus(store, reservationId, id, status){
+  const ledger = await getLedger(store, reservationId);
+  if (!(ledger.adjustments || []).some(a => a.id === id)) return null;
+  return await recordAdjustment(store, reservationId, { id, status });
+}
+
+/**
+ * What the boater has actually paid for the stay (deposit and balance charges, less their refunds),
+ * and those charges newest first — the order /adjust refunds them in.
+ */
+function stayPayments(ledger){
+  const charges = (ledger?.charges || [])
+    .filter(c => ["deposit", "balance"].includes(c.kind) && c.status === "succeeded")
+    .map(c => ({ ...c, net_cents: (Number(c.amount_cents) || 0) - (Number(c.refunded_cents) || 0) }))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  return { collected_cents: charges.reduce((n, c) => n + c.net_cents, 0), charges };
+}
+
+/**
+ * Succeeded charges of any kind with something left to refund, newest first.
+ * Returns [{ payment_intent_id, kind, refundable_cents, currency }]
+ */
+function refundableCharges(ledger){
+  return (ledger?.charges || [])
+    .filter(c => c.status === "succeeded")
+    .map(c => ({ ...c, refundable_cents: (Number(c.amount_cents) || 0) - (Number(c.refunded_cents) || 0) }))
+    .filter(c => c.refundable_cents > 0)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+    .map(c => ({ payment_intent_id: c.payment_intent_id, kind: c.kind, refundable_cents: c.refundable_cents, currency: c.currency }));
+}
+
+/**
+ * Totals for the confirmation page and /approve.
+ * totalCents (the stay's price) is optional; without it balance_due_cents is null.
+ */
+function summarize(ledger, totalCents = null){
+  const charges = ledger?.charges || [];
+  const sum = (pred) => charges.filter(pred).reduce((n, c) => n + (Number(c.amount_cents) || 0), 0);
+  const succeeded = (kind) => (c) => c.kind === kind && c.status === "succeeded";
+
+  const depositPaid = sum(succeeded("deposit"));
+  const balancePaid = sum(succeeded("balance"));
+  const total = totalCents === null || totalCents === undefined || totalCents === "" ? null : Number(totalCents);
+  return {
+    deposit_paid_cents: depositPaid,
+    balance_paid_cents: balancePaid,
+    fees_paid_cents: sum(c => c.status === "succeeded" && !["deposit", "balance"].includes(c.kind)),
+    collected_cents: sum(c => c.status === "succeeded"),
+    total_cents: total,
+    balance_due_cents: total === null ? null : Math.max(0, total - depositPaid - balancePaid)
+  };
+}
+
+module.exports = { getLedger, recordCharge, updateChargeStatus, recordRefund, listHeldCharges, recordTransfer, recordAdjustment, updateAdjustmentStatus, stayPayments, refundableCharges, summarize };
@@ -0,0 +1,29 @@
+// lib/locations.js — per-location settings document in the reservation store
+const COLLECTION = "locations";
+
+/**
+ * One document per location name:
+ *  { locale: {...}, fees: {...}, pricing: {...}, deposit: {...}, cancellation: {...}, preauth: {...}, updated_at }
+ * Each section is owned by the module that reads it
+ * (locale -> lib/currency.js; fees -> lib/fees.js; pricing, deposit -> lib/pricing.js;
+ *  cancellation -> lib/policies.js; preauth -> lib/holds.js).
+ */
+async function getLocationConfig(store, location){
+  if (!location) return {};
+  return (await store.get(COLLECTION, location)) || {};
+}
+
+/** Replace one section (e.g. "pricing") of a location's settings. */
+async function setLocationSection(store, location, section, value){
+  const current = await getLocationConfig(store, location);
+  const next = { ...current, [section]: value, updated_at: new Date().toISOString() };
+  await store.put(COLLECTION, location, next);
+  return next;
+}
+
+/** Currency every charge for the location uses: locale, else pricing, else usd. */
+function locationCurrency(config){
+  return String(config?.locale?.currency || config?.pricing?.currency || "usd").toLowerCase();
+}
+
+module.exports = { getLocationConfig, setLocationSection, locationCurrency };
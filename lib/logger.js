@@ -0,0 +1,87 @@
+// lib/logger.js — JSON-lines logs carrying the request id, reservation and location wherever they're known
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields for everything logged while handling one request / webhook event / worker job
+const context = new AsyncLocalStorage();
+
+const defined = (fields) => Object.fromEntries(Object.entries(fields || {}).filter(([, v]) => v !== undefined && v !== null && v !== ""));
+
+/**
+ * Run fn with fields added to every line logged inside it, including from awaited calls.
+ * fn gets the (mutable) context object; addContext() adds to it later.
+ */
+function runWithContext(fields, fn){
+  const ctx = { ...(context.getStore() || {}), ...defined(fields) };
+  return context.run(ctx, () => fn(ctx));
+}
+
+/** Attach more fields to the current context (e.g. once the reservation id is known). */
+function addContext(fields){
+  const ctx = context.getStore();
+  if (ctx) Object.assign(ctx, defined(fields));
+}
+
+const currentContext = () => context.getStore() || {};
+
+/** What goes in "err": Stripe errors keep their type, code and request id. */
+function errorFields(err){
+  return defined({
+    message: err.message,
+    name: err.name !== "Error" ? err.name : undefined,
+    type: err.type,
+    code: err.code,
+    decline_code: err.decline_code,
+    status: err.statusCode,
+    stripe_request_id: err.requestId,
+    idempotency_key: err.headers?.["idempotency-key"],
+    // Stripe errors explain themselves; anything else is probably a bug
+    stack: err.type ? undefined : String(err.stack || "").split("\n").slice(0, 6).join("\n")
+  });
+}
+
+// Lines go out through console so the platform's log capture (and tests that silence it) keep working
+function consoleWrite(level, line){
+  if (level === "error") console.error(line);
+  else if (level === "warn") console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * log.info(msg, ...args) / warn / error / debug. Called the way console is:
+ *   log.error("POST /approve error:", err)
+ *   log.warn("hold at booking failed", { reservation_id }, err)
+ * An Error becomes "err", plain objects become fields, anything else is appended to "detail".
+ * One JSON object per line: { time, level, msg, request_id?, reservation_id?, location?, ...fields }
+ */
+function createLogger({ level = "info", write = consoleWrite } = {}){
+  let threshold = LEVELS[level] ?? LEVELS.info;
+
+  function log(lvl, msg, args){
+    if (LEVELS[lvl] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: lvl, msg: String(msg).replace(/:\s*$/, ""), ...currentContext() };
+    for (const arg of args) {
+      if (arg instanceof Error) entry.err = errorFields(arg);
+      else if (arg && typeof arg === "object") Object.assign(entry, defined(arg));
+      else if (arg !== undefined) entry.detail = entry.detail ? `${entry.detail} ${arg}` : String(arg);
+    }
+    let line;
+    try { line = JSON.stringify(entry); }
+    catch { line = JSON.stringify({ time: entry.time, level: lvl, msg: entry.msg, detail: "unserializable log fields" }); }
+    write(lvl, line);
+  }
+
+  return {
+    debug: (msg, ...args) => log("debug", msg, args),
+    info: (msg, ...args) => log("info", msg, args),
+    warn: (msg, ...args) => log("warn", msg, args),
+    error: (msg, ...args) => log("error", msg, args),
+    setLevel(next){ threshold = LEVELS[next] ?? threshold; }
+  };
+}
+
+// The process-wide logger; createApp sets its level from LOG_LEVEL
+const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+module.exports = { logger, createLogger, runWithContext, addContext, currentContext, errorFields, LEVELS };
@@ -0,0 +1,100 @@
+// lib/mailer.js — outgoing email (magic links, payment notifications) through a pluggable transport
+const fs = require("fs");
+const path = require("path");
+const { sendSmtp } = require("./smtp");
+const { logger: log } = require("./logger");
+
+// Sign-in links (?token=) and receipt links (?key=) are credentials; the console transport logs them masked
+const redactLinks = (text) => String(text).replace(/([?&](?:token|key)=)[^&\s]+/g, "$1****");
+
+/**
+ * transport:
+ *   "gas"      — POST { action: "sendmail", token?, to, subject, text, html? } to the Apps Script web app
+ *                (the script sends it with MailApp; same 302-then-GET answer as lib/store/gas.js)
+ *   "smtp"     — hand it to an SMTP relay (smtpUrl, see lib/smtp.js)
+ *   "postmark" — Postmark's email API (apiKey is the server token; apiUrl overrides the endpoint)
+ *   "file"     — append one JSON line per message to file (local testing of real flows)
+ *   "console"  — log the message, with link tokens masked (local development)
+ * send() resolves once the transport accepted the message and throws otherwise.
+ */
+function createMailer({
+  transport = "console",
+  gasUrl = "",
+  gasToken = "",
+  smtpUrl = "",
+  apiUrl = "",
+  apiKey = "",
+  file = "",
+  from = "",
+  fetchImpl = globalThis.fetch
+} = {}){
+  async function sendViaGas(message){
+    if (!gasUrl) throw new Error("MAIL_TRANSPORT=gas requires RESERVATIONS_GAS_URL");
+    const r = await fetchImpl(String(gasUrl).replace(/\/$/, ""), {
+      method: "POST",
+      redirect: "follow",
+      headers: { "Content-Type": "application/json", "Accept": "application/json" },
+      body: JSON.stringify({ action: "sendmail", ...message, token: gasToken || undefined })
+    });
+    if (!r.ok) throw new Error(`gas sendmail http ${r.status}`);
+    const text = await r.text();
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; }
+    catch { /* script returned plain text: treat as sent */ }
+    if (data && data.error) throw new Error(`gas sendmail: ${data.error}`);
+  }
+
+  async function sendViaPostmark(message){
+    if (!apiKey) throw new Error("MAIL_TRANSPORT=postmark requires MAIL_API_KEY");
+    const r = await fetchImpl(apiUrl || "https://api.postmarkapp.com/email", {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Accept": "application/json", "X-Postmark-Server-Token": apiKey },
+      body: JSON.stringify({
+        From: message.from,
+        To: message.to,
+        Subject: message.subject,
+        TextBody: message.text,
+        HtmlBody: message.html,
+        MessageStream: "outbound"
+      })
+    });
+    const data = await r.json().catch(() => null);
+    // Postmark answers ErrorCode 0 on success, and a non-zero code (often with HTTP 422) otherwise
+    if (!r.ok || (data && data.ErrorCode)) {
+      throw new Error(`postmark http ${r.status}: ${data?.Message || "send failed"}`);
+    }
+  }
+
+  async function sendToFile(message){
+    const target = file || "data/outbox.jsonl";
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.appendFile(target, JSON.stringify({ ...message, sent_at: new Date().toISOString() }) + "\n");
+  }
+
+  async function send({ to, subject, text, html }){
+    if (!to) throw new Error("mail recipient missing");
+    const message = { to, subject: subject || "", text: text || "", html: html || undefined, from: from || undefined };
+    switch (transport) {
+      case "gas":
+        await sendViaGas(message);
+        break;
+      case "smtp":
+        if (!smtpUrl) throw new Error("MAIL_TRANSPORT=smtp requires SMTP_URL");
+        await sendSmtp(smtpUrl, message);
+        break;
+      case "postmark":
+        await sendViaPostmark(message);
+        break;
+      case "file":
+        await sendToFile(message);
+        break;
+      default:
+        log.info("mail (console transport)", { mail_to: to, subject: message.subject, text: redactLinks(message.text) });
+    }
+    return true;
+  }
+
+  return { kind: transport, send };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,130 @@
+// lib/metrics.js — in-process counters and histograms, exported in the Prometheus text format (GET /metrics)
+
+// Seconds; covers a fast store read up to a slow Apps Script round trip
+const DEFAULT_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+
+function labelString(names, values, extra = ""){
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+/** A bare registry: counter(), histogram(), render(). */
+function createRegistry(){
+  const families = [];
+
+  function family(type, name, help, labelNames){
+    const series = new Map();
+    const f = { type, name, help, labelNames, series };
+    families.push(f);
+    const keyOf = (labels = {}) => labelNames.map(n => String(labels[n] ?? ""));
+    return { f, series, keyOf };
+  }
+
+  function counter(name, help, labelNames = []){
+    const { series, keyOf } = family("counter", name, help, labelNames);
+    return {
+      inc(labels = {}, n = 1){
+        const values = keyOf(labels);
+        const key = JSON.stringify(values);
+        const s = series.get(key) || { values, value: 0 };
+        s.value += n;
+        series.set(key, s);
+      },
+      get(labels = {}){ return series.get(JSON.stringify(keyOf(labels)))?.value || 0; }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS){
+    const { f, series, keyOf } = family("histogram", name, help, labelNames);
+    f.buckets = buckets;
+    const observe = (labels = {}, seconds = 0) => {
+      const values = keyOf(labels);
+      const key = JSON.stringify(values);
+      const s = series.get(key) || { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => { if (seconds <= b) s.counts[i]++; });
+      s.sum += seconds;
+      s.count++;
+      series.set(key, s);
+    };
+    return {
+      observe,
+      /** Returns end(extraLabels?) which records the time since startTimer(). */
+      startTimer(labels = {}){
+        const started = process.hrtime.bigint();
+        return (more = {}) => observe({ ...labels, ...more }, Number(process.hrtime.bigint() - started) / 1e9);
+      },
+      count(labels = {}){ return series.get(JSON.stringify(keyOf(labels)))?.count || 0; }
+    };
+  }
+
+  function render(){
+    const lines = [];
+    for (const f of families) {
+      lines.push(`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`);
+      for (const s of f.series.values()) {
+        if (f.type === "counter") {
+          lines.push(`${f.name}${labelString(f.labelNames, s.values)} ${s.value}`);
+          continue;
+        }
+        f.buckets.forEach((b, i) => lines.push(`${f.name}_bucket${labelString(f.labelNames, s.values, `le="${b}"`)} ${s.counts[i]}`));
+        lines.push(`${f.name}_bucket${labelString(f.labelNames, s.values, "le=\"+Inf\"")} ${s.count}`);
+        lines.push(`${f.name}_sum${labelString(f.labelNames, s.values)} ${s.sum}`);
+        lines.push(`${f.name}_count${labelString(f.labelNames, s.values)} ${s.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, histogram, render };
+}
+
+// /v1/payment_intents/pi_3Nx.../capture -> /v1/payment_intents/:id/capture (keeps label cardinality down).
+// Object ids are prefix_ plus digits/capitals; resource names are all lowercase.
+const isObjectId = (seg) => /^[a-z]+_[A-Za-z0-9_]+$/.test(seg) && /[A-Z0-9]/.test(seg);
+const stripePathTemplate = (p) => String(p || "").split("?")[0].split("/").map(seg => isObjectId(seg) ? ":id" : seg).join("/");
+
+/**
+ * The app's metrics. Everything is prefixed sliprezi_; see README "Observability" for the list.
+ * Shared between the store (GAS call hook) and createApp, so server.js builds it once.
+ */
+function createMetrics(){
+  const registry = createRegistry();
+  const m = {
+    httpRequests: registry.counter("sliprezi_http_requests_total", "HTTP requests by route and status", ["method", "route", "status"]),
+    httpDuration: registry.histogram("sliprezi_http_request_duration_seconds", "HTTP request latency", ["method", "route"]),
+    checkoutSessions: registry.counter("sliprezi_checkout_sessions_total", "Checkout Sessions created (mode: setup | deposit | sca)", ["mode", "result"]),
+    approvals: registry.counter("sliprezi_approvals_total", "POST /approve outcomes", ["result"]),
+    approvalDuration: registry.histogram("sliprezi_approval_duration_seconds", "POST /approve latency by outcome", ["result"]),
+    scaFallbacks: registry.counter("sliprezi_sca_fallbacks_total", "Off-session charges that fell back to hosted Checkout for authentication", ["kind"]),
+    rateLimited: registry.counter("sliprezi_rate_limited_total", "Public requests refused by a rate limit or the CAPTCHA check", ["rule"]),
+    webhookEvents: registry.counter("sliprezi_webhook_events_total", "Stripe webhook events handled, by type and result", ["type", "result"]),
+    webhookDuration: registry.histogram("sliprezi_webhook_event_duration_seconds", "Stripe webhook handling latency", ["type"]),
+    stripeRequests: registry.counter("sliprezi_stripe_requests_total", "Stripe API calls by path and HTTP status", ["method", "path", "status"]),
+    stripeDuration: registry.histogram("sliprezi_stripe_request_duration_seconds", "Stripe API latency", ["method", "path"]),
+    gasCalls: registry.counter("sliprezi_gas_calls_total", "Apps Script calls by action and result (ok | error)", ["action", "result"]),
+    gasDuration: registry.histogram("sliprezi_gas_call_duration_seconds", "Apps Script call latency", ["action"])
+  };
+
+  return {
+    ...m,
+    render: registry.render,
+
+    /** lib/store/gas.js onCall hook */
+    observeGasCall({ action, ok, duration_ms }){
+      m.gasCalls.inc({ action, result: ok ? "ok" : "error" });
+      m.gasDuration.observe({ action }, duration_ms / 1000);
+    },
+
+    /** stripe.on("response") event */
+    observeStripeResponse(e){
+      const labels = { method: e.method, path: stripePathTemplate(e.path) };
+      m.stripeRequests.inc({ ...labels, status: e.status });
+      m.stripeDuration.observe(labels, (e.elapsed || 0) / 1000);
+    }
+  };
+}
+
+module.exports = { createMetrics, createRegistry, stripePathTemplate };
@@ -0,0 +1,189 @@
+// lib/notifications.js — payment lifecycle emails to the boater (card saved, paid, SCA needed, failed, refunded, released)
+const { formatAmount } = require("./currency");
+const { getLocationConfig, locationCurrency } = require("./locations");
+const { logger: log } = require("./logger");
+
+const COLLECTION = "notifications";
+
+// What a charge paid for, by charge_kind
+const CHARGE_LABELS = {
+  approve: "your stay",
+  hold: "your stay",
+  deposit: "your booking deposit",
+  cancellation_fee: "the cancellation fee",
+  no_show_fee: "the no-show fee",
+  adjustment: "the change to your stay"
+};
+
+/**
+ * One per notification type; each gets the context built by notify() and returns
+ *  { subject, paragraphs: [...], action?: { label, url } }
+ * Context: { reservation_id, location, amount ("$90.00"), charge_label, arrival, card ("Visa ending in 4242"),
+ *            url (SCA link), reason (decline message), declined (the hold went with a declined booking), cards_url,
+ *            receipt_url (the charge's receipt, when PUBLIC_API_URL is set) }
+ */
+const TEMPLATES = {
+  card_saved: (c) => ({
+    subject: `Your card is on file for ${c.location}`,
+    paragraphs: [
+      `Thanks for booking with ${c.location}${c.arrival ? ` for ${c.arrival}` : ""}. ${c.card || "Your card"} is saved for reservation ${c.reservation_id}.`,
+      "You won't be charged until the marina confirms your stay."
+    ],
+    action: c.cards_url ? { label: "Manage your saved cards", url: c.cards_url } : null
+  }),
+  payment_succeeded: (c) => ({
+    subject: `Payment received: ${c.amount} to ${c.location}`,
+    paragraphs: [
+      `We charged ${c.amount} to ${c.card || "your card"} for ${c.charge_label} at ${c.location} (reservation ${c.reservation_id}).`,
+      "Nothing else is needed from you."
+    ],
+    action: c.receipt_url ? { label: "Download your receipt", url: c.receipt_url } : null
+  }),
+  authentication_required: (c) => ({
+    subject: `Action needed: confirm your ${c.amount} payment to ${c.location}`,
+    paragraphs: [
+      `Your bank needs you to confirm the ${c.amount} payment for ${c.charge_label} at ${c.location} (reservation ${c.reservation_id}).`,
+      "The payment stays pending until you confirm it."
+    ],
+    action: { label: "Confirm the payment", url: c.url }
+  }),
+  payment_failed: (c) => ({
+    subject: `Your payment to ${c.location} didn't go through`,
+    paragraphs: [
+      `We couldn't charge ${c.amount} to ${c.card || "your card"} for ${c.charge_label} at ${c.location} (reservation ${c.reservation_id})${c.reason ? `: ${c.reason}` : "."}`,
+      "Please add another card or contact the marina so they can try again."
+    ],
+    action: c.cards_url ? { label: "Update your card", url: c.cards_url } : null
+  }),
+  refund_issued: (c) => ({
+    subject: `Refund of ${c.amount} from ${c.location}`,
+    paragraphs: [
+      `${c.location} refunded ${c.amount} for reservation ${c.reservation_id}.`,
+      "Refunds usually show on your statement within 5–10 business days."
+    ],
+    action: c.receipt_url ? { label: "Download the updated receipt", url: c.receipt_url } : null
+  }),
+  hold_released: (c) => ({
+    subject: c.declined ? `Your reservation request at ${c.location} was declined` : `The hold on your card for ${c.location} was released`,
+    paragraphs: [
+      c.declined
+        ? `${c.location} couldn't confirm reservation ${c.reservation_id}.`
+        : `${c.location} released the hold for reservation ${c.reservation_id}.`,
+      `The ${c.amount} authorization on ${c.card || "your card"} has been canceled; you weren't charged.`
+    ]
+  })
+};
+
+const NOTIFICATION_TYPES = Object.keys(TEMPLATES);
+
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[ch]);
+
+/** Template output -> { subject, text, html } */
+function render(type, ctx){
+  const { subject, paragraphs, action } = TEMPLATES[type](ctx);
+  const footer = `${ctx.location || "SlipRezi"} · sent by SlipRezi`;
+  const text = [
+    ...paragraphs,
+    ...(action?.url ? [`${action.label}: ${action.url}`] : []),
+    `— ${footer}`
+  ].join("\n\n");
+  const html = [
+    ...paragraphs.map(p => `<p>${escapeHtml(p)}</p>`),
+    ...(action?.url ? [`<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`] : []),
+    `<p style="color:#777;font-size:12px">${escapeHtml(footer)}</p>`
+  ].join("\n");
+  return { subject, text, html };
+}
+
+// "all" | "none" | "card_saved,payment_failed"
+function parseEvents(events){
+  const list = String(events || "all").split(",").map(s => s.trim()).filter(Boolean);
+  if (list.includes("all")) return new Set(NOTIFICATION_TYPES);
+  return new Set(list.filter(t => NOTIFICATION_TYPES.includes(t)));
+}
+
+const cardLabel = (pm) => {
+  const card = pm?.card;
+  if (!card?.last4) return "";
+  const brand = card.brand ? card.brand.charAt(0).toUpperCase() + card.brand.slice(1) : "Card";
+  return `${brand} ending in ${card.last4}`;
+};
+
+/**
+ * notify(type, { reservationId, key, amount_cents?, currency?, kind?, payment_method_id?, url?, reason?, declined? })
+ * Sends the email to the address saved with the reservation. key makes it once-only (e.g. the PaymentIntent
+ * id): webhooks and the routes that triggered them both call notify, and only the first one sends. Failed
+ * sends are recorded and tried again the next time the same event comes in (e.g. a webhook retry).
+ * Delivery problems never throw; resolves with the stored record, or null when there was nothing to send.
+ *
+ * retrievePaymentMethod(id): optional, for the "Visa ending in 4242" line.
+ */
+function createNotifier({ store, mailer, events = "all", cardsUrl = "", retrievePaymentMethod = null }){
+  const enabled = parseEvents(events);
+
+  async function notify(type, { reservationId, key = "", amount_cents = 0, currency = "", kind = "approve", payment_method_id = "", ...extra } = {}){
+    if (!TEMPLATES[type]) throw new Error(`unknown notification type ${type}`);
+    if (!enabled.has(type) || !reservationId) return null;
+    const id = `${type}_${key || reservationId}`;
+    try {
+      const previous = await store.get(COLLECTION, id);
+      if (previous?.status === "sent") return previous;
+
+      const payinfo = await store.getPaymentInfo(reservationId);
+      const to = payinfo?.details?.email || "";
+      if (!to) return null;
+      const location = payinfo.location || extra.location || "";
+      const config = await getLocationConfig(store, location);
+      const pmId = payment_method_id || payinfo.payment_method_id || "";
+      const pm = pmId && retrievePaymentMethod ? await retrievePaymentMethod(pmId).catch(() => null) : null;
+      const details = payinfo.details || {};
+
+      const message = render(type, {
+        ...extra,
+        reservation_id: reservationId,
+        location: location || "your marina",
+        amount: formatAmount(amount_cents, currency || locationCurrency(config), config.locale?.locale || "en-US"),
+        charge_label: CHARGE_LABELS[kind] || "your reservation",
+        arrival: [details.arrivalDate, details.arrivalTime].filter(Boolean).join(" "),
+        card: cardLabel(pm),
+        cards_url: cardsUrl
+      });
+
+      const record = {
+        type,
+        reservation_id: reservationId,
+        location,
+        to,
+        subject: message.subject,
+        attempts: (previous?.attempts || 0) + 1,
+        status: "sent",
+        error: "",
+        updated_at: new Date().toISOString()
+      };
+      try {
+        await mailer.send({ to, ...message });
+      } catch (e) {
+        log.warn("notification email failed", { notification: type, reservation_id: reservationId }, e);
+        record.status = "failed";
+        record.error = e.message;
+      }
+      await store.put(COLLECTION, id, record);
+      return record;
+    } catch (e) {
+      log.warn("notification failed", { notification: type, reservation_id: reservationId }, e);
+      return null;
+    }
+  }
+
+  return { notify };
+}
+
+/** Newest first; filter by reservation_id and/or status ("sent" | "failed"). */
+async function listNotifications(store, { reservationId = "", status = "" } = {}){
+  const rows = (await store.list(COLLECTION)).map(({ key, value }) => value && { id: key, ...value }).filter(Boolean);
+  return rows
+    .filter(n => (!reservationId || n.reservation_id === reservationId) && (!status || n.status === status))
+    .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+}
+
+module.exports = { createNotifier, listNotifications, render, NOTIFICATION_TYPES };
@@ -0,0 +1,86 @@
+// lib/pdf.js — a minimal PDF writer for text documents (receipts): the standard fonts, no dependencies
+const PAGE = { width: 612, height: 792, margin: 54 }; // US Letter, 3/4" margins
+
+// Standard fonts need no embedding: F1 body text, F2 headings, F3 amounts (monospace, so they right-align exactly)
+const FONTS = { F1: "Helvetica", F2: "Helvetica-Bold", F3: "Courier" };
+const COURIER_ADVANCE = 0.6;
+
+// WinAnsiEncoding: Latin-1 as is, a few typographic characters at their cp1252 positions, "?" for the rest
+const CP1252 = { "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "™": 0x99 };
+const NBSP = /[\u00a0\u2009\u202f]/g; // Intl currency formats use (narrow) no-break spaces
+
+function encodeText(s){
+  let out = "";
+  for (const ch of String(s).replace(NBSP, " ")) {
+    const code = ch.codePointAt(0);
+    let byte = CP1252[ch];
+    if (byte === undefined) byte = (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff) ? code : 0x3f;
+    const c = String.fromCharCode(byte);
+    out += c === "\\" || c === "(" || c === ")" ? `\\${c}` : c;
+  }
+  return out;
+}
+
+/**
+ * rows: [{ text?, right?, size? (pt, default 10), bold?, gap? (extra space above, pt) }]
+ * text is set on the left, right (an amount) flush with the right margin. Rows that don't fit go on a new page.
+ * Returns a Buffer.
+ */
+function renderPdf(rows, { title = "" } = {}){
+  const bottom = PAGE.margin;
+  const pages = [];
+  let ops = [];
+  let y = PAGE.height - PAGE.margin;
+
+  for (const row of rows) {
+    const size = row.size || 10;
+    const lineHeight = size * 1.4 + (row.gap || 0);
+    if (y - lineHeight < bottom && ops.length) {
+      pages.push(ops);
+      ops = [];
+      y = PAGE.height - PAGE.margin;
+    }
+    y -= lineHeight;
+    const at = (x) => `${x.toFixed(2)} ${y.toFixed(2)} Td`;
+    if (row.text) ops.push(`BT /${row.bold ? "F2" : "F1"} ${size} Tf ${at(PAGE.margin)} (${encodeText(row.text)}) Tj ET`);
+    if (row.right) {
+      const right = encodeText(row.right).replace(/\\(.)/g, "$1");
+      const x = PAGE.width - PAGE.margin - right.length * size * COURIER_ADVANCE;
+      ops.push(`BT /F3 ${size} Tf ${at(x)} (${encodeText(row.right)}) Tj ET`);
+    }
+  }
+  pages.push(ops);
+
+  // Objects: 1 catalog, 2 page tree, 3 info, 4-6 fonts, then a page and its content stream per page
+  const objects = [];
+  const fontIds = {};
+  const pageIds = pages.map((_, i) => 7 + i * 2);
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = `<< /Title (${encodeText(title)}) /Producer (SlipRezi) >>`;
+  Object.entries(FONTS).forEach(([name, base], i) => {
+    fontIds[name] = 4 + i;
+    objects[4 + i] = `<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`;
+  });
+  const fontRefs = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(" ");
+  pages.forEach((pageOps, i) => {
+    const stream = pageOps.join("\n");
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+      `/Resources << /Font << ${fontRefs} >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let body = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(body, "latin1");
+    body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefAt = Buffer.byteLength(body, "latin1");
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) body += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  body += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefAt}\n%%EOF\n`;
+  return Buffer.from(body, "latin1");
+}
+
+module.exports = { renderPdf };
@@ -0,0 +1,62 @@
+// lib/policies.js — per-location cancellation and no-show fee policies
+
+/**
+ * Policy config (amounts in the currency's minor unit):
+ *  {
+ *    free_cancellation_hours: 48,     // free up to this many hours before arrival
+ *    late_cancellation_bps, late_cancellation_cents,   // percentage of the stay and/or flat fee after that
+ *    no_show_bps, no_show_cents,
+ *    timezone: "America/New_York"      // arrivalDate/arrivalTime are local to the marina
+ *  }
+ * Percentages apply to the stay's computed total (lib/pricing.js).
+ */
+function validatePolicy(policy){
+  const errors = [];
+  if (!policy || typeof policy !== "object") return ["policy must be an object"];
+  const isCount = (v) => v === undefined || (Number.isInteger(v) && v >= 0);
+  for (const f of ["free_cancellation_hours", "late_cancellation_cents", "no_show_cents"]) {
+    if (!isCount(policy[f])) errors.push(`${f} must be a non-negative integer`);
+  }
+  for (const f of ["late_cancellation_bps", "no_show_bps"]) {
+    if (!isCount(policy[f]) || policy[f] > 10000) errors.push(`${f} must be an integer between 0 and 10000`);
+  }
+  if (policy.timezone !== undefined) {
+    try { new Intl.DateTimeFormat("en-US", { timeZone: policy.timezone }); }
+    catch { errors.push(`timezone "${policy.timezone}" is not a valid IANA zone`); }
+  }
+  return errors;
+}
+
+// Percentage of baseAmount plus a flat part; null when a percentage is needed but there is no base
+function feeFrom(bps, cents, baseAmount){
+  let fee = 0;
+  if (bps > 0) {
+    if (!(baseAmount > 0)) return null;
+    fee += Math.round((baseAmount * bps) / 10000);
+  }
+  if (cents > 0) fee += cents;
+  return fee;
+}
+
+/**
+ * Returns { rule: "free" | "late_cancellation", fee_cents, hours_before_arrival }
+ * fee_cents is null when the policy needs a base amount that isn't known.
+ */
+function cancellationFee(policy, { arrivalAt, now = Date.now(), baseAmount = 0 }){
+  const hoursBefore = arrivalAt === null || arrivalAt === undefined ? null : (arrivalAt - now) / 3600000;
+  const freeHours = Number(policy?.free_cancellation_hours || 0);
+  const free = !policy || (hoursBefore !== null && hoursBefore >= freeHours);
+  if (free) return { rule: "free", fee_cents: 0, hours_before_arrival: hoursBefore };
+  return {
+    rule: "late_cancellation",
+    fee_cents: feeFrom(policy.late_cancellation_bps, policy.late_cancellation_cents, baseAmount),
+    hours_before_arrival: hoursBefore
+  };
+}
+
+function noShowFee(policy, { baseAmount = 0 } = {}){
+  if (!policy || !(policy.no_show_bps > 0 || policy.no_show_cents > 0)) return { rule: "none", fee_cents: 0 };
+  return { rule: "no_show", fee_cents: feeFrom(policy.no_show_bps, policy.no_show_cents, baseAmount) };
+}
+
+module.exports = { validatePolicy, cancellationFee, noShowFee };
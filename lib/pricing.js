@@ -0,0 +1,156 @@
+// lib/pricing.js — per-location slip pricing: hourly/nightly/boat-length rates, minimums, taxes, seasons
+
+class PricingError extends Error {
+  constructor(code, message){
+    super(message || code);
+    this.name = "PricingError";
+    this.code = code;
+  }
+}
+
+const RATE_FIELDS = [
+  "hourly_cents",
+  "nightly_cents",
+  "per_foot_hourly_cents",
+  "per_foot_nightly_cents",
+  "minimum_cents"
+];
+
+/**
+ * Pricing config (all amounts in the currency's minor unit):
+ *  {
+ *    currency: "usd",
+ *    hourly_cents, nightly_cents,
+ *    nightly_after_hours: 24,          // stays this long or longer bill per night (needs nightly_cents)
+ *    per_foot_hourly_cents, per_foot_nightly_cents,
+ *    minimum_cents,
+ *    taxes: [{ name, bps }],           // bps of the pre-tax subtotal, 700 = 7%
+ *    seasons: [{ name, start: "MM-DD", end: "MM-DD", ...any rate field }]
+ *  }
+ * A season may wrap the new year (start "11-15", end "02-28"); the first match wins.
+ */
+function validatePricing(config){
+  const errors = [];
+  if (!config || typeof config !== "object") return ["pricing must be an object"];
+  const isAmount = (v) => v === undefined || (Number.isInteger(v) && v >= 0);
+  const isMonthDay = (v) => /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(String(v));
+
+  if (config.currency !== undefined && !/^[a-z]{3}$/.test(String(config.currency))) errors.push("currency must be a 3-letter lowercase code");
+  for (const f of RATE_FIELDS) if (!isAmount(config[f])) errors.push(`${f} must be a non-negative integer`);
+  if (!config.hourly_cents && !config.nightly_cents) errors.push("hourly_cents or nightly_cents is required");
+  if (config.nightly_after_hours !== undefined && !(Number(config.nightly_after_hours) > 0)) errors.push("nightly_after_hours must be > 0");
+
+  (config.taxes || []).forEach((t, i) => {
+    if (!t || !t.name) errors.push(`taxes[${i}].name is required`);
+    if (!Number.isInteger(t?.bps) || t.bps < 0) errors.push(`taxes[${i}].bps must be a non-negative integer`);
+  });
+  (config.seasons || []).forEach((s, i) => {
+    if (!isMonthDay(s?.start) || !isMonthDay(s?.end)) errors.push(`seasons[${i}] needs start/end as MM-DD`);
+    for (const f of RATE_FIELDS) if (!isAmount(s?.[f])) errors.push(`seasons[${i}].${f} must be a non-negative integer`);
+  });
+  return errors;
+}
+
+function seasonFor(seasons, arrivalDate){
+  const m = /^\d{4}-(\d{2}-\d{2})$/.exec(String(arrivalDate || ""));
+  if (!m) return null;
+  const md = m[1];
+  return (seasons || []).find(s => (s.start <= s.end ? md >= s.start && md <= s.end : md >= s.start || md <= s.end)) || null;
+}
+
+/**
+ * Itemized quote for a stay.
+ * details: { hours, arrivalDate?: "YYYY-MM-DD", arrivalTime?, boatLength? (feet) }
+ * Returns { currency, season, items: [{ code, description, quantity, unit_amount_cents, amount_cents }],
+ *           subtotal_cents, tax_cents, total_cents }
+ */
+function quote(config, details = {}){
+  if (!config) throw new PricingError("pricing_not_configured");
+  const hours = Number(details.hours);
+  if (!Number.isFinite(hours) || hours <= 0) throw new PricingError("invalid_hours", "hours must be a positive number");
+
+  const season = seasonFor(config.seasons, details.arrivalDate);
+  const rates = { ...config };
+  if (season) for (const f of RATE_FIELDS) if (season[f] !== undefined) rates[f] = season[f];
+
+  const nightlyAfter = Number(config.nightly_after_hours) || 24;
+  const nightly = rates.nightly_cents > 0 && (hours >= nightlyAfter || !(rates.hourly_cents > 0));
+  const units = nightly ? Math.ceil(hours / 24) : Math.ceil(hours);
+  const unit = nightly ? "night" : "hour";
+  const plural = units === 1 ? unit : `${unit}s`;
+
+  const items = [];
+  const slipRate = nightly ? rates.nightly_cents : rates.hourly_cents;
+  items.push({
+    code: nightly ? "slip_nightly" : "slip_hourly",
+    description: `Slip, ${units} ${plural}`,
+    quantity: units,
+    unit_amount_cents: slipRate,
+    amount_cents: units * slipRate
+  });
+
+  const perFoot = nightly ? rates.per_foot_nightly_cents : rates.per_foot_hourly_cents;
+  if (perFoot > 0) {
+    const feet = Math.ceil(Number(details.boatLength));
+    if (!Number.isFinite(feet) || feet <= 0) throw new PricingError("boat_length_required", "boatLength (feet) is required at this location");
+    items.push({
+      code: "boat_length",
+      description: `Boat length, ${feet} ft × ${units} ${plural}`,
+      quantity: feet * units,
+      unit_amount_cents: perFoot,
+      amount_cents: feet * units * perFoot
+    });
+  }
+
+  let subtotal = items.reduce((sum, i) => sum + i.amount_cents, 0);
+  if (rates.minimum_cents > 0 && subtotal < rates.minimum_cents) {
+    const topUp = rates.minimum_cents - subtotal;
+    items.push({ code: "minimum", description: "Minimum charge adjustment", quantity: 1, unit_amount_cents: topUp, amount_cents: topUp });
+    subtotal = rates.minimum_cents;
+  }
+
+  let tax = 0;
+  for (const t of config.taxes || []) {
+    const amount = Math.round((subtotal * t.bps) / 10000);
+    if (amount <= 0) continue;
+    tax += amount;
+    items.push({ code: "tax", description: t.name, quantity: 1, unit_amount_cents: amount, amount_cents: amount });
+  }
+
+  return {
+    currency: config.currency || "usd",
+    season: season ? season.name || `${season.start}..${season.end}` : null,
+    items,
+    subtotal_cents: subtotal,
+    tax_cents: tax,
+    total_cents: subtotal + tax
+  };
+}
+
+/**
+ * Deposit config (location "deposit" section): { bps?, cents? }
+ * bps is a share of the quoted total, cents a flat amount; both add up, capped at the total.
+ */
+function validateDeposit(deposit){
+  const errors = [];
+  if (!deposit || typeof deposit !== "object") return ["deposit must be an object"];
+  if (deposit.bps !== undefined && (!Number.isInteger(deposit.bps) || deposit.bps < 0 || deposit.bps > 10000)) {
+    errors.push("bps must be an integer between 0 and 10000");
+  }
+  if (deposit.cents !== undefined && (!Number.isInteger(deposit.cents) || deposit.cents < 0)) errors.push("cents must be a non-negative integer");
+  return errors;
+}
+
+function depositFor(deposit, totalCents){
+  if (!deposit) return 0;
+  const total = Number(totalCents) || 0;
+  let amount = 0;
+  if (deposit.bps > 0) {
+    if (!(total > 0)) throw new PricingError("pricing_not_configured", "a percentage deposit needs location pricing");
+    amount += Math.round((total * deposit.bps) / 10000);
+  }
+  if (deposit.cents > 0) amount += deposit.cents;
+  return total > 0 ? Math.min(amount, total) : amount;
+}
+
+module.exports = { quote, validatePricing, validateDeposit, depositFor, PricingError };
@@ -0,0 +1,66 @@
+// lib/rateLimit.js — fixed-window request counters for the public routes (per IP, per email)
+
+/**
+ * Counters live in a rate store with two async methods, so a shared one (e.g. Redis) can replace this:
+ *   hit(key, windowMs) -> { count, reset_at }   count one more in key's current window
+ *   get(key)           -> { count, reset_at } | null
+ * This one is in-process: each instance of the app counts on its own, and a restart forgets.
+ */
+function createMemoryRateStore({ now = Date.now, maxKeys = 10000 } = {}){
+  const windows = new Map();
+
+  // Drop finished windows once the map gets big
+  function sweep(t){
+    if (windows.size < maxKeys) return;
+    for (const [key, w] of windows) if (w.reset_at <= t) windows.delete(key);
+  }
+
+  return {
+    kind: "memory",
+    async get(key){
+      const w = windows.get(key);
+      return w && w.reset_at > now() ? { ...w } : null;
+    },
+    async hit(key, windowMs){
+      const t = now();
+      let w = windows.get(key);
+      if (!w || w.reset_at <= t) {
+        sweep(t);
+        w = { count: 0, reset_at: t + windowMs };
+        windows.set(key, w);
+      }
+      w.count++;
+      return { ...w };
+    }
+  };
+}
+
+/**
+ * rules: { name: { limit, windowMs } }; a limit of 0 turns the rule off.
+ *   hit(rule, id)       counts a request -> { allowed, count, limit, retry_after_seconds }
+ *   exhausted(rule, id) checks without counting (for rules that only count failures; pair with hit on failure)
+ */
+function createRateLimiter({ store = createMemoryRateStore(), rules = {}, now = Date.now } = {}){
+  const result = (rule, w, counted) => {
+    const { limit } = rules[rule];
+    const count = w?.count || 0;
+    const allowed = counted ? count <= limit : count < limit;
+    const retry = w ? Math.max(1, Math.ceil((w.reset_at - now()) / 1000)) : 0;
+    return { allowed, count, limit, retry_after_seconds: allowed ? 0 : retry };
+  };
+  const off = (rule) => !rules[rule] || !(rules[rule].limit > 0);
+
+  return {
+    store,
+    async hit(rule, id){
+      if (off(rule) || !id) return { allowed: true, count: 0, limit: 0, retry_after_seconds: 0 };
+      return result(rule, await store.hit(`${rule}:${id}`, rules[rule].windowMs), true);
+    },
+    async exhausted(rule, id){
+      if (off(rule) || !id) return { allowed: true, count: 0, limit: 0, retry_after_seconds: 0 };
+      return result(rule, await store.get(`${rule}:${id}`), false);
+    }
+  };
+}
+
+module.exports = { createRateLimiter, createMemoryRateStore };
@@ -0,0 +1,242 @@
+// lib/reports.js — reconciliation for a location's connected account: charges, refunds, fees, transfers, payouts
+const { arrivalInstant, localDate } = require("./time");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const MAX_ROWS = 10000; // per Stripe list; past this the report refuses (too_many_rows) instead of coming up short
+// Refunds made in the range can be against older charges; this is how far back the report looks for them
+const REFUND_LOOKBACK_DAYS = 180;
+// Payouts created this long after the range still settle charges from inside it
+const PAYOUT_GRACE_MS = 14 * DAY_MS;
+
+class ReportError extends Error {
+  constructor(code, message, status = 400){
+    super(message || code);
+    this.name = "ReportError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const sec = (ms) => Math.floor(ms / 1000);
+const iso = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000).toISOString() : "");
+const idOf = (v) => (v && typeof v === "object" ? v.id : v || "");
+
+/**
+ * from/to: "YYYY-MM-DD", inclusive, on the marina's calendar (timeZone). Defaults to this month so far.
+ * Returns { from, to, fromMs, toMs } with toMs exclusive.
+ */
+function reportRange({ from = "", to = "" } = {}, timeZone = "UTC", now = Date.now()){
+  const today = localDate(now, timeZone);
+  const start = from || `${today.slice(0, 7)}-01`;
+  const end = to || today;
+  const fromMs = arrivalInstant({ arrivalDate: start }, timeZone);
+  const endMs = arrivalInstant({ arrivalDate: end }, timeZone);
+  if (fromMs === null || endMs === null) throw new ReportError("invalid_range", "from/to must be YYYY-MM-DD");
+  const toMs = arrivalInstant({ arrivalDate: new Date(Date.parse(`${end}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10) }, timeZone);
+  if (toMs <= fromMs) throw new ReportError("invalid_range", "from must not be after to");
+  if (toMs - fromMs > MAX_RANGE_DAYS * DAY_MS) throw new ReportError("range_too_long", `at most ${MAX_RANGE_DAYS} days per report`);
+  return { from: start, to: end, fromMs, toMs };
+}
+
+// Every row of a Stripe list or search; more than maxRows throws (422 too_many_rows) rather than truncating
+
+async function listAll(page, maxRows = MAX_ROWS){
+  const rows = [];
+  let truncated = false;
+  await page.autoPagingEach((row) => {
+    if (rows.length >= maxRows) {
+      truncated = true;
+      return false;
+    }
+    rows.push(row);
+  });
+  if (truncated) throw new ReportError("too_many_rows", `more than ${maxRows} Stripe records in this range; ask for a shorter one`, 422);
+  return rows;
+}
+
+// Payouts on the connected account, each with the transfers it paid out
+async function payoutsWithTransfers(stripe, accountId, created, maxRows = MAX_ROWS){
+  if (!accountId) return [];
+  const opts = { stripeAccount: accountId };
+  const payouts = await listAll(stripe.payouts.list({ created, limit: 100 }, opts), maxRows);
+  for (const po of payouts) {
+    const txns = await listAll(stripe.balanceTransactions.list({ payout: po.id, limit: 100, expand: ["data.source"] }, opts), maxRows);
+    // Destination charges land on the account as py_... payments whose source_transfer is our transfer
+    po.transfer_ids = txns.map(t => idOf(t.source?.source_transfer)).filter(Boolean);
+  }
+  return payouts;
+}
+
+// The location's charges created in [gte, lt), found by the location on their PaymentIntent (search), each
+// with its PaymentIntent and application fee
+async function locationCharges(stripe, location, { gte, lt }, maxRows){
+  const quoted = String(location).replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+  const intents = await listAll(stripe.paymentIntents.search({
+    query: `metadata['location']:'${quoted}' AND created>=${gte} AND created<${lt}`,
+    limit: 100,
+    expand: ["data.latest_charge.application_fee"]
+  }), maxRows);
+  return intents
+    .filter(pi => pi.latest_charge && typeof pi.latest_charge === "object")
+    .map(pi => ({ ...pi.latest_charge, payment_intent: { ...pi, latest_charge: pi.latest_charge.id } }));
+}
+
+/**
+ * Everything a marina was paid for which reservations over [fromMs, toMs). Stripe is queried for this
+ * location only (its PaymentIntents by metadata, its account's transfers and payouts), never platform-wide.
+ * Charge lines: the location's charges created in range.
+ *   gross = captured, fee = application fee kept (after fee refunds), or what a held charge's transfer kept back,
+ *   net = what reached the account (transfer minus reversals), or gross - refunded - fee when still held.
+ * Refund lines: refunds created in range against the location's charges, including charges up to
+ *   REFUND_LOOKBACK_DAYS older than the range.
+ * Payouts: created in range (plus PAYOUT_GRACE_MS, to settle late-month charges).
+ */
+async function buildReconciliation({ stripe, location, accountId, currency, fromMs, toMs, maxRows = MAX_ROWS }){
+  const created = { gte: sec(fromMs), lt: sec(toMs) };
+  const [recent, transfers] = await Promise.all([
+    locationCharges(stripe, location, { gte: sec(fromMs - REFUND_LOOKBACK_DAYS * DAY_MS), lt: created.lt }, maxRows),
+    accountId ? listAll(stripe.transfers.list({ destination: accountId, created: { gte: created.gte }, limit: 100 }), maxRows) : []
+  ]);
+  const charges = recent.filter(ch => ch.created >= created.gte);
+  const refunds = [];
+  for (const ch of recent.filter(c => c.amount_refunded > 0)) {
+    const rows = await listAll(stripe.refunds.list({ charge: ch.id, created, limit: 100 }), maxRows);
+    refunds.push(...rows.map(r => ({ ...r, charge: ch })));
+  }
+  const payouts = await payoutsWithTransfers(stripe, accountId, { gte: sec(fromMs), lt: sec(toMs + PAYOUT_GRACE_MS) }, maxRows);
+
+  const metaOf = (ch) => ({ ...(typeof ch?.payment_intent === "object" ? ch.payment_intent?.metadata : {}), ...(ch?.metadata || {}) });
+  const transferByCharge = new Map(transfers.map(t => [idOf(t.source_transaction), t]));
+  const payoutByTransfer = new Map();
+  for (const po of payouts) for (const tr of po.transfer_ids) payoutByTransfer.set(tr, po);
+
+  const lines = charges
+    .filter(ch => ch.status === "succeeded" && ch.captured !== false)
+    .map(ch => {
+      const meta = metaOf(ch);
+      const fee = typeof ch.application_fee === "object" ? ch.application_fee : null;
+      const transfer = transferByCharge.get(ch.id);
+      const payout = transfer ? payoutByTransfer.get(transfer.id) : null;
+      const gross = ch.amount_captured ?? ch.amount;
+      const refunded = ch.amount_refunded || 0;
+      const feeKept = fee ? fee.amount - (fee.amount_refunded || 0) : Number(transfer?.metadata?.fee_cents) || 0;
+      return {
+        type: "charge",
+        date: iso(ch.created),
+        reservation_id: meta.reservation_id || "",
+        charge_kind: meta.charge_kind || "",
+        payment_intent_id: idOf(ch.payment_intent),
+        charge_id: ch.id,
+        refund_id: "",
+        currency: ch.currency,
+        gross_cents: gross,
+        refunded_cents: refunded,
+        fee_cents: feeKept,
+        net_cents: transfer ? transfer.amount - (transfer.amount_reversed || 0) : gross - refunded - feeKept,
+        held_on_platform: !transfer && Boolean(meta.held_for_account),
+        transfer_id: transfer?.id || "",
+        payout_id: payout?.id || "",
+        payout_status: payout ? payout.status : transfer ? "not_paid_out" : "",
+        payout_arrival_date: payout ? iso(payout.arrival_date) : ""
+      };
+    });
+
+  const refundLines = refunds
+    .filter(r => r.status !== "failed" && r.status !== "canceled")
+    .map(r => {
+      const meta = { ...metaOf(r.charge), ...(r.metadata || {}) };
+      return {
+        type: "refund",
+        date: iso(r.created),
+        reservation_id: meta.reservation_id || "",
+        charge_kind: meta.charge_kind || "",
+        payment_intent_id: idOf(r.payment_intent) || idOf(r.charge?.payment_intent),
+        charge_id: idOf(r.charge),
+        refund_id: r.id,
+        currency: r.currency,
+        gross_cents: -r.amount,
+        refunded_cents: 0,
+        fee_cents: 0,
+        net_cents: 0,
+        held_on_platform: false,
+        transfer_id: "",
+        payout_id: "",
+        payout_status: "",
+        payout_arrival_date: ""
+      };
+    });
+
+  const sum = (rows, f) => rows.reduce((n, r) => n + (Number(r[f]) || 0), 0);
+  const payoutRows = payouts.map(po => ({
+    id: po.id,
+    created: iso(po.created),
+    arrival_date: iso(po.arrival_date),
+    status: po.status,
+    amount_cents: po.amount,
+    currency: po.currency,
+    reservation_ids: [...new Set(lines.filter(l => l.payout_id === po.id).map(l => l.reservation_id).filter(Boolean))],
+    charge_ids: lines.filter(l => l.payout_id === po.id).map(l => l.charge_id)
+  }));
+  const payoutTotal = (pred) => sum(payoutRows.filter(pred), "amount_cents");
+
+  return {
+    location,
+    account_id: accountId || "",
+    currency,
+    lines,
+    refunds: refundLines,
+    payouts: payoutRows,
+    totals: {
+      charges: lines.length,
+      gross_cents: sum(lines, "gross_cents"),
+      refunded_cents: sum(lines, "refunded_cents"),
+      fees_cents: sum(lines, "fee_cents"),
+      net_cents: sum(lines, "net_cents"),
+      refunds_in_period_cents: -sum(refundLines, "gross_cents"),
+      paid_out_cents: payoutTotal(p => p.status === "paid"),
+      in_transit_cents: payoutTotal(p => p.status === "in_transit" || p.status === "pending"),
+      failed_payouts_cents: payoutTotal(p => p.status === "failed" || p.status === "canceled"),
+      not_paid_out_cents: sum(lines.filter(l => l.payout_status === "not_paid_out"), "net_cents")
+    }
+  };
+}
+
+/* ----------------------------- CSV ----------------------------- */
+const LINE_COLUMNS = [
+  "type", "date", "reservation_id", "charge_kind", "payment_intent_id", "charge_id", "refund_id", "currency",
+  "gross_cents", "refunded_cents", "fee_cents", "net_cents", "held_on_platform",
+  "transfer_id", "payout_id", "payout_status", "payout_arrival_date"
+];
+const PAYOUT_COLUMNS = ["id", "created", "arrival_date", "status", "amount_cents", "currency", "reservation_ids", "charge_ids"];
+
+function csvCell(v){
+  const s = Array.isArray(v) ? v.join(";") : v === null || v === undefined ? "" : String(v);
+  // Quote separators/quotes/newlines; prefix formula-looking cells so spreadsheets don't execute them
+  const safe = /^[=+\-@]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s) ? `'${s}` : s;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function toCsv(rows, columns){
+  return [columns.join(","), ...rows.map(r => columns.map(c => csvCell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+/** Charge + refund lines with a closing totals row. */
+function reconciliationCsv(report){
+  const t = report.totals;
+  const total = {
+    type: "total",
+    currency: report.currency,
+    gross_cents: t.gross_cents,
+    refunded_cents: t.refunded_cents,
+    fee_cents: t.fees_cents,
+    net_cents: t.net_cents
+  };
+  return toCsv([...report.lines, ...report.refunds, total], LINE_COLUMNS);
+}
+
+function payoutsCsv(report){
+  return toCsv(report.payouts, PAYOUT_COLUMNS);
+}
+
+module.exports = { buildReconciliation, reportRange, reconciliationCsv, payoutsCsv, toCsv, ReportError };
@@ -0,0 +1,206 @@
+// lib/smtp.js — just enough SMTP to hand one message to a relay (SMTP_URL=smtp[s]://user:pass@host:port)
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const crypto = require("crypto");
+
+/**
+ * smtp://  — plain connection, upgraded with STARTTLS when the server offers it (default port 587)
+ * smtps:// — TLS from the start (default port 465)
+ * Credentials are only sent over TLS, except to a relay on the loopback interface.
+ */
+function parseSmtpUrl(smtpUrl){
+  const u = new URL(smtpUrl);
+  if (!["smtp:", "smtps:"].includes(u.protocol)) throw new Error(`SMTP_URL must start with smtp:// or smtps:// (got ${u.protocol})`);
+  const secure = u.protocol === "smtps:";
+  return {
+    host: u.hostname,
+    port: Number(u.port) || (secure ? 465 : 587),
+    secure,
+    user: decodeURIComponent(u.username || ""),
+    pass: decodeURIComponent(u.password || "")
+  };
+}
+
+// "SlipRezi <no-reply@example.com>" -> "no-reply@example.com"
+function addressOf(value){
+  const s = String(value || "");
+  const angle = /<([^<>\s]+@[^<>\s]+)>/.exec(s);
+  if (angle) return angle[1];
+  return /^[^\s<>@]+@[^\s<>@]+$/.test(s.trim()) ? s.trim() : "";
+}
+
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+const base64Body = (s) => Buffer.from(s || "", "utf8").toString("base64").replace(/.{76}(?=.)/g, "$&\r\n");
+
+/** RFC 5322 message: text/plain, or multipart/alternative when there is html. */
+function buildMessage({ from, to, subject, text, html }, { now = new Date() } = {}){
+  const domain = (addressOf(from).split("@")[1]) || "localhost";
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject || "")}`,
+    `Date: ${now.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0"
+  ];
+  if (!html) {
+    return [...headers, "Content-Type: text/plain; charset=utf-8", "Content-Transfer-Encoding: base64", "", base64Body(text)].join("\r\n");
+  }
+  const boundary = `=_${crypto.randomBytes(12).toString("hex")}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Body(text),
+    `--${boundary}`,
+    "Content-Type: text/html; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Body(html),
+    `--${boundary}--`
+  ].join("\r\n");
+}
+
+// Collects (possibly multi-line) replies off a socket; next() resolves with the next one
+function replyReader(socket){
+  let buffer = "";
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length && (replies.length || failure)) {
+      const w = waiting.shift();
+      if (replies.length) w.resolve(replies.shift());
+      else w.reject(failure);
+    }
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, i).replace(/\r$/, "");
+      buffer = buffer.slice(i + 1);
+      lines.push(line.slice(4));
+      // "250-..." continues the reply, "250 ..." ends it
+      if (!/^\d{3}-/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.join("\n") });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (err) => { failure = failure || err; settle(); };
+  const onClose = () => onError(new Error("smtp connection closed"));
+
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+
+  return {
+    next: () => new Promise((resolve, reject) => { waiting.push({ resolve, reject }); settle(); }),
+    detach(){
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+    }
+  };
+}
+
+function connect({ host, port, secure }, timeoutMs){
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error("smtp timeout")));
+    socket.once(secure ? "secureConnect" : "connect", () => { socket.off("error", reject); resolve(socket); });
+    socket.once("error", reject);
+  });
+}
+
+function upgrade(socket, host){
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: net.isIP(host) ? undefined : host });
+    secured.once("secureConnect", () => { secured.off("error", reject); resolve(secured); });
+    secured.once("error", reject);
+  });
+}
+
+const isLoopback = (host) => host === "localhost" || host === "::1" || /^127\./.test(host);
+
+/**
+ * Send one message. message: { from, to, subject, text, html? } (from needs an address, or the SMTP
+ * user has to be one). Resolves once the relay accepted it (250 after DATA); throws otherwise.
+ */
+async function sendSmtp(smtpUrl, message, { timeoutMs = 15000, hostname = os.hostname() } = {}){
+  const server = parseSmtpUrl(smtpUrl);
+  const sender = addressOf(message.from) || addressOf(server.user);
+  if (!sender) throw new Error("smtp needs a sender address (MAIL_FROM=\"Name <address>\")");
+  const recipient = addressOf(message.to);
+  if (!recipient) throw new Error(`smtp: invalid recipient ${JSON.stringify(message.to)}`);
+  const from = addressOf(message.from) ? message.from : `${message.from || "SlipRezi"} <${sender}>`;
+
+  let socket = await connect(server, timeoutMs);
+  let reader = replyReader(socket);
+  let secured = server.secure;
+
+  async function command(line, expected){
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      const verb = line === null ? "greeting" : line.split(" ")[0];
+      const err = new Error(`smtp ${verb} rejected: ${reply.code} ${reply.text}`);
+      err.smtpCode = reply.code;
+      throw err;
+    }
+    return reply;
+  }
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${hostname}`, [250]);
+    if (!secured && /^STARTTLS\b/im.test(ehlo.text)) {
+      await command("STARTTLS", [220]);
+      reader.detach();
+      socket.setTimeout(0);
+      socket = await upgrade(socket, server.host);
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error("smtp timeout")));
+      reader = replyReader(socket);
+      secured = true;
+      ehlo = await command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (server.user) {
+      if (!secured && !isLoopback(server.host)) throw new Error("smtp server offers no TLS; refusing to send credentials");
+      const auth = (/^AUTH\b(.*)$/im.exec(ehlo.text) || [])[1] || "";
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${server.user}\0${server.pass}`).toString("base64")}`, [235]);
+      } else {
+        await command("AUTH LOGIN", [334]);
+        await command(Buffer.from(server.user).toString("base64"), [334]);
+        await command(Buffer.from(server.pass).toString("base64"), [235]);
+      }
+    }
+
+    await command(`MAIL FROM:<${sender}>`, [250]);
+    await command(`RCPT TO:<${recipient}>`, [250, 251]);
+    await command("DATA", [354]);
+    // Dot-stuffing: a line starting with "." gets another one
+    const data = buildMessage({ ...message, from }).replace(/^\./gm, "..");
+    await command(`${data}\r\n.`, [250]);
+    await command("QUIT", [221]).catch(() => {});
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+  return true;
+}
+
+module.exports = { sendSmtp, buildMessage, parseSmtpUrl, addressOf };
@@ -0,0 +1,114 @@
+// lib/store/file.js — local JSON-file adapter (memory-only when no file is given)
+const fs = require("fs");
+const path = require("path");
+
+const clone = (v) => (v === undefined || v === null ? null : JSON.parse(JSON.stringify(v)));
+
+function createFileStore({ file = "" } = {}){
+  let data = null;
+  let writing = Promise.resolve();
+
+  function load(){
+    if (data) return data;
+    data = {};
+    if (file && fs.existsSync(file)) {
+      try { data = JSON.parse(fs.readFileSync(file, "utf8")) || {}; }
+      catch (e) { throw new Error(`file store: cannot parse ${file}: ${e.message}`); }
+    }
+    return data;
+  }
+
+  function table(name){
+    const d = load();
+    if (!d[name]) d[name] = {};
+    return d[name];
+  }
+
+  // Writes are serialized and atomic (temp file + rename) so a crash never leaves half a file
+  function persist(){
+    if (!file) return Promise.resolve();
+    const snapshot = JSON.stringify(data, null, 2);
+    writing = writing.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  const store = {
+    kind: file ? "file" : "memory",
+
+    async get(collection, key){
+      return clone(table(collection)[key]);
+    },
+
+    async put(collection, key, value){
+      table(collection)[key] = clone(value);
+      await persist();
+      return clone(value);
+    },
+
+    // Check and write happen in one tick, so concurrent callers can't both add the same key
+    async add(collection, key, value){
+      const rows = table(collection);
+      if (rows[key] !== undefined) return false;
+      rows[key] = clone(value);
+      await persist();
+      return true;
+    },
+
+    async list(collection){
+      return Object.entries(table(collection)).map(([key, value]) => ({ key, value: clone(value) }));
+    },
+
+    async remove(collection, key){
+      delete table(collection)[key];
+      await persist();
+    },
+
+    async getAccountIdForLocation(location){
+      const acct = table("location_accounts")[location];
+      return acct && String(acct).startsWith("acct_") ? String(acct) : null;
+    },
+
+    async saveAccountIdForLocation(location, accountId){
+      table("location_accounts")[location] = accountId;
+      await persist();
+      return true;
+    },
+
+    async saveSetup({ reservationId, customerId, paymentMethodId, connectedAccountId, location, details }){
+      if (!reservationId) return;
+      const rows = table("reservations");
+      const row = rows[reservationId] || {};
+      // Merge so a later partial save never clears what an earlier one stored
+      if (customerId) row.customer_id = customerId;
+      if (paymentMethodId) row.payment_method_id = paymentMethodId;
+      if (connectedAccountId) row.connected_account_id = connectedAccountId;
+      if (location) row.location = location;
+      if (details) row.details = { ...(row.details || {}), ...details };
+      row.updated_at = new Date().toISOString();
+      rows[reservationId] = row;
+      await persist();
+    },
+
+    async getPaymentInfo(reservationId){
+      return clone(table("reservations")[reservationId]);
+    },
+
+    async setPreauthStatus(reservationId, status){
+      if (!reservationId) return;
+      const rows = table("reservations");
+      // Like the GAS sheet: a status for a reservation we never saved is dropped, not a new row
+      if (!rows[reservationId]) return;
+      rows[reservationId] = { ...rows[reservationId], preauth_status: status, updated_at: new Date().toISOString() };
+      await persist();
+    }
+  };
+
+  return store;
+}
+
+module.exports = { createFileStore };
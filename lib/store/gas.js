@@ -0,0 +1,121 @@
+// lib/store/gas.js — Google Apps Script adapter (POST bodies, nothing sensitive in query strings)
+const { logger: log } = require("../logger");
+
+/**
+ * Every call is a POST of JSON to the web app URL:
+ *   { action, token?, ...params }
+ * Actions the script should handle:
+ *   getacct    { location }                                    -> { account_id }
+ *   setacct    { location, account_id }
+ *   savesetup  { reservation_id, customer_id, payment_method_id, account_id, location, details? }
+ *   getpayinfo { reservation_id }                              -> { customer_id, payment_method_id, connected_account_id, location, details, ... }
+ *   setpreauth { reservation_id, preauth_status }
+ *   kvget      { collection, key }                             -> { value }
+ *   kvput      { collection, key, value }
+ *   kvadd      { collection, key, value }                      -> { added }  (write only if the key is absent, under a script lock)
+ *   kvlist     { collection }                                  -> { items: [{ key, value }] }
+ *   kvdelete   { collection, key }
+ *   sendmail   { to, subject, text, html? }                    (lib/mailer.js, MAIL_TRANSPORT=gas)
+ * A JSON body with an "error" field is treated as a failure.
+ * onCall({ action, ok, duration_ms, error? }) is told about every call (metrics).
+ */
+function createGasStore({ url, token = "", fetchImpl = globalThis.fetch, onCall = null }){
+  const endpoint = String(url).replace(/\/$/, "");
+
+  async function call(action, params = {}){
+    const started = Date.now();
+    try {
+      const data = await send(action, params);
+      onCall?.({ action, ok: true, duration_ms: Date.now() - started });
+      return data;
+    } catch (e) {
+      onCall?.({ action, ok: false, duration_ms: Date.now() - started, error: e.message });
+      log.warn("gas call failed", { gas_action: action, duration_ms: Date.now() - started }, e);
+      throw e;
+    }
+  }
+
+  async function send(action, params){
+    const r = await fetchImpl(endpoint, {
+      method: "POST",
+      redirect: "follow", // Apps Script answers POSTs with a 302 to the script output
+      headers: { "Content-Type": "application/json", "Accept": "application/json" },
+      body: JSON.stringify({ action, ...params, token: token || undefined })
+    });
+    if (!r.ok) throw new Error(`gas ${action} http ${r.status}`);
+    const text = await r.text();
+    if (!text) return null;
+    let data;
+    try { data = JSON.parse(text); }
+    catch { return null; }
+    if (data && data.error) throw new Error(`gas ${action}: ${data.error}`);
+    return data;
+  }
+
+  return {
+    kind: "gas",
+
+    async getAccountIdForLocation(location){
+      try {
+        const data = await call("getacct", { location });
+        const acct = data && (data.account_id || data.accountId);
+        return acct && String(acct).startsWith("acct_") ? String(acct) : null;
+      } catch {
+        // Already logged by call(); a lookup failure reads as "not onboarded"
+        return null;
+      }
+    },
+
+    async saveAccountIdForLocation(location, accountId){
+      await call("setacct", { location, account_id: accountId });
+      return true;
+    },
+
+    async saveSetup({ reservationId, customerId, paymentMethodId, connectedAccountId, location, details }){
+      if (!reservationId) return;
+      await call("savesetup", {
+        reservation_id: reservationId,
+        customer_id: customerId || "",
+        payment_method_id: paymentMethodId || "",
+        account_id: connectedAccountId || "",
+        location: location || "",
+        details: details || undefined
+      });
+    },
+
+    async getPaymentInfo(reservationId){
+      return await call("getpayinfo", { reservation_id: reservationId });
+    },
+
+    async setPreauthStatus(reservationId, status){
+      if (!reservationId) return;
+      await call("setpreauth", { reservation_id: reservationId, preauth_status: status });
+    },
+
+    async get(collection, key){
+      const data = await call("kvget", { collection, key });
+      return data && data.value !== undefined ? data.value : null;
+    },
+
+    async put(collection, key, value){
+      await call("kvput", { collection, key, value });
+      return value;
+    },
+
+    async add(collection, key, value){
+      const data = await call("kvadd", { collection, key, value });
+      return data?.added === true;
+    },
+
+    async list(collection){
+      const data = await call("kvlist", { collection });
+      return Array.isArray(data?.items) ? data.items : [];
+    },
+
+    async remove(collection, key){
+      await call("kvdelete", { collection, key });
+    }
+  };
+}
+
+module.exports = { createGasStore };
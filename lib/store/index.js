@@ -0,0 +1,34 @@
+// lib/store/index.js — pick a reservation store from config
+const { createGasStore } = require("./gas");
+const { createFileStore } = require("./file");
+
+/**
+ * Every store exposes the same async interface:
+ *   getAccountIdForLocation(location)          -> "acct_..." | null
+ *   saveAccountIdForLocation(location, acctId) -> true
+ *   saveSetup({ reservationId, customerId, paymentMethodId, connectedAccountId, location, details })
+ *   getPaymentInfo(reservationId)              -> { customer_id, payment_method_id, connected_account_id, location, details, ... } | null
+ *   setPreauthStatus(reservationId, status)
+ * plus a small keyed-collection API for everything else:
+ *   get(collection, key) / put(collection, key, value) / list(collection) / remove(collection, key)
+ *   add(collection, key, value) -> true, or false (nothing written) when the key already exists
+ *
+ * driver: "gas" | "file" | "memory" (defaults to "gas" when a GAS url is set, else "file")
+ * onCall: optional hook for every Apps Script call (lib/metrics.js observeGasCall)
+ */
+function createStore({ driver = "", gasUrl = "", gasToken = "", file = "", onCall = null } = {}){
+  const kind = driver || (gasUrl ? "gas" : "file");
+  switch (kind) {
+    case "gas":
+      if (!gasUrl) throw new Error("RESERVATION_STORE=gas requires RESERVATIONS_GAS_URL");
+      return createGasStore({ url: gasUrl, token: gasToken, onCall });
+    case "file":
+      return createFileStore({ file });
+    case "memory":
+      return createFileStore({ file: "" });
+    default:
+      throw new Error(`Unknown RESERVATION_STORE "${kind}" (expected gas | file | memory)`);
+  }
+}
+
+module.exports = { createStore };
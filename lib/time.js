@@ -0,0 +1,52 @@
+// lib/time.js — reservation arrival times are wall-clock times at the marina
+
+// Offset (ms) of timeZone from UTC at instant ts
+function tzOffsetMs(ts, timeZone){
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit"
+  }).formatToParts(new Date(ts));
+  const get = (type) => Number(parts.find(p => p.type === type)?.value);
+  const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+  return asUtc - (ts - (ts % 1000));
+}
+
+// "14:30", "2:30 PM", "2pm" -> [14, 30]; anything unparseable -> null
+function parseTime(s){
+  const m = /^\s*(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?\s*$/i.exec(String(s || ""));
+  if (!m) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  const ampm = (m[3] || "").toLowerCase().replace(/\./g, "");
+  if (ampm === "pm" && h < 12) h += 12;
+  if (ampm === "am" && h === 12) h = 0;
+  if (h > 23 || min > 59) return null;
+  return [h, min];
+}
+
+/**
+ * UTC instant (ms) of a reservation's arrival.
+ * details: { arrivalDate: "YYYY-MM-DD", arrivalTime?: "HH:MM" | "h:mm AM" }, missing time = midnight.
+ * Returns null when arrivalDate is missing or malformed.
+ */
+function arrivalInstant(details, timeZone = "UTC"){
+  const d = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(details?.arrivalDate || ""));
+  if (!d) return null;
+  const [h, min] = parseTime(details?.arrivalTime) || [0, 0];
+  const wall = Date.UTC(Number(d[1]), Number(d[2]) - 1, Number(d[3]), h, min);
+  const tz = timeZone || "UTC";
+  // Two passes so instants near a DST switch land on the right side
+  let utc = wall - tzOffsetMs(wall, tz);
+  const second = tzOffsetMs(utc, tz);
+  if (wall - second !== utc) utc = wall - second;
+  return utc;
+}
+
+/** "YYYY-MM-DD" of instant ts on the wall calendar of timeZone. */
+function localDate(ts = Date.now(), timeZone = "UTC"){
+  return new Date(ts + tzOffsetMs(ts, timeZone || "UTC")).toISOString().slice(0, 10);
+}
+
+module.exports = { arrivalInstant, parseTime, tzOffsetMs, localDate };
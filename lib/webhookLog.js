@@ -0,0 +1,143 @@
+// lib/webhookLog.js — durable Stripe webhook log: dedupe by event id, retry failures on a backoff
+const { logger: log } = require("./logger");
+
+const COLLECTION = "webhook_events";
+
+/**
+ * Each verified event is saved before it is processed:
+ *   { id, type, status, attempts, last_error, next_attempt_at, received_at, processed_at, event }
+ * status: "received" | "processing" | "processed" | "failed"
+ * receive() only records the event (the webhook answers Stripe straight away); drain() and the worker run it.
+ * A failed event with next_attempt_at = null has used up its attempts and waits for a manual replay.
+ */
+function createWebhookLog({
+  store,
+  handler,
+  maxAttempts = 8,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 6 * 60 * 60 * 1000,
+  staleProcessingMs = 10 * 60 * 1000,
+  retentionMs = 30 * 24 * 60 * 60 * 1000,
+  now = () => Date.now()
+}){
+  const iso = (ms) => new Date(ms).toISOString();
+
+  // 30s, 1m, 2m, 4m ... capped at maxDelayMs
+  function backoff(attempts){
+    return Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+  }
+
+  async function run(record){
+    const attempts = (record.attempts || 0) + 1;
+    await store.put(COLLECTION, record.id, { ...record, status: "processing", attempts, started_at: iso(now()) });
+    try {
+      await handler(record.event);
+      const done = { ...record, status: "processed", attempts, last_error: "", next_attempt_at: null, processed_at: iso(now()) };
+      await store.put(COLLECTION, record.id, done);
+      return done;
+    } catch (err) {
+      const failed = {
+        ...record,
+        status: "failed",
+        attempts,
+        last_error: err?.message || String(err),
+        next_attempt_at: attempts < maxAttempts ? iso(now() + backoff(attempts)) : null
+      };
+      await store.put(COLLECTION, record.id, failed);
+      return failed;
+    }
+  }
+
+  /** Record a freshly verified event for the worker. Returns { duplicate, record }. */
+  async function receive(event){
+    const record = {
+      id: event.id,
+      type: event.type,
+      status: "received",
+      attempts: 0,
+      last_error: "",
+      next_attempt_at: null,
+      received_at: iso(now()),
+      processed_at: null,
+      event
+    };
+    // Put-if-absent: of two deliveries arriving together only one gets to add the record
+    if (await store.add(COLLECTION, event.id, record)) return { duplicate: false, record };
+
+    const existing = await store.get(COLLECTION, event.id);
+    // Stripe redelivering something we already failed on is as good as a retry; anything else is a duplicate
+    if (existing?.status !== "failed") return { duplicate: true, record: existing };
+    const due = { ...existing, next_attempt_at: iso(now()) };
+    await store.put(COLLECTION, event.id, due);
+    return { duplicate: false, record: due };
+  }
+
+  /** Re-run one event regardless of its state (admin replay). */
+  async function replay(id){
+    const record = await store.get(COLLECTION, id);
+    if (!record) return null;
+    return await run({ ...record, attempts: 0 });
+  }
+
+  async function list({ status = "" } = {}){
+    const rows = (await store.list(COLLECTION)).map(({ value }) => value).filter(Boolean);
+    return rows
+      .filter(r => !status || r.status === status)
+      .sort((a, b) => String(b.received_at).localeCompare(String(a.received_at)))
+      .map(({ event, ...summary }) => summary);
+  }
+
+  /** Run new events and due failures, pick up events stuck in "processing" after a crash, prune old processed ones. */
+  async function retryDue(){
+    const t = now();
+    const rows = (await store.list(COLLECTION)).map(({ value }) => value).filter(Boolean);
+    let retried = 0;
+    for (const r of rows) {
+      const due = r.status === "received" || (r.status === "failed" && r.next_attempt_at && Date.parse(r.next_attempt_at) <= t);
+      const stuck = r.status === "processing" && Date.parse(r.started_at || r.received_at) <= t - staleProcessingMs;
+      if (due || stuck) {
+        await run(r);
+        retried++;
+      } else if (r.status === "processed" && Date.parse(r.processed_at) <= t - retentionMs) {
+        await store.remove(COLLECTION, r.id);
+      }
+    }
+    return retried;
+  }
+
+  // One pass at a time; a drain() asked for mid-pass gets one more pass before the shared promise settles
+  let draining = null;
+  let again = false;
+  function drain(){
+    if (draining) {
+      again = true;
+      return draining;
+    }
+    draining = (async () => {
+      let ran = 0;
+      try {
+        do {
+          again = false;
+          ran += await retryDue();
+        } while (again);
+        return ran;
+      } finally {
+        draining = null;
+      }
+    })();
+    return draining;
+  }
+
+  /** Background worker; returns a stop() function. */
+  function startWorker(intervalMs = 60 * 1000){
+    const timer = setInterval(() => {
+      drain().catch(e => log.error("webhook retry worker error", e));
+    }, intervalMs);
+    timer.unref?.();
+    return () => clearInterval(timer);
+  }
+
+  return { receive, replay, list, retryDue, drain, startWorker, backoff };
+}
+
+module.exports = { createWebhookLog };
@@ -0,0 +1,151 @@
+// Rate limits, known-location and email checks, and the optional CAPTCHA on the public booking routes
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRateLimiter, createMemoryRateStore } = require("../lib/rateLimit");
+const { startHarness } = require("./support/harness");
+
+const quiet = async (fn) => {
+  const [error, warn] = [console.error, console.warn];
+  console.error = console.warn = () => {};
+  try { return await fn(); } finally { [console.error, console.warn] = [error, warn]; }
+};
+
+const book = (h, email, extra = {}) => h.request("POST", "/create-checkout-session", { body: { location: "Harbor", email, ...extra } });
+
+test("rate limiter: fixed windows, count-only-failures rules, 0 turns a rule off", async () => {
+  let t = 1000;
+  const now = () => t;
+  const limiter = createRateLimiter({
+    store: createMemoryRateStore({ now }),
+    now,
+    rules: { ip: { limit: 2, windowMs: 60000 }, misses: { limit: 1, windowMs: 60000 }, off: { limit: 0, windowMs: 60000 } }
+  });
+  assert.equal((await limiter.hit("ip", "1.2.3.4")).allowed, true);
+  assert.equal((await limiter.hit("ip", "1.2.3.4")).allowed, true);
+  assert.deepEqual(await limiter.hit("ip", "1.2.3.4"), { allowed: false, count: 3, limit: 2, retry_after_seconds: 60 });
+  assert.equal((await limiter.hit("ip", "5.6.7.8")).allowed, true);
+  t += 30500;
+  assert.equal((await limiter.hit("ip", "1.2.3.4")).retry_after_seconds, 30);
+  t += 30000;
+  assert.equal((await limiter.hit("ip", "1.2.3.4")).allowed, true);
+
+  assert.equal((await limiter.exhausted("misses", "a")).allowed, true);
+  await limiter.hit("misses", "a");
+  assert.equal((await limiter.exhausted("misses", "a")).allowed, false);
+  for (let i = 0; i < 5; i++) assert.equal((await limiter.hit("off", "a")).allowed, true);
+});
+
+test("booking: unknown locations and bad emails are refused, then per-email and per-IP limits apply", async () => {
+  const h = await startHarness({ env: { RATE_LIMIT_PER_IP: "5", RATE_LIMIT_PER_EMAIL: "2" } });
+  try {
+    await h.readyLocation("Harbor");
+    const unknown = await h.request("POST", "/create-checkout-session", { body: { location: "Atlantis", email: "a@example.test" } });
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error, "unknown_location");
+    assert.equal((await book(h, "not-an-email")).body.error, "invalid_email");
+    assert.equal(h.fakeStripe.db.customers.size, 0);
+
+    // Per email, however it's capitalized
+    assert.equal((await book(h, "bot@example.test")).status, 200);
+    assert.equal((await book(h, "Bot@Example.test")).status, 200);
+    const limited = await quiet(() => book(h, "bot@example.test"));
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, "rate_limited");
+    assert.equal(limited.headers.get("retry-after"), "600");
+
+    // Per IP: the sixth request, across emails
+    const sixth = await quiet(() => book(h, "other@example.test"));
+    assert.equal(sixth.status, 429);
+    assert.equal(h.fakeStripe.db.customers.size, 2);
+
+    // Magic links count separately
+    assert.equal((await h.request("POST", "/customers/magic-link", { body: { email: "bot@example.test" } })).status, 202);
+
+    const scrape = await h.request("GET", "/metrics");
+    assert.ok(scrape.text.includes("sliprezi_rate_limited_total{rule=\"checkout_email\"} 1"));
+    assert.ok(scrape.text.includes("sliprezi_rate_limited_total{rule=\"checkout_ip\"} 1"));
+  } finally {
+    await h.close();
+  }
+});
+
+test("TRUST_PROXY counts clients by X-Forwarded-For", async () => {
+  const h = await startHarness({ env: { RATE_LIMIT_PER_IP: "1", TRUST_PROXY: "1" } });
+  try {
+    await h.readyLocation("Harbor");
+    const from = (ip, email) => h.request("POST", "/create-checkout-session", {
+      body: { location: "Harbor", email }, headers: { "X-Forwarded-For": ip }
+    });
+    assert.equal((await from("203.0.113.1", "a@example.test")).status, 200);
+    assert.equal((await from("203.0.113.2", "b@example.test")).status, 200);
+    assert.equal((await quiet(() => from("203.0.113.1", "c@example.test"))).status, 429);
+  } finally {
+    await h.close();
+  }
+});
+
+test("/checkout-session lookups: misses are limited much sooner than lookups", async () => {
+  const h = await startHarness({ env: { RATE_LIMIT_LOOKUPS_PER_IP: "5", RATE_LIMIT_LOOKUP_FAILURES_PER_IP: "2" } });
+  try {
+    await h.readyLocation("Harbor");
+    const { sessionId } = await h.reservationWithCard("res_l1");
+    assert.equal((await h.request("GET", "/checkout-session?session_id=cs_guess1")).status, 404);
+    assert.equal((await h.request("GET", "/checkout-session?session_id=cs_guess2")).status, 404);
+    const blocked = await quiet(() => h.request("GET", `/checkout-session?session_id=${sessionId}`));
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.body.retry_after_seconds) > 0);
+  } finally {
+    await h.close();
+  }
+
+  const h2 = await startHarness({ env: { RATE_LIMIT_LOOKUPS_PER_IP: "2" } });
+  try {
+    await h2.readyLocation("Harbor");
+    const { sessionId } = await h2.reservationWithCard("res_l2"); // one lookup
+    assert.equal((await h2.request("GET", `/checkout-session?session_id=${sessionId}`)).status, 200);
+    assert.equal((await quiet(() => h2.request("GET", `/checkout-session?session_id=${sessionId}`))).status, 429);
+  } finally {
+    await h2.close();
+  }
+});
+
+test("CAPTCHA: token required, checked with the provider, and refused when the provider is down", async () => {
+  const seen = [];
+  const verifier = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      const form = new URLSearchParams(body);
+      seen.push({ secret: form.get("secret"), response: form.get("response"), remoteip: form.get("remoteip") });
+      const ok = form.get("response") === "human";
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(ok ? { success: true } : { success: false, "error-codes": ["invalid-input-response"] }));
+    });
+  });
+  await new Promise((resolve) => verifier.listen(0, "127.0.0.1", resolve));
+  const verifyUrl = `http://127.0.0.1:${verifier.address().port}/siteverify`;
+  const h = await startHarness({ env: { CAPTCHA_SECRET: "turnstile-secret", CAPTCHA_VERIFY_URL: verifyUrl } });
+  try {
+    await h.readyLocation("Harbor");
+    const missing = await book(h, "c1@example.test");
+    assert.equal(missing.status, 403);
+    assert.equal(missing.body.error, "captcha_required");
+
+    const bot = await quiet(() => book(h, "c1@example.test", { captcha_token: "robot" }));
+    assert.equal(bot.status, 403);
+    assert.equal(bot.body.error, "captcha_failed");
+
+    const human = await book(h, "c1@example.test", { "cf-turnstile-response": "human" });
+    assert.equal(human.status, 200);
+    assert.deepEqual(seen.at(-1), { secret: "turnstile-secret", response: "human", remoteip: "127.0.0.1" });
+
+    await new Promise((resolve) => verifier.close(resolve));
+    const down = await quiet(() => book(h, "c1@example.test", { captcha_token: "human" }));
+    assert.equal(down.status, 503);
+    assert.equal(down.body.error, "captcha_unavailable");
+  } finally {
+    if (verifier.listening) verifier.close();
+    await h.close();
+  }
+});
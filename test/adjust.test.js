@@ -0,0 +1,126 @@
+// /adjust: re-pricing an approved stay, charging the difference or refunding the overpayment
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./support/harness");
+
+let h;
+let token;
+test.before(async () => {
+  h = await startHarness();
+  await h.request("PUT", "/admin/locations/Marina/pricing", { token: h.adminToken, body: { currency: "usd", hourly_cents: 2500 } });
+  await h.readyLocation("Marina");
+  token = h.locationToken("Marina");
+});
+test.after(async () => { await h.close(); });
+
+const adjust = (body, t = token) => h.request("POST", "/adjust", { token: t, body });
+const quiet = async (fn) => {
+  const error = console.error;
+  console.error = () => {};
+  try { return await fn(); } finally { console.error = error; }
+};
+
+// Booked for two hours ($50) and approved
+async function approvedStay(reservationId, options = {}){
+  await h.reservationWithCard(reservationId, { location: "Marina", details: { hours: "2" }, ...options });
+  const approved = await h.request("POST", "/approve", { token, body: { reservation_id: reservationId } });
+  assert.equal(approved.body.status, "succeeded");
+  return approved.body;
+}
+
+test("validates the request and the reservation", async () => {
+  assert.equal((await adjust({})).body.error, "missing reservation_id");
+  assert.equal((await adjust({ reservation_id: "res_x" })).body.error, "nothing_to_adjust");
+  assert.equal((await adjust({ reservation_id: "res_x", hours: "3" })).status, 404);
+
+  await h.reservationWithCard("res_unpaid", { location: "Marina", details: { hours: "2" } });
+  assert.equal((await adjust({ reservation_id: "res_unpaid", hours: "3" }, h.locationToken("Harbor"))).status, 403);
+  const unpaid = await adjust({ reservation_id: "res_unpaid", hours: "3" });
+  assert.equal(unpaid.status, 409);
+  assert.equal(unpaid.body.error, "nothing_collected");
+
+  await approvedStay("res_override");
+  const override = await adjust({ reservation_id: "res_override", hours: "3", amount_cents: 7000 });
+  assert.equal(override.status, 400);
+  assert.equal(override.body.error, "override_reason_required");
+  assert.equal(override.body.computed_amount_cents, 7500);
+});
+
+test("charges only the difference when a stay grows, and refunds newest first when it shrinks", async () => {
+  const approved = await approvedStay("res_grow");
+
+  const grown = await adjust({ reservation_id: "res_grow", hours: "3", reason: "stayed the afternoon" });
+  assert.equal(grown.status, 200);
+  assert.equal(grown.body.status, "charged");
+  assert.equal(grown.body.collected_before_cents, 5000);
+  assert.equal(grown.body.new_total_cents, 7500);
+  assert.equal(grown.body.difference_cents, 2500);
+  const req = h.fakeStripe.requests.find(x => x.path === "/v1/payment_intents" && x.params.metadata?.charge_kind === "adjustment");
+  assert.equal(req.params.amount, "2500");
+  assert.equal(req.idempotencyKey, "adjust_res_grow_5000_7500");
+  assert.equal(req.params.metadata.adjustment_id, grown.body.adjustment_id);
+
+  const saved = await h.store.getPaymentInfo("res_grow");
+  assert.equal(saved.details.hours, "3");
+  assert.equal(saved.details.quoted_total_cents, "7500");
+  assert.equal(saved.preauth_status, "paid");
+
+  // Down to one hour: the $25 adjustment charge, then $25 of the original
+  const shrunk = await adjust({ reservation_id: "res_grow", hours: "1" });
+  assert.equal(shrunk.status, 200);
+  assert.equal(shrunk.body.status, "refunded");
+  assert.equal(shrunk.body.difference_cents, -5000);
+  assert.deepEqual(shrunk.body.refunds.map(r => [r.payment_intent_id, r.amount_cents]), [
+    [grown.body.payment_intent_id, 2500],
+    [approved.payment_intent_id, 2500]
+  ]);
+  const original = h.fakeStripe.db.payment_intents.get(approved.payment_intent_id);
+  const charge = h.fakeStripe.db.charges.get(original.latest_charge);
+  assert.equal(charge.amount_refunded, 2500);
+
+  // The webhook for that refund doesn't mark the stay refunded
+  await h.deliver(h.fakeStripe.event("charge.refunded", charge));
+  assert.equal((await h.store.getPaymentInfo("res_grow")).preauth_status, "paid");
+
+  assert.equal((await adjust({ reservation_id: "res_grow", hours: "1" })).body.status, "no_change");
+
+  const list = await h.request("GET", "/adjustments?reservation_id=res_grow", { token });
+  assert.equal(list.status, 200);
+  assert.equal(list.body.collected_cents, 2500);
+  assert.deepEqual(list.body.adjustments.map(a => a.status), ["charged", "refunded", "no_change"]);
+  assert.equal(list.body.adjustments[0].reason, "stayed the afternoon");
+  assert.equal(list.body.adjustments[1].previous_details.hours, "3");
+  assert.equal((await h.request("GET", "/adjustments?reservation_id=res_grow", { token: h.locationToken("Harbor") })).status, 403);
+});
+
+test("a declined difference keeps the old details; a retry gets a new key", async () => {
+  await approvedStay("res_decline");
+  await h.store.saveSetup({ reservationId: "res_decline", paymentMethodId: "pm_card_chargeDeclined" });
+
+  const declined = await quiet(() => adjust({ reservation_id: "res_decline", hours: "4" }));
+  assert.equal(declined.status, 400);
+  assert.equal(declined.body.status, "failed");
+  assert.equal((await h.store.getPaymentInfo("res_decline")).details.hours, "2");
+
+  await h.store.saveSetup({ reservationId: "res_decline", paymentMethodId: "pm_card_visa" });
+  const retried = await adjust({ reservation_id: "res_decline", hours: "4" });
+  assert.equal(retried.body.status, "charged");
+  assert.equal(retried.body.adjustment_id, "adjust_res_decline_5000_10000_1");
+  assert.equal((await h.store.getPaymentInfo("res_decline")).details.hours, "4");
+});
+
+test("authentication fallback: the adjustment is charged once the boater finishes", async () => {
+  await approvedStay("res_sca");
+  await h.store.saveSetup({ reservationId: "res_sca", paymentMethodId: "pm_card_authenticationRequired" });
+
+  const r = await adjust({ reservation_id: "res_sca", hours: "3" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.status, "action_required");
+  assert.match(r.body.url, /^https:\/\/checkout\.stripe\.test\//);
+
+  const pi = h.fakeStripe.db.payment_intents.get(r.body.payment_intent_id);
+  await h.deliver(h.fakeStripe.event("payment_intent.succeeded", { ...pi, status: "succeeded", amount_received: pi.amount }));
+  const list = await h.request("GET", "/adjustments?reservation_id=res_sca", { token });
+  assert.equal(list.body.adjustments[0].status, "charged");
+  assert.equal(list.body.collected_cents, 7500);
+});
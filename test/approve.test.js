@@ -0,0 +1,131 @@
+// /approve: off-session destination charges, SCA fallback, declines, pricing overrides, deposits
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./support/harness");
+
+let h;
+let acct;
+let token;
+test.before(async () => {
+  h = await startHarness({ env: { APPLICATION_FEE_BPS: "1000", APPLICATION_FEE_CENTS_FIXED: "30" } });
+  acct = await h.readyLocation("Harbor");
+  token = h.locationToken("Harbor");
+});
+test.after(async () => { await h.close(); });
+
+const approve = (body, t = token) => h.request("POST", "/approve", { token: t, body });
+const quiet = async (fn) => {
+  const error = console.error;
+  console.error = () => {};
+  try { return await fn(); } finally { console.error = error; }
+};
+
+test("needs a token for the reservation's location", async () => {
+  await h.reservationWithCard("res_auth");
+  assert.equal((await h.request("POST", "/approve", { body: { reservation_id: "res_auth", amount_cents: 1000 } })).status, 401);
+  assert.equal((await approve({ reservation_id: "res_auth", amount_cents: 1000 }, "not-a-token")).status, 401);
+  const other = await approve({ reservation_id: "res_auth", amount_cents: 1000 }, h.locationToken("Elsewhere"));
+  assert.equal(other.status, 403);
+});
+
+test("validates the request", async () => {
+  assert.equal((await approve({})).body.error, "missing reservation_id");
+  assert.equal((await approve({ reservation_id: "res_unknown", amount_cents: 1000 })).body.error, "missing_customer_or_payment_method");
+  await h.reservationWithCard("res_bad_amount");
+  assert.equal((await approve({ reservation_id: "res_bad_amount", amount_cents: -5 })).body.error, "invalid amount_cents");
+});
+
+test("charges the saved card off-session to the location's account", async () => {
+  await h.reservationWithCard("res_ok");
+  const r = await approve({ reservation_id: "res_ok", amount_cents: 10000 });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.status, "succeeded");
+  assert.equal(r.body.amount_cents, 10000);
+
+  const req = h.fakeStripe.requests.find(x => x.path === "/v1/payment_intents" && x.params.metadata?.reservation_id === "res_ok");
+  assert.equal(req.idempotencyKey, "approve_res_ok_10000");
+  assert.equal(req.params.off_session, "true");
+  assert.equal(req.params.transfer_data.destination, acct);
+  assert.equal(req.params.on_behalf_of, acct);
+  assert.equal(req.params.application_fee_amount, "1030");
+  assert.equal(req.params.metadata.charge_kind, "approve");
+
+  assert.equal((await h.store.getPaymentInfo("res_ok")).preauth_status, "paid");
+
+  // A repeat approve finds the balance already paid
+  const again = await approve({ reservation_id: "res_ok", amount_cents: 10000 });
+  assert.equal(again.body.nothing_due, true);
+  assert.equal(again.body.balance_paid_cents, 10000);
+});
+
+test("falls back to hosted Checkout when the bank wants authentication", async () => {
+  await h.reservationWithCard("res_sca", { paymentMethod: "pm_card_authenticationRequired" });
+  const r = await approve({ reservation_id: "res_sca", amount_cents: 7500 });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.status, "action_required");
+  assert.match(r.body.url, /^https:\/\/checkout\.stripe\.test\//);
+  assert.ok(r.body.payment_intent_id);
+
+  const session = h.fakeStripe.requests.find(x => x.path === "/v1/checkout/sessions" && x.params.payment_intent === r.body.payment_intent_id);
+  assert.equal(session.idempotencyKey, "sca_res_sca_7500");
+  assert.equal((await h.store.getPaymentInfo("res_sca")).preauth_status, "payment_action_required");
+});
+
+test("reports a declined card as failed", async () => {
+  await h.reservationWithCard("res_declined", { paymentMethod: "pm_card_chargeDeclined" });
+  const r = await quiet(() => approve({ reservation_id: "res_declined", amount_cents: 7500 }));
+  assert.equal(r.status, 400);
+  assert.equal(r.body.status, "failed");
+  assert.equal((await h.store.getPaymentInfo("res_declined")).preauth_status, "failed");
+});
+
+test("refuses when the location's account can't take charges", async () => {
+  const pending = h.fakeStripe.createAccount({ metadata: { location: "Dock" } });
+  await h.store.saveAccountIdForLocation("Dock", pending.id);
+  await h.reservationWithCard("res_dock", { location: "Dock" });
+  const r = await approve({ reservation_id: "res_dock", amount_cents: 5000 }, h.locationToken("Dock"));
+  assert.equal(r.status, 409);
+  assert.equal(r.body.error, "connected_account_unavailable");
+  assert.equal(r.body.account_id, pending.id);
+});
+
+test("charges the computed price and audits overrides", async () => {
+  await h.request("PUT", "/admin/locations/Priced/pricing", { token: h.adminToken, body: { currency: "usd", hourly_cents: 2500 } });
+  await h.readyLocation("Priced");
+  const t = h.locationToken("Priced");
+  await h.reservationWithCard("res_priced", { location: "Priced", details: { hours: "2" } });
+
+  const mismatch = await approve({ reservation_id: "res_priced", amount_cents: 4000 }, t);
+  assert.equal(mismatch.status, 400);
+  assert.equal(mismatch.body.error, "override_reason_required");
+  assert.equal(mismatch.body.computed_amount_cents, 5000);
+
+  const computed = await approve({ reservation_id: "res_priced" }, t);
+  assert.equal(computed.body.status, "succeeded");
+  assert.equal(computed.body.amount_cents, 5000);
+  assert.equal(computed.body.amount_source, "computed");
+
+  await h.reservationWithCard("res_override", { location: "Priced", details: { hours: "2" } });
+  const override = await approve({ reservation_id: "res_override", amount_cents: 4000, override_reason: "regular" }, t);
+  assert.equal(override.body.amount_source, "override");
+  assert.equal(override.body.amount_cents, 4000);
+
+  const audit = await h.request("GET", "/admin/audit?reservation_id=res_override", { token: h.adminToken });
+  assert.equal(audit.body.entries.length, 1);
+  assert.equal(audit.body.entries[0].type, "amount_override");
+  assert.equal(audit.body.entries[0].reason, "regular");
+});
+
+test("only charges the balance after a deposit", async () => {
+  await h.request("PUT", "/admin/locations/Deposit/pricing", { token: h.adminToken, body: { currency: "usd", hourly_cents: 2000 } });
+  await h.request("PUT", "/admin/locations/Deposit/deposit", { token: h.adminToken, body: { cents: 1500 } });
+  await h.readyLocation("Deposit");
+  const t = h.locationToken("Deposit");
+  await h.reservationWithCard("res_bal", { location: "Deposit", details: { hours: "3" } });
+
+  const r = await approve({ reservation_id: "res_bal" }, t);
+  assert.equal(r.body.status, "succeeded");
+  assert.equal(r.body.total_cents, 6000);
+  assert.equal(r.body.deposit_paid_cents, 1500);
+  assert.equal(r.body.amount_cents, 4500);
+});
@@ -0,0 +1,151 @@
+// Post-booking money movement: /cancel, /no-show, /refund, /capture, /release
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./support/harness");
+
+let h;
+let token;
+test.before(async () => {
+  h = await startHarness({ env: { APPLICATION_FEE_BPS: "1000" } });
+  await h.readyLocation("Harbor");
+  token = h.locationToken("Harbor");
+  await h.request("PUT", "/admin/locations/Harbor/pricing", { token: h.adminToken, body: { currency: "usd", hourly_cents: 2000 } });
+  await h.request("PUT", "/admin/locations/Harbor/cancellation-policy", {
+    token: h.adminToken,
+    body: { free_cancellation_hours: 48, late_cancellation_bps: 5000, no_show_cents: 2500, timezone: "America/New_York" }
+  });
+});
+test.after(async () => { await h.close(); });
+
+const post = (path, body, t = token) => h.request("POST", path, { token: t, body });
+const soon = () => new Date(Date.now() + 6 * 3600 * 1000).toISOString().slice(0, 10);
+
+test("cancelling well before arrival is free", async () => {
+  await h.reservationWithCard("res_early", { details: { arrivalDate: "2030-07-01" } });
+  const r = await post("/cancel", { reservation_id: "res_early" });
+  assert.equal(r.status, 200);
+  assert.deepEqual({ status: r.body.status, rule: r.body.rule, fee: r.body.fee_cents }, { status: "cancelled", rule: "free", fee: 0 });
+  assert.equal((await h.store.getPaymentInfo("res_early")).preauth_status, "cancelled");
+});
+
+test("a late cancellation charges the policy fee", async () => {
+  await h.reservationWithCard("res_late", { details: { arrivalDate: soon(), arrivalTime: "23:59", hours: "3" } });
+  const r = await post("/cancel", { reservation_id: "res_late", reason: "weather" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.status, "succeeded");
+  assert.equal(r.body.rule, "late_cancellation");
+  assert.equal(r.body.fee_cents, 3000);
+
+  const req = h.fakeStripe.requests.find(x => x.path === "/v1/payment_intents" && x.params.metadata?.reservation_id === "res_late");
+  assert.equal(req.idempotencyKey, "cancellation_fee_res_late_3000");
+  assert.equal(req.params.metadata.charge_kind, "cancellation_fee");
+  assert.equal((await h.store.getPaymentInfo("res_late")).preauth_status, "cancellation_fee_paid");
+});
+
+test("no-show waits for the arrival time, then charges the fee", async () => {
+  await h.reservationWithCard("res_future", { details: { arrivalDate: "2030-07-01" } });
+  assert.equal((await post("/no-show", { reservation_id: "res_future" })).status, 409);
+
+  await h.reservationWithCard("res_noshow", { details: { arrivalDate: "2020-07-01" } });
+  const r = await post("/no-show", { reservation_id: "res_noshow" });
+  assert.equal(r.status, 200);
+  assert.equal(r.body.status, "succeeded");
+  assert.equal(r.body.fee_cents, 2500);
+});
+
+test("without a cancellation policy, arrival times are still the location's local time", async () => {
+  await h.readyLocation("Pacific");
+  await h.request("PUT", "/admin/locations/Pacific/locale", { token: h.adminToken, body: { country: "US", currency: "usd", timezone: "America/Los_Angeles" } });
+  const t = h.locationToken("Pacific");
+  // An hour ago on a UTC clock is still hours away in Los Angeles
+  const wallClock = new Date(Date.now() - 3600 * 1000).toISOString();
+  const details = { arrivalDate: wallClock.slice(0, 10), arrivalTime: wallClock.slice(11, 16) };
+  await h.reservationWithCard("res_pacific", { location: "Pacific", details });
+  const early = await post("/no-show", { reservation_id: "res_pacific" }, t);
+  assert.equal(early.status, 409);
+  assert.equal(early.body.error, "arrival_not_reached");
+});
+
+test("cancel and no-show check the reservation and its owner", async () => {
+  assert.equal((await post("/cancel", { reservation_id: "res_none" })).status, 404);
+  await h.reservationWithCard("res_owned");
+  assert.equal((await post("/no-show", { reservation_id: "res_owned" }, h.locationToken("Elsewhere"))).status, 403);
+});
+
+test("refunds part, then the rest, of an approved charge", async () => {
+  await h.reservationWithCard("res_refund");
+  const charged = await post("/approve", { reservation_id: "res_refund" });
+  assert.equal(charged.body.amount_cents, 6000);
+
+  const tooMuch = await post("/refund", { reservation_id: "res_refund", amount_cents: 9000 });
+  assert.equal(tooMuch.body.error, "amount_exceeds_refundable");
+
+  const part = await post("/refund", { reservation_id: "res_refund", amount_cents: 2000, reason: "requested_by_customer" });
+  assert.equal(part.status, 200);
+  assert.equal(part.body.status, "partially_refunded");
+  assert.equal(part.body.refundable_remaining, 4000);
+
+  const req = h.fakeStripe.requests.find(x => x.path === "/v1/refunds");
+  assert.equal(req.params.reverse_transfer, "true");
+  assert.equal(req.params.refund_application_fee, "true");
+  assert.equal(req.params.reason, "requested_by_customer");
+
+  const rest = await post("/refund", { payment_intent_id: charged.body.payment_intent_id });
+  assert.equal(rest.body.status, "refunded");
+  assert.equal(rest.body.amount_refunded, 4000);
+  assert.equal((await h.store.getPaymentInfo("res_refund")).preauth_status, "refunded");
+
+  assert.equal((await post("/refund", { reservation_id: "res_refund" })).body.error, "already_refunded");
+  assert.equal((await post("/refund", { reservation_id: "res_refund" }, h.locationToken("Elsewhere"))).status, 403);
+});
+
+test("a reservation with several charges needs the one to refund, and is refunded once all of them are", async () => {
+  await h.reservationWithCard("res_two", { details: { hours: "2" } });
+  const approved = await post("/approve", { reservation_id: "res_two" });
+  const adjusted = await post("/adjust", { reservation_id: "res_two", hours: "3" });
+  assert.equal(adjusted.body.status, "charged");
+
+  const ambiguous = await post("/refund", { reservation_id: "res_two" });
+  assert.equal(ambiguous.status, 409);
+  assert.equal(ambiguous.body.error, "payment_intent_required");
+  assert.deepEqual(ambiguous.body.charges.map(c => c.refundable_cents).sort(), [2000, 4000]);
+  assert.equal(h.fakeStripe.requests.filter(x => x.path === "/v1/refunds" && x.params.payment_intent === approved.body.payment_intent_id).length, 0);
+
+  const first = await post("/refund", { reservation_id: "res_two", payment_intent_id: adjusted.body.payment_intent_id });
+  assert.equal(first.body.status, "partially_refunded");
+  assert.equal((await h.store.getPaymentInfo("res_two")).preauth_status, "partially_refunded");
+
+  // One charge left: no need to name it
+  const last = await post("/refund", { reservation_id: "res_two" });
+  assert.equal(last.body.payment_intent_id, approved.body.payment_intent_id);
+  assert.equal(last.body.status, "refunded");
+  assert.equal((await h.store.getPaymentInfo("res_two")).preauth_status, "refunded");
+});
+
+test("refund without a charged PaymentIntent is a 404", async () => {
+  assert.equal((await post("/refund", { reservation_id: "res_never_charged" })).status, 404);
+});
+
+test("captures and releases manual-capture holds", async () => {
+  const hold = () => h.fakeStripe.createPaymentIntent({
+    amount: "8000",
+    currency: "usd",
+    customer: "cus_x",
+    payment_method: "pm_card_visa",
+    capture_method: "manual",
+    confirm: "true",
+    metadata: { reservation_id: "res_hold", location: "Harbor" }
+  });
+
+  const a = hold();
+  assert.equal((await post("/capture", { payment_intent_id: a.id }, h.locationToken("Elsewhere"))).status, 403);
+  const captured = await post("/capture", { payment_intent_id: a.id, amount_cents: 5000 });
+  assert.equal(captured.status, 200);
+  assert.equal(h.fakeStripe.db.payment_intents.get(a.id).amount_received, 5000);
+
+  const b = hold();
+  const released = await post("/release", { payment_intent_id: b.id });
+  assert.equal(released.status, 200);
+  assert.equal(h.fakeStripe.db.payment_intents.get(b.id).status, "canceled");
+  assert.equal((await post("/capture", {})).body.error, "missing payment_intent_id");
+});
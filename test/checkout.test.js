@@ -0,0 +1,105 @@
+// Booking flow: /quote, setup-mode Checkout, deposit Checkout and the confirm-page lookup
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./support/harness");
+
+const PRICING = { currency: "usd", hourly_cents: 2000, minimum_cents: 5000, taxes: [{ name: "Sales tax", bps: 700 }] };
+
+let h;
+test.before(async () => { h = await startHarness(); });
+test.after(async () => { await h.close(); });
+
+test("health check", async () => {
+  const r = await h.request("GET", "/");
+  assert.equal(r.status, 200);
+  assert.equal(r.text, "OK");
+});
+
+test("create-checkout-session validates input", async () => {
+  assert.equal((await h.request("POST", "/create-checkout-session", { body: { location: "Harbor" } })).body.error, "email_required");
+  assert.equal((await h.request("POST", "/create-checkout-session", { body: { email: "a@example.test" } })).body.error, "location_required");
+});
+
+test("setup-mode Checkout saves the card for the reservation", async () => {
+  const acct = await h.readyLocation("Harbor");
+  const { created, confirmed } = await h.reservationWithCard("res_setup", { location: "Harbor" });
+
+  assert.match(created.url, /^https:\/\/checkout\.stripe\.test\//);
+  const req = h.fakeStripe.requests.find(r => r.path === "/v1/checkout/sessions" && r.params.mode === "setup");
+  assert.equal(req.idempotencyKey, "setup3_res_setup");
+  assert.equal(req.params.metadata.connected_account_id, acct);
+  assert.match(req.params.success_url, /session_id=%7BCHECKOUT_SESSION_ID%7D|session_id=\{CHECKOUT_SESSION_ID\}/);
+
+  assert.equal(confirmed.mode, "setup");
+  assert.equal(confirmed.reservation_id, "res_setup");
+  assert.equal(confirmed.payment_method_id, "pm_card_visa");
+  assert.equal(confirmed.balance_due_cents, null);
+
+  const info = await h.store.getPaymentInfo("res_setup");
+  assert.equal(info.payment_method_id, "pm_card_visa");
+  assert.equal(info.location, "Harbor");
+  assert.equal(info.preauth_status, "card_on_file");
+  assert.equal(info.details.arrivalDate, "2030-07-01");
+});
+
+test("the same email reuses the Stripe customer", async () => {
+  const body = { location: "Harbor", email: "repeat@example.test" };
+  await h.request("POST", "/create-checkout-session", { body });
+  await h.request("POST", "/create-checkout-session", { body });
+  const customers = [...h.fakeStripe.db.customers.values()].filter(c => c.email === "repeat@example.test");
+  assert.equal(customers.length, 1);
+});
+
+test("/checkout-session needs a session id and reports unknown sessions", async () => {
+  assert.equal((await h.request("GET", "/checkout-session")).body.error, "missing_session_id");
+  const missing = await h.request("GET", "/checkout-session?session_id=cs_missing");
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, "session_not_found");
+});
+
+test("/quote prices a stay from the location's pricing", async () => {
+  assert.equal((await h.request("POST", "/quote", { body: { location: "Nowhere", hours: 2 } })).status, 404);
+
+  const put = await h.request("PUT", "/admin/locations/Quay/pricing", { token: h.adminToken, body: PRICING });
+  assert.equal(put.status, 200);
+
+  const q = await h.request("POST", "/quote", { body: { location: "Quay", hours: 4 } });
+  assert.equal(q.status, 200);
+  assert.equal(q.body.subtotal_cents, 8000);
+  assert.equal(q.body.tax_cents, 560);
+  assert.equal(q.body.total_cents, 8560);
+
+  const bad = await h.request("POST", "/quote", { body: { location: "Quay", hours: 0 } });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error, "invalid_hours");
+});
+
+test("deposit locations take a payment-mode Checkout and show the balance due", async () => {
+  await h.readyLocation("Pier");
+  await h.request("PUT", "/admin/locations/Pier/pricing", { token: h.adminToken, body: PRICING });
+  await h.request("PUT", "/admin/locations/Pier/deposit", { token: h.adminToken, body: { bps: 2500 } });
+
+  const { created, confirmed } = await h.reservationWithCard("res_dep", { location: "Pier", details: { hours: "4" } });
+  assert.equal(created.mode, "payment");
+  assert.equal(created.deposit_cents, 2140);
+
+  const req = h.fakeStripe.requests.find(r => r.path === "/v1/checkout/sessions" && r.params.mode === "payment");
+  assert.equal(req.idempotencyKey, "deposit1_res_dep_2140");
+  assert.equal(req.params.payment_intent_data.setup_future_usage, "off_session");
+  assert.equal(req.params.payment_intent_data.metadata.charge_kind, "deposit");
+
+  assert.equal(confirmed.mode, "payment");
+  assert.equal(confirmed.deposit_paid_cents, 2140);
+  assert.equal(confirmed.balance_due_cents, 8560 - 2140);
+  assert.equal((await h.store.getPaymentInfo("res_dep")).preauth_status, "deposit_paid");
+});
+
+test("a deposit location without an onboarded account is refused", async () => {
+  const acct = h.fakeStripe.createAccount({ metadata: { location: "Cove" } });
+  await h.store.saveAccountIdForLocation("Cove", acct.id);
+  await h.request("PUT", "/admin/locations/Cove/deposit", { token: h.adminToken, body: { cents: 1000 } });
+
+  const r = await h.request("POST", "/create-checkout-session", { body: { location: "Cove", email: "c@example.test", reservation_id: "res_cove" } });
+  assert.equal(r.status, 409);
+  assert.equal(r.body.error, "connected_account_unavailable");
+});
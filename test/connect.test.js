@@ -0,0 +1,122 @@
+// Connect onboarding/login/status and the admin token + location config routes
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./support/harness");
+const { verifyToken } = require("../lib/auth");
+
+let h;
+test.before(async () => { h = await startHarness({ store: "gas" }); });
+test.after(async () => { await h.close(); });
+
+test("get-paid creates an account once, then hands out login links after onboarding", async () => {
+  const token = h.locationToken("Harbor");
+  assert.equal((await h.request("GET", "/connect/get-paid?location=Harbor")).status, 401);
+  assert.equal((await h.request("GET", "/connect/get-paid?location=Other", { token })).status, 403);
+
+  const first = await h.request("GET", "/connect/get-paid?location=Harbor", { token });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.mode, "onboarding");
+  assert.match(first.body.url, /^https:\/\/connect\.stripe\.test\/setup\//);
+  assert.equal(h.fakeGas.accounts.get("Harbor"), first.body.account_id);
+
+  const created = h.fakeStripe.requests.filter(r => r.method === "POST" && r.path === "/v1/accounts");
+  assert.equal(created.length, 1);
+  assert.equal(created[0].params.metadata.location, "Harbor");
+
+  h.fakeStripe.updateAccount(first.body.account_id);
+  const second = await h.request("GET", "/connect/get-paid?location=Harbor", { token });
+  assert.equal(second.body.mode, "login");
+  assert.equal(second.body.account_id, first.body.account_id);
+  assert.equal(h.fakeStripe.requests.filter(r => r.method === "POST" && r.path === "/v1/accounts").length, 1);
+
+  const login = await h.request("GET", "/connect/login?location=Harbor", { token });
+  assert.match(login.body.url, /^https:\/\/connect\.stripe\.test\/express\//);
+});
+
+test("status reports whether the account can take charges", async () => {
+  const token = h.locationToken("Slip");
+  assert.equal((await h.request("GET", "/connect/status?location=Slip", { token })).status, 404);
+
+  const { body } = await h.request("GET", "/connect/get-paid?location=Slip", { token });
+  const pending = await h.request("GET", "/connect/status?location=Slip", { token });
+  assert.equal(pending.body.can_accept_charges, false);
+  assert.equal(pending.body.unavailable_reason, "requirements.past_due");
+
+  h.fakeStripe.updateAccount(body.account_id);
+  const cached = await h.request("GET", "/connect/status?location=Slip", { token });
+  assert.equal(cached.body.can_accept_charges, false);
+  const fresh = await h.request("GET", "/connect/status?location=Slip&refresh=1", { token });
+  assert.equal(fresh.body.can_accept_charges, true);
+  assert.equal(fresh.body.unavailable_reason, null);
+});
+
+test("hold mode: charges kept on the platform are transferred once the account can take them", async () => {
+  const held = await startHarness({ store: "gas", env: { CONNECT_UNAVAILABLE_MODE: "hold", APPLICATION_FEE_BPS: "1000" } });
+  try {
+    const pending = held.fakeStripe.createAccount({ metadata: { location: "Dock" } });
+    await held.store.saveAccountIdForLocation("Dock", pending.id);
+    const token = held.locationToken("Dock");
+    await held.reservationWithCard("res_held", { location: "Dock" });
+    const approved = await held.request("POST", "/approve", { token, body: { reservation_id: "res_held", amount_cents: 5000 } });
+    assert.equal(approved.body.held_on_platform, true);
+    await held.request("POST", "/refund", { token, body: { reservation_id: "res_held", amount_cents: 1000 } });
+
+    // Still unavailable: nothing moves
+    await held.deliver(held.fakeStripe.event("account.updated", held.fakeStripe.db.accounts.get(pending.id)));
+    assert.equal(held.fakeStripe.db.transfers.size, 0);
+
+    held.fakeStripe.updateAccount(pending.id);
+    const updated = held.fakeStripe.event("account.updated", held.fakeStripe.db.accounts.get(pending.id));
+    await held.deliver(updated);
+    await held.deliver(held.fakeStripe.event("account.updated", held.fakeStripe.db.accounts.get(pending.id)));
+
+    const pi = held.fakeStripe.db.payment_intents.get(approved.body.payment_intent_id);
+    const transfers = [...held.fakeStripe.db.transfers.values()];
+    assert.equal(transfers.length, 1);
+    assert.equal(transfers[0].destination, pending.id);
+    assert.equal(transfers[0].source_transaction, pi.latest_charge);
+    // $50 less the $10 refund and the 10% platform fee
+    assert.equal(transfers[0].amount, 3500);
+    const [entry] = (await held.store.get("reservation_charges", "res_held")).charges;
+    assert.equal(entry.transfer_id, transfers[0].id);
+    assert.equal(entry.transferred_cents, 3500);
+    assert.deepEqual(await held.store.list("held_funds"), []);
+  } finally {
+    await held.close();
+  }
+});
+
+test("admin mints location and admin tokens", async () => {
+  assert.equal((await h.request("POST", "/admin/tokens", { body: { locations: ["Harbor"] } })).status, 401);
+  assert.equal((await h.request("POST", "/admin/tokens", { token: h.locationToken("Harbor"), body: { locations: ["Harbor"] } })).status, 403);
+  assert.equal((await h.request("POST", "/admin/tokens", { token: h.adminToken, body: {} })).body.error, "locations_required");
+
+  const minted = await h.request("POST", "/admin/tokens", { token: h.adminToken, body: { locations: ["Harbor"], ttl_seconds: 60 } });
+  assert.equal(minted.status, 200);
+  assert.deepEqual(minted.body.locations, ["Harbor"]);
+  const login = await h.request("GET", "/connect/login?location=Harbor", { token: minted.body.token });
+  assert.equal(login.status, 200);
+
+  const admin = await h.request("POST", "/admin/tokens", { token: h.adminToken, body: { scope: "admin" } });
+  assert.equal(verifyToken(admin.body.token, "test-auth-secret").scope, "admin");
+});
+
+test("admin location config is validated and audited", async () => {
+  const bad = await h.request("PUT", "/admin/locations/Harbor/pricing", { token: h.adminToken, body: { currency: "USD" } });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error, "invalid_pricing");
+
+  assert.equal((await h.request("GET", "/admin/locations/Harbor/pricing", { token: h.adminToken })).status, 404);
+  await h.request("PUT", "/admin/locations/Harbor/pricing", { token: h.adminToken, body: { hourly_cents: 1500 } });
+  const pricing = await h.request("GET", "/admin/locations/Harbor/pricing", { token: h.adminToken });
+  assert.equal(pricing.body.pricing.hourly_cents, 1500);
+
+  assert.equal((await h.request("PUT", "/admin/locations/Harbor/deposit", { token: h.adminToken, body: { bps: 20000 } })).status, 400);
+  assert.equal((await h.request("PUT", "/admin/locations/Harbor/cancellation-policy", { token: h.adminToken, body: { timezone: "Mars/Base" } })).status, 400);
+  await h.request("PUT", "/admin/locations/Harbor/cancellation-policy", { token: h.adminToken, body: { free_cancellation_hours: 24 } });
+  const policy = await h.request("GET", "/admin/locations/Harbor/cancellation-policy", { token: h.adminToken });
+  assert.equal(policy.body.cancellation.free_cancellation_hours, 24);
+
+  const audit = await h.request("GET", "/admin/audit?location=Harbor", { token: h.adminToken });
+  assert.deepEqual(audit.body.entries.map(e => e.type).sort(), ["cancellation_policy_updated", "pricing_updated"]);
+});
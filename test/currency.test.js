@@ -0,0 +1,103 @@
+// Per-location currency, country and fee schedule
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkAmount, formatAmount, minorUnits, validateLocale } = require("../lib/currency");
+const { feeFor, defaultSchedule, validateFees } = require("../lib/fees");
+const { startHarness } = require("./support/harness");
+
+test("currency rules: minor units, minimums, whole-unit currencies", () => {
+  assert.equal(minorUnits("JPY"), 0);
+  assert.equal(minorUnits("cad"), 2);
+  assert.equal(checkAmount(50, "usd"), null);
+  assert.equal(checkAmount(49, "usd").error, "amount_below_minimum");
+  assert.equal(checkAmount(29, "gbp").minimum_amount, 30);
+  assert.equal(checkAmount(12.5, "usd").error, "invalid_amount");
+  assert.equal(checkAmount(17550, "huf").error, "amount_not_whole_units");
+  assert.equal(checkAmount(500, "jpy"), null);
+  assert.equal(formatAmount(500, "jpy"), "¥500");
+  assert.equal(formatAmount(12345, "cad", "en-CA"), "$123.45");
+});
+
+test("locale and fee schedules are validated", () => {
+  assert.deepEqual(validateLocale({ country: "CA", currency: "cad", timezone: "America/Halifax", locale: "en-CA" }), []);
+  assert.equal(validateLocale({ country: "ca", currency: "CAD", timezone: "Nowhere/Else" }).length, 3);
+  assert.deepEqual(validateFees({ bps: 800, fixed: 25 }), []);
+  assert.equal(validateFees({ bps: 20000 }).length, 1);
+});
+
+test("fees: location schedule, or the env fee with its flat part only in its own currency", () => {
+  assert.deepEqual(feeFor({ bps: 1000, fixed: 30 }, 10000), { amount: 1030, rule: "base", bps: 1000, fixed: 30 });
+  // Never more than the charge
+  assert.equal(feeFor({ fixed: 500 }, 300).amount, 300);
+  assert.deepEqual(defaultSchedule({ bps: 500, fixed: 30, fixedCurrency: "usd" }, "usd"), { rule: "default", bps: 500, fixed: 30 });
+  assert.deepEqual(defaultSchedule({ bps: 500, fixed: 30, fixedCurrency: "usd" }, "cad"), { rule: "default", bps: 500, fixed: 0 });
+});
+
+test("end to end: a Canadian marina charges in CAD with its own fee and country", async () => {
+  const h = await startHarness({ env: { APPLICATION_FEE_BPS: "500", APPLICATION_FEE_CENTS_FIXED: "30" } });
+  try {
+    const admin = (path, body) => h.request("PUT", path, { token: h.adminToken, body });
+    assert.equal((await admin("/admin/locations/Halifax/locale", { country: "Canada" })).status, 400);
+    await admin("/admin/locations/Halifax/locale", { country: "CA", currency: "cad", timezone: "America/Halifax" });
+    await admin("/admin/locations/Halifax/fees", { bps: 800, fixed: 25 });
+    assert.equal((await admin("/admin/locations/Halifax/pricing", { currency: "usd", hourly_cents: 3000 })).body.error, "currency_mismatch");
+    await admin("/admin/locations/Halifax/pricing", { hourly_cents: 3000 });
+    assert.equal((await admin("/admin/locations/Halifax/locale", { currency: "usd" })).status, 200);
+    await admin("/admin/locations/Halifax/locale", { country: "CA", currency: "cad", timezone: "America/Halifax" });
+
+    const token = h.locationToken("Halifax");
+    const onboarding = await h.request("GET", "/connect/get-paid?location=Halifax", { token });
+    const created = h.fakeStripe.requests.find(r => r.method === "POST" && r.path === "/v1/accounts");
+    assert.equal(created.params.country, "CA");
+    assert.equal(created.params.default_currency, "cad");
+    h.fakeStripe.updateAccount(onboarding.body.account_id);
+    await h.request("GET", "/connect/status?location=Halifax&refresh=1", { token });
+
+    const quoted = await h.request("POST", "/quote", { body: { location: "Halifax", hours: 2 } });
+    assert.equal(quoted.body.currency, "cad");
+
+    const { confirmed } = await h.reservationWithCard("res_cad", { location: "Halifax", details: { hours: "2" } });
+    assert.equal(confirmed.currency, "cad");
+
+    const wrong = await h.request("POST", "/approve", { token, body: { reservation_id: "res_cad", currency: "usd" } });
+    assert.equal(wrong.body.error, "currency_mismatch");
+
+    const r = await h.request("POST", "/approve", { token, body: { reservation_id: "res_cad" } });
+    assert.equal(r.body.status, "succeeded");
+    assert.equal(r.body.currency, "cad");
+    const pi = h.fakeStripe.db.payment_intents.get(r.body.payment_intent_id);
+    assert.equal(pi.currency, "cad");
+    assert.equal(pi.application_fee_amount, 480 + 25);
+
+    // Same env fee for a USD marina without its own schedule keeps the flat part
+    await h.readyLocation("Miami");
+    await h.reservationWithCard("res_usd", { location: "Miami" });
+    const usd = await h.request("POST", "/approve", { token: h.locationToken("Miami"), body: { reservation_id: "res_usd", amount_cents: 10000 } });
+    assert.equal(h.fakeStripe.db.payment_intents.get(usd.body.payment_intent_id).application_fee_amount, 500 + 30);
+  } finally {
+    await h.close();
+  }
+});
+
+test("end to end: zero-decimal pricing and below-minimum balances", async () => {
+  const h = await startHarness();
+  try {
+    const admin = (path, body) => h.request("PUT", path, { token: h.adminToken, body });
+    await admin("/admin/locations/Osaka/locale", { country: "JP", currency: "jpy" });
+    await admin("/admin/locations/Osaka/pricing", { hourly_cents: 1500 });
+    await h.readyLocation("Osaka");
+    await h.reservationWithCard("res_jpy", { location: "Osaka", details: { hours: "2" } });
+    const r = await h.request("POST", "/approve", { token: h.locationToken("Osaka"), body: { reservation_id: "res_jpy" } });
+    assert.equal(r.body.amount_cents, 3000);
+    assert.equal(h.fakeStripe.db.payment_intents.get(r.body.payment_intent_id).currency, "jpy");
+
+    await h.readyLocation("Keys");
+    await h.reservationWithCard("res_small", { location: "Keys" });
+    const small = await h.request("POST", "/approve", { token: h.locationToken("Keys"), body: { reservation_id: "res_small", amount_cents: 40 } });
+    assert.equal(small.status, 400);
+    assert.equal(small.body.error, "amount_below_minimum");
+    assert.equal(small.body.minimum_amount, 50);
+  } finally {
+    await h.close();
+  }
+});
@@ -0,0 +1,156 @@
+// Returning boaters: magic-link sign-in, saved card list/default/detach, booking with a card on file
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMailer } = require("../lib/mailer");
+const { createFakeGas } = require("./support/fakeGas");
+const { startHarness } = require("./support/harness");
+
+// Request a link, pull the token out of the emailed URL and trade it for a customer token
+async function signIn(h, email){
+  const sent = await h.request("POST", "/customers/magic-link", { body: { email } });
+  assert.equal(sent.status, 202);
+  const message = h.mailer.outbox.filter(m => m.to === email).pop();
+  const link = new URL(/https?:\/\/\S+/.exec(message.text)[0]);
+  const linkToken = link.searchParams.get("token");
+  const session = await h.request("POST", "/customers/session", { body: { token: linkToken } });
+  assert.equal(session.status, 200);
+  return { token: session.body.token, linkToken, link, customerId: session.body.customer_id };
+}
+
+test("the gas mail transport posts a sendmail action to the Apps Script", async () => {
+  const gas = createFakeGas({ token: "gas-token" });
+  const url = await gas.listen();
+  try {
+    const mailer = createMailer({ transport: "gas", gasUrl: url, gasToken: "gas-token" });
+    await mailer.send({ to: "a@example.test", subject: "Hi", text: "Body" });
+    assert.deepEqual(gas.mail, [{ to: "a@example.test", subject: "Hi", text: "Body" }]);
+    await assert.rejects(createMailer({ transport: "gas", gasUrl: url, gasToken: "wrong" }).send({ to: "a@example.test" }), /unauthorized/);
+  } finally {
+    await gas.close();
+  }
+});
+
+test("magic links: same answer for unknown emails, one use each, customer tokens stay out of the dashboard", async () => {
+  const h = await startHarness();
+  try {
+    await h.readyLocation("Harbor");
+    await h.reservationWithCard("res_first");
+
+    const unknown = await h.request("POST", "/customers/magic-link", { body: { email: "nobody@example.test" } });
+    assert.equal(unknown.status, 202);
+    assert.deepEqual(unknown.body, { status: "sent" });
+    assert.equal(h.mailer.outbox.filter(m => m.to === "nobody@example.test").length, 0);
+    assert.equal((await h.request("POST", "/customers/magic-link", { body: { email: "nope" } })).status, 400);
+
+    const { token, linkToken, link } = await signIn(h, "res_first@example.test");
+    assert.equal(link.origin + link.pathname, "https://profiles.example.test/cards.html");
+    assert.equal((await h.request("POST", "/customers/session", { body: { token: linkToken } })).status, 401);
+    assert.equal((await h.request("POST", "/customers/session", { body: { token: "forged" } })).status, 401);
+
+    assert.equal((await h.request("GET", "/customers/me/payment-methods")).status, 401);
+    assert.equal((await h.request("GET", "/customers/me/payment-methods", { token: h.locationToken("Harbor") })).status, 403);
+    assert.equal((await h.request("POST", "/approve", { token, body: { reservation_id: "res_first" } })).status, 403);
+  } finally {
+    await h.close();
+  }
+});
+
+test("magic links: a failed send looks like any other answer", async () => {
+  const h = await startHarness({ mailer: { kind: "broken", async send(){ throw new Error("mail down"); } } });
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    await h.readyLocation("Harbor");
+    await h.reservationWithCard("res_first");
+    const known = await h.request("POST", "/customers/magic-link", { body: { email: "res_first@example.test" } });
+    const unknown = await h.request("POST", "/customers/magic-link", { body: { email: "nobody@example.test" } });
+    assert.deepEqual([known.status, known.body], [202, { status: "sent" }]);
+    assert.deepEqual([unknown.status, unknown.body], [202, { status: "sent" }]);
+  } finally {
+    console.warn = warn;
+    await h.close();
+  }
+});
+
+test("end to end: manage saved cards and book with one without Checkout", async () => {
+  const h = await startHarness();
+  try {
+    await h.readyLocation("Harbor");
+    await h.reservationWithCard("res_first");
+    const { token, customerId } = await signIn(h, "res_first@example.test");
+
+    const other = h.fakeStripe.attachCard(customerId, { brand: "mastercard", last4: "4444" });
+    const stranger = h.fakeStripe.attachCard((await h.stripe.customers.create({ email: "x@example.test" })).id);
+
+    const listed = await h.request("GET", "/customers/me/payment-methods", { token });
+    assert.equal(listed.body.customer_id, customerId);
+    assert.deepEqual(listed.body.payment_methods.map(pm => pm.last4).sort(), ["4242", "4444"]);
+    assert.equal(listed.body.default_payment_method, null);
+
+    assert.equal((await h.request("POST", "/customers/me/default-payment-method", { token, body: { payment_method_id: stranger.id } })).status, 404);
+    const setDefault = await h.request("POST", "/customers/me/default-payment-method", { token, body: { payment_method_id: other.id } });
+    assert.equal(setDefault.body.default_payment_method, other.id);
+    const again = await h.request("GET", "/customers/me/payment-methods", { token });
+    assert.equal(again.body.payment_methods.find(pm => pm.id === other.id).is_default, true);
+
+    // Book with the default card, then charge it from the dashboard as usual
+    const booked = await h.request("POST", "/customers/me/reservations", {
+      token,
+      body: { reservation_id: "res_second", location: "Harbor", hours: "2", arrivalDate: "2030-08-01" }
+    });
+    assert.equal(booked.status, 200);
+    assert.equal(booked.body.status, "card_on_file");
+    assert.equal(booked.body.payment_method.id, other.id);
+    const info = await h.store.getPaymentInfo("res_second");
+    assert.equal(info.customer_id, customerId);
+    assert.equal(info.payment_method_id, other.id);
+    assert.equal(info.details.email, "res_first@example.test");
+    const approved = await h.request("POST", "/approve", { token: h.locationToken("Harbor"), body: { reservation_id: "res_second", amount_cents: 4000 } });
+    assert.equal(approved.body.status, "succeeded");
+    assert.equal(h.fakeStripe.db.payment_intents.get(approved.body.payment_intent_id).payment_method, other.id);
+
+    // Someone else's reservation id can't be taken over
+    await h.reservationWithCard("res_theirs", { paymentMethod: "pm_card_mastercard" });
+    const taken = await h.request("POST", "/customers/me/reservations", { token, body: { reservation_id: "res_theirs", location: "Harbor" } });
+    assert.equal(taken.body.error, "reservation_exists");
+
+    // A reservation made without a card yet: only under the boater's own email, and at its own location
+    await h.store.saveSetup({ reservationId: "res_stranger", location: "Harbor", details: { email: "someone@example.test" } });
+    const claimed = await h.request("POST", "/customers/me/reservations", { token, body: { reservation_id: "res_stranger", location: "Harbor" } });
+    assert.equal(claimed.status, 409);
+    assert.equal(claimed.body.error, "reservation_exists");
+    await h.store.saveSetup({ reservationId: "res_mine", location: "Harbor", details: { email: "RES_FIRST@example.test" } });
+    const moved = await h.request("POST", "/customers/me/reservations", { token, body: { reservation_id: "res_mine", location: "Dock" } });
+    assert.equal(moved.status, 404);
+    await h.readyLocation("Dock");
+    const elsewhere = await h.request("POST", "/customers/me/reservations", { token, body: { reservation_id: "res_mine", location: "Dock" } });
+    assert.equal(elsewhere.body.error, "location_mismatch");
+    const mine = await h.request("POST", "/customers/me/reservations", { token, body: { reservation_id: "res_mine", location: "Harbor" } });
+    assert.equal(mine.status, 200);
+    assert.equal((await h.store.getPaymentInfo("res_mine")).customer_id, customerId);
+    const unknown = await h.request("POST", "/customers/me/reservations", { token, body: { reservation_id: "res_nowhere", location: "Made Up" } });
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error, "unknown_location");
+
+    // Deposit locations still go through Checkout
+    await h.request("PUT", "/admin/locations/Harbor/deposit", { token: h.adminToken, body: { bps: 2000 } });
+    await h.request("PUT", "/admin/locations/Harbor/pricing", { token: h.adminToken, body: { hourly_cents: 3000 } });
+    const deposit = await h.request("POST", "/customers/me/reservations", { token, body: { reservation_id: "res_third", location: "Harbor", hours: "2" } });
+    assert.equal(deposit.status, 409);
+    assert.equal(deposit.body.error, "deposit_required");
+
+    const portal = await h.request("POST", "/customers/me/portal", { token });
+    assert.match(portal.body.url, /^https:\/\/billing\.stripe\.test\//);
+    const setup = await h.request("POST", "/customers/me/setup-session", { token });
+    assert.ok(setup.body.url);
+
+    const detached = await h.request("DELETE", `/customers/me/payment-methods/${other.id}`, { token });
+    assert.equal(detached.body.status, "detached");
+    assert.equal((await h.request("DELETE", `/customers/me/payment-methods/${other.id}`, { token })).status, 404);
+    const after = await h.request("GET", "/customers/me/payment-methods", { token });
+    assert.deepEqual(after.body.payment_methods.map(pm => pm.last4), ["4242"]);
+    assert.equal(after.body.default_payment_method, null);
+  } finally {
+    await h.close();
+  }
+});
@@ -0,0 +1,113 @@
+// Chargebacks: dispute webhooks tied back to reservations, open-dispute list, evidence submission
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { disputeStatusFor, draftEvidence } = require("../lib/disputes");
+const { startHarness } = require("./support/harness");
+
+test("dispute outcomes map to reservation statuses", () => {
+  assert.equal(disputeStatusFor({ status: "needs_response" }), "disputed");
+  assert.equal(disputeStatusFor({ status: "under_review" }), "disputed");
+  assert.equal(disputeStatusFor({ status: "won" }), "dispute_won");
+  assert.equal(disputeStatusFor({ status: "warning_closed" }), "dispute_won");
+  assert.equal(disputeStatusFor({ status: "lost" }), "dispute_lost");
+});
+
+test("evidence is drafted from the reservation", () => {
+  const evidence = draftEvidence({
+    reservationId: "res_1",
+    location: "Harbor",
+    info: { details: { arrivalDate: "2030-07-01", arrivalTime: "10:00", hours: "3", email: "a@example.test" } },
+    ledger: { charges: [{ kind: "balance", payment_intent_id: "pi_1", amount_cents: 9000, currency: "usd", status: "succeeded", updated_at: "2030-07-01T15:00:00.000Z" }] },
+    confirmation: { session_id: "cs_1", views: 2, first_viewed_at: "2030-06-01T12:00:00.000Z", ip: "203.0.113.9" },
+    policy: { free_cancellation_hours: 48, no_show_cents: 2500 }
+  });
+  assert.equal(evidence.customer_email_address, "a@example.test");
+  assert.equal(evidence.customer_purchase_ip, "203.0.113.9");
+  assert.equal(evidence.service_date, "2030-07-01");
+  assert.equal(evidence.product_description, "Marina slip reservation at Harbor: arrival 2030-07-01 10:00, 3 hours");
+  assert.equal(evidence.cancellation_policy_disclosure, "Free cancellation up to 48 hours before arrival. No-shows are charged a no-show fee.");
+  assert.match(evidence.uncategorized_text, /checkout session cs_1\) viewed 2 time/);
+  assert.match(evidence.uncategorized_text, /balance charge pi_1: 9000 USD succeeded/);
+  assert.deepEqual(Object.keys(draftEvidence({ reservationId: "res_2" })), ["product_description", "uncategorized_text"]);
+});
+
+test("end to end: dispute opened, evidence submitted, dispute lost", async () => {
+  const h = await startHarness();
+  try {
+    await h.readyLocation("Harbor");
+    const token = h.locationToken("Harbor");
+    await h.reservationWithCard("res_d");
+    const approved = await h.request("POST", "/approve", { token, body: { reservation_id: "res_d", amount_cents: 9000 } });
+
+    const dispute = h.fakeStripe.dispute(approved.body.payment_intent_id);
+    await h.deliver(h.fakeStripe.event("charge.dispute.created", dispute));
+    assert.equal((await h.store.getPaymentInfo("res_d")).preauth_status, "disputed");
+
+    const open = await h.request("GET", "/disputes?location=Harbor", { token });
+    assert.equal(open.body.disputes.length, 1);
+    assert.equal(open.body.disputes[0].reservation_id, "res_d");
+    assert.equal(open.body.disputes[0].amount_cents, 9000);
+    assert.ok(open.body.disputes[0].evidence_due_by);
+    assert.equal((await h.request("GET", "/disputes?location=Harbor", { token: h.locationToken("Other") })).status, 403);
+    assert.equal((await h.request("POST", `/disputes/${dispute.id}/evidence`, { token: h.locationToken("Other"), body: {} })).status, 403);
+
+    const staged = await h.request("POST", `/disputes/${dispute.id}/evidence`, { token, body: { submit: false } });
+    assert.equal(staged.status, 200);
+    assert.equal(staged.body.submitted, false);
+    assert.equal(staged.body.dispute.status, "needs_response");
+
+    const sent = await h.request("POST", `/disputes/${dispute.id}/evidence`, {
+      token,
+      body: { evidence: { customer_name: "Pat Boater" } }
+    });
+    assert.equal(sent.status, 200);
+    assert.equal(sent.body.dispute.status, "under_review");
+    assert.equal(sent.body.dispute.submission_count, 1);
+    const stored = h.fakeStripe.db.disputes.get(dispute.id);
+    assert.equal(stored.evidence.customer_email_address, "res_d@example.test");
+    assert.equal(stored.evidence.service_date, "2030-07-01");
+    assert.equal(stored.evidence.customer_name, "Pat Boater");
+    assert.match(stored.evidence.uncategorized_text, /confirmation page/);
+    assert.equal(stored.metadata.reservation_id, "res_d");
+
+    const again = await h.request("POST", `/disputes/${dispute.id}/evidence`, { token, body: {} });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error, "dispute_not_open");
+
+    const closed = h.fakeStripe.closeDispute(dispute.id, "lost");
+    await h.deliver(h.fakeStripe.event("charge.dispute.closed", closed));
+    assert.equal((await h.store.getPaymentInfo("res_d")).preauth_status, "dispute_lost");
+
+    // A late "updated" event doesn't reopen it
+    await h.deliver(h.fakeStripe.event("charge.dispute.updated", { ...closed, status: "under_review" }));
+    assert.equal((await h.store.getPaymentInfo("res_d")).preauth_status, "dispute_lost");
+    assert.equal((await h.request("GET", "/disputes?location=Harbor", { token })).body.disputes.length, 0);
+    const all = await h.request("GET", "/disputes?location=Harbor&status=all", { token });
+    assert.equal(all.body.disputes[0].status, "lost");
+
+    const audit = await h.request("GET", "/admin/audit?reservation_id=res_d", { token: h.adminToken });
+    const types = audit.body.entries.map(e => e.type);
+    assert.ok(types.includes("dispute_opened") && types.includes("dispute_evidence_submitted") && types.includes("dispute_closed"));
+  } finally {
+    await h.close();
+  }
+});
+
+test("evidence after the deadline is refused", async () => {
+  const h = await startHarness();
+  try {
+    await h.readyLocation("Harbor");
+    const token = h.locationToken("Harbor");
+    await h.reservationWithCard("res_late");
+    const approved = await h.request("POST", "/approve", { token, body: { reservation_id: "res_late", amount_cents: 5000 } });
+    const dispute = h.fakeStripe.dispute(approved.body.payment_intent_id, { dueInDays: -1 });
+    await h.deliver(h.fakeStripe.event("charge.dispute.created", dispute));
+
+    const r = await h.request("POST", `/disputes/${dispute.id}/evidence`, { token, body: {} });
+    assert.equal(r.status, 409);
+    assert.equal(r.body.error, "evidence_deadline_passed");
+    assert.equal(h.fakeStripe.db.disputes.get(dispute.id).evidence_details.submission_count, 0);
+  } finally {
+    await h.close();
+  }
+});
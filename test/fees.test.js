@@ -0,0 +1,90 @@
+// Per-location fee rules: floors/caps, volume tiers, promotions, and the rule recorded on each PaymentIntent
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { feeFor, validateFees } = require("../lib/fees");
+const { localDate } = require("../lib/time");
+const { startHarness } = require("./support/harness");
+
+const SCHEDULE = {
+  bps: 1000,
+  fixed: 30,
+  min: 100,
+  max: 2000,
+  tiers: [
+    { name: "silver", from_volume: 100000, bps: 800 },
+    { name: "gold", from_volume: 500000, bps: 500, fixed: 0 }
+  ],
+  promotions: [{ name: "launch", start: "2030-06-01", end: "2030-06-30" }]
+};
+
+test("feeFor picks promotion, then tier, then base, and applies floor/cap", () => {
+  assert.deepEqual(feeFor(SCHEDULE, 5000, { monthlyVolume: 0, date: "2030-05-01" }), { amount: 530, rule: "base", bps: 1000, fixed: 30 });
+  assert.deepEqual(feeFor(SCHEDULE, 5000, { monthlyVolume: 150000, date: "2030-05-01" }), { amount: 430, rule: "tier:silver", bps: 800, fixed: 30 });
+  assert.deepEqual(feeFor(SCHEDULE, 5000, { monthlyVolume: 900000, date: "2030-05-01" }), { amount: 250, rule: "tier:gold", bps: 500, fixed: 0 });
+  assert.equal(feeFor(SCHEDULE, 500, { date: "2030-05-01" }).rule, "base+min");
+  assert.deepEqual(feeFor(SCHEDULE, 50000, { date: "2030-05-01" }), { amount: 2000, rule: "base+max", bps: 1000, fixed: 30 });
+  assert.deepEqual(feeFor(SCHEDULE, 50000, { monthlyVolume: 900000, date: "2030-06-15" }), { amount: 0, rule: "promo:launch", bps: 0, fixed: 0 });
+  assert.equal(feeFor({ fixed: 500 }, 300).amount, 300);
+});
+
+test("validateFees checks tiers and promotions", () => {
+  assert.deepEqual(validateFees(SCHEDULE), []);
+  assert.deepEqual(validateFees({ min: 500, max: 100, tiers: [{ from_volume: -1 }], promotions: [{ name: "x", start: "2030-07-01", end: "2030-06-01" }] }), [
+    "min must not exceed max",
+    "tiers[0].name is required",
+    "tiers[0].from_volume must be a non-negative integer",
+    "promotions[0] needs start <= end as YYYY-MM-DD"
+  ]);
+});
+
+test("end to end: tiers follow the month's volume and each PaymentIntent records its rule", async () => {
+  const h = await startHarness();
+  try {
+    const admin = (method, path, body) => h.request(method, path, { token: h.adminToken, body });
+    await h.readyLocation("Bay");
+    assert.equal((await admin("PUT", "/admin/locations/Bay/fees", { bps: 20000 })).status, 400);
+    await admin("PUT", "/admin/locations/Bay/fees", { bps: 1000, tiers: [{ name: "volume", from_volume: 15000, bps: 500 }] });
+
+    const token = h.locationToken("Bay");
+    await h.reservationWithCard("res_t1", { location: "Bay" });
+    const first = await h.request("POST", "/approve", { token, body: { reservation_id: "res_t1", amount_cents: 20000 } });
+    const pi1 = h.fakeStripe.db.payment_intents.get(first.body.payment_intent_id);
+    assert.equal(pi1.application_fee_amount, 2000);
+    assert.equal(pi1.metadata.fee_rule, "base");
+    assert.equal(pi1.metadata.fee_rate, "1000bps+0");
+    assert.equal(pi1.metadata.fee_monthly_volume, "0");
+
+    // The webhook for the same PaymentIntent doesn't count it twice
+    await h.deliver(h.fakeStripe.event("payment_intent.succeeded", pi1));
+    const month = localDate().slice(0, 7);
+    assert.equal((await h.store.get("fee_volume", `Bay:${month}`)).processed_cents, 20000);
+
+    await h.reservationWithCard("res_t2", { location: "Bay" });
+    const second = await h.request("POST", "/approve", { token, body: { reservation_id: "res_t2", amount_cents: 20000 } });
+    const pi2 = h.fakeStripe.db.payment_intents.get(second.body.payment_intent_id);
+    assert.equal(pi2.application_fee_amount, 1000);
+    assert.equal(pi2.metadata.fee_rule, "tier:volume");
+    assert.equal(pi2.metadata.fee_monthly_volume, "20000");
+
+    const preview = await h.request("GET", "/admin/locations/Bay/fees/preview?amount_cents=10000", { token: h.adminToken });
+    assert.equal(preview.body.fee_cents, 500);
+    assert.equal(preview.body.rule, "tier:volume");
+    assert.equal(preview.body.monthly_volume_cents, 40000);
+
+    // A running promotion waives the fee but still names the rule
+    const today = localDate();
+    await admin("PUT", "/admin/locations/Bay/fees", { bps: 1000, promotions: [{ name: "welcome", start: today, end: today }] });
+    await h.reservationWithCard("res_t3", { location: "Bay" });
+    const promo = await h.request("POST", "/approve", { token, body: { reservation_id: "res_t3", amount_cents: 20000 } });
+    const pi3 = h.fakeStripe.db.payment_intents.get(promo.body.payment_intent_id);
+    assert.equal(pi3.application_fee_amount, null);
+    assert.equal(pi3.metadata.fee_rule, "promo:welcome");
+
+    await admin("DELETE", "/admin/locations/Bay/fees");
+    assert.equal((await h.request("GET", "/admin/locations/Bay/fees", { token: h.adminToken })).status, 404);
+    const fallback = await h.request("GET", "/admin/locations/Bay/fees/preview?amount_cents=10000", { token: h.adminToken });
+    assert.equal(fallback.body.rule, "default");
+  } finally {
+    await h.close();
+  }
+});
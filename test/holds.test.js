@@ -0,0 +1,259 @@
+// Pre-authorization holds: placed at booking, captured at check-in, released on decline, renewed before expiry
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { nextAction, validatePreauth, HOUR_MS } = require("../lib/holds");
+const { startHarness } = require("./support/harness");
+
+const T = Date.parse("2030-06-01T12:00:00Z");
+const at = (hours) => new Date(T + hours * HOUR_MS).toISOString();
+
+test("nextAction: release, capture at check-in, renew or flag before expiry", () => {
+  const hold = { status: "authorized", expires_at: at(7 * 24), capture_at: at(20 * 24), reauthorize: true, reauthorize_before_ms: 24 * HOUR_MS };
+  assert.equal(nextAction(hold, T), null);
+  assert.equal(nextAction({ ...hold, release_requested: true }, T), "release");
+  assert.equal(nextAction(hold, T + 6.5 * 24 * HOUR_MS), "reauthorize");
+  assert.equal(nextAction({ ...hold, reauthorize: false }, T + 6.5 * 24 * HOUR_MS), "flag");
+  assert.equal(nextAction({ ...hold, reauthorize: false, flag: "expiring" }, T + 6.5 * 24 * HOUR_MS), null);
+  assert.equal(nextAction({ ...hold, flag: "reauthorization_failed" }, T + 7 * 24 * HOUR_MS), "expire");
+  // Check-in before expiry: no renewal, just capture when it comes
+  assert.equal(nextAction({ ...hold, capture_at: at(6.8 * 24) }, T + 6.5 * 24 * HOUR_MS), null);
+  assert.equal(nextAction({ ...hold, capture_at: at(6.8 * 24) }, T + 6.9 * 24 * HOUR_MS), "capture");
+  assert.equal(nextAction({ ...hold, next_attempt_at: at(6.6 * 24) }, T + 6.5 * 24 * HOUR_MS), null);
+  assert.equal(nextAction({ ...hold, stalled: true, release_requested: true }, T), null);
+  assert.equal(nextAction({ ...hold, status: "captured" }, T + 30 * 24 * HOUR_MS), null);
+});
+
+test("validatePreauth", () => {
+  assert.deepEqual(validatePreauth({ enabled: true, capture_delay_hours: 2, reauthorize_before_hours: 12 }), []);
+  assert.deepEqual(validatePreauth({ enabled: "yes", reauthorize_before_hours: 200 }), [
+    "enabled must be true or false",
+    "reauthorize_before_hours must be an integer between 1 and 167"
+  ]);
+});
+
+async function preauthHarbor(h, preauth = { enabled: true }){
+  const admin = (path, body) => h.request("PUT", path, { token: h.adminToken, body });
+  await h.readyLocation("Harbor");
+  await admin("/admin/locations/Harbor/pricing", { hourly_cents: 3000 });
+  assert.equal((await admin("/admin/locations/Harbor/preauth", { enabled: "yes" })).status, 400);
+  await admin("/admin/locations/Harbor/preauth", preauth);
+}
+
+test("end to end: hold at booking, captured by the scheduler at check-in", async () => {
+  const h = await startHarness();
+  try {
+    await preauthHarbor(h, { enabled: true, capture_delay_hours: 1 });
+    const token = h.locationToken("Harbor");
+    await h.reservationWithCard("res_h1", { details: { hours: "3", arrivalDate: "2030-07-01", arrivalTime: "10:00" } });
+
+    const hold = await h.store.get("holds", "res_h1");
+    assert.equal(hold.status, "authorized");
+    assert.equal(hold.amount_cents, 9000);
+    assert.equal(hold.capture_at, "2030-07-01T11:00:00.000Z");
+    assert.equal((await h.store.getPaymentInfo("res_h1")).preauth_status, "hold_authorized");
+    const pi = h.fakeStripe.db.payment_intents.get(hold.payment_intent_id);
+    assert.equal(pi.capture_method, "manual");
+    assert.equal(pi.status, "requires_capture");
+    assert.ok(pi.transfer_data.destination);
+
+    const listed = await h.request("GET", "/holds?location=Harbor", { token });
+    assert.equal(listed.body.holds[0].reservation_id, "res_h1");
+    assert.equal(listed.body.holds[0].history, undefined);
+
+    // Far from check-in but still inside the authorization window: nothing happens
+    assert.equal(await h.app.locals.holdScheduler.runDue(Date.now() + HOUR_MS), 0);
+    assert.equal(await h.app.locals.holdScheduler.runDue(Date.parse("2030-07-01T11:01:00Z")), 1);
+    assert.equal(h.fakeStripe.db.payment_intents.get(hold.payment_intent_id).status, "succeeded");
+    const captured = await h.store.get("holds", "res_h1");
+    assert.equal(captured.status, "captured");
+    assert.equal(captured.captured_cents, 9000);
+    assert.equal((await h.store.getPaymentInfo("res_h1")).preauth_status, "paid");
+
+    // The balance is settled, so approving afterwards charges nothing more
+    const approve = await h.request("POST", "/approve", { token, body: { reservation_id: "res_h1" } });
+    assert.equal(approve.body.nothing_due, true);
+  } finally {
+    await h.close();
+  }
+});
+
+test("end to end: approve captures the hold, decline releases it", async () => {
+  const h = await startHarness();
+  try {
+    await preauthHarbor(h);
+    const token = h.locationToken("Harbor");
+
+    await h.reservationWithCard("res_h2", { details: { hours: "2" } });
+    const approve = await h.request("POST", "/approve", { token, body: { reservation_id: "res_h2" } });
+    assert.equal(approve.body.status, "succeeded");
+    assert.equal(approve.body.captured_from_hold, true);
+    assert.equal(h.fakeStripe.db.payment_intents.get(approve.body.payment_intent_id).amount_received, 6000);
+    assert.equal(h.fakeStripe.db.payment_intents.size, 1);
+    assert.equal((await h.store.get("reservation_charges", "res_h2")).charges[0].kind, "balance");
+
+    await h.reservationWithCard("res_h3", { details: { hours: "2" } });
+    const over = await h.request("POST", "/approve", { token, body: { reservation_id: "res_h3", amount_cents: 7000, override_reason: "extra night" } });
+    assert.equal(over.body.error, "amount_exceeds_hold");
+    const declined = await h.request("POST", "/decline", { token, body: { reservation_id: "res_h3", reason: "no space" } });
+    assert.equal(declined.body.status, "declined");
+    assert.equal(declined.body.hold.status, "released");
+    assert.equal(h.fakeStripe.db.payment_intents.get(declined.body.hold.payment_intent_id).status, "canceled");
+    assert.equal((await h.store.getPaymentInfo("res_h3")).preauth_status, "declined");
+    assert.equal((await h.request("POST", "/decline", { token: h.locationToken("Other"), body: { reservation_id: "res_h3" } })).status, 403);
+  } finally {
+    await h.close();
+  }
+});
+
+test("end to end: cancel and no-show release the hold, or take the fee out of it", async () => {
+  const h = await startHarness();
+  try {
+    await preauthHarbor(h);
+    await h.request("PUT", "/admin/locations/Harbor/cancellation-policy", {
+      token: h.adminToken,
+      body: { free_cancellation_hours: 48, late_cancellation_bps: 5000, late_cancellation_cents: 0, no_show_bps: 10000, no_show_cents: 0, timezone: "UTC" }
+    });
+    const token = h.locationToken("Harbor");
+    const stay = (t) => ({ hours: "2", arrivalDate: new Date(t).toISOString().slice(0, 10), arrivalTime: new Date(t).toISOString().slice(11, 16) });
+
+    // Free: released, and the scheduler has nothing left to capture
+    await h.reservationWithCard("res_free", { details: stay(Date.now() + 10 * 24 * HOUR_MS) });
+    const free = await h.request("POST", "/cancel", { token, body: { reservation_id: "res_free" } });
+    assert.equal(free.body.fee_cents, 0);
+    const released = await h.store.get("holds", "res_free");
+    assert.equal(released.status, "released");
+    assert.equal(released.release_reason, "cancelled");
+    assert.equal(h.fakeStripe.db.payment_intents.get(released.payment_intent_id).status, "canceled");
+    assert.equal((await h.store.getPaymentInfo("res_free")).preauth_status, "cancelled");
+    assert.equal(await h.app.locals.holdScheduler.runDue(Date.now() + 20 * 24 * HOUR_MS), 0);
+
+    // Late: half the stay captured from the hold, the rest released, no second charge
+    await h.reservationWithCard("res_late", { details: stay(Date.now() + 24 * HOUR_MS) });
+    const late = await h.request("POST", "/cancel", { token, body: { reservation_id: "res_late" } });
+    assert.equal(late.status, 200);
+    assert.equal(late.body.captured_from_hold, true);
+    assert.equal(late.body.fee_cents, 3000);
+    const pi = h.fakeStripe.db.payment_intents.get(late.body.payment_intent_id);
+    assert.equal(pi.amount_received, 3000);
+    assert.equal(pi.metadata.charge_kind, "cancellation_fee");
+    assert.equal([...h.fakeStripe.db.payment_intents.values()].filter(p => p.metadata.reservation_id === "res_late").length, 1);
+    await h.deliver(h.fakeStripe.event("payment_intent.succeeded", pi));
+    const ledger = await h.store.get("reservation_charges", "res_late");
+    assert.deepEqual(ledger.charges.map(c => [c.kind, c.amount_cents]), [["cancellation_fee", 3000]]);
+    assert.equal((await h.store.get("holds", "res_late")).status, "captured");
+    assert.equal((await h.store.getPaymentInfo("res_late")).preauth_status, "cancellation_fee_paid");
+
+    // No-show: the whole stay, out of the hold
+    await h.reservationWithCard("res_gone", { details: stay(Date.now() - 2 * HOUR_MS) });
+    const gone = await h.request("POST", "/no-show", { token, body: { reservation_id: "res_gone" } });
+    assert.equal(gone.body.captured_from_hold, true);
+    assert.equal(h.fakeStripe.db.payment_intents.get(gone.body.payment_intent_id).amount_received, 6000);
+    assert.equal((await h.store.getPaymentInfo("res_gone")).preauth_status, "no_show_fee_paid");
+  } finally {
+    await h.close();
+  }
+});
+
+test("end to end: a hold that can't be released isn't charged on top of", async () => {
+  const h = await startHarness();
+  const error = console.error;
+  try {
+    await preauthHarbor(h);
+    // A late cancellation costs the whole stay plus $10: more than the $60 hold
+    await h.request("PUT", "/admin/locations/Harbor/cancellation-policy", {
+      token: h.adminToken,
+      body: { free_cancellation_hours: 48, late_cancellation_bps: 10000, late_cancellation_cents: 1000, timezone: "UTC" }
+    });
+    const token = h.locationToken("Harbor");
+    const soon = new Date(Date.now() + 24 * HOUR_MS).toISOString();
+    await h.reservationWithCard("res_stuck", { details: { hours: "2", arrivalDate: soon.slice(0, 10), arrivalTime: soon.slice(11, 16) } });
+    await h.reservationWithCard("res_stuck_free", { details: { hours: "2", arrivalDate: "2030-07-01" } });
+    const intents = () => [...h.fakeStripe.db.payment_intents.values()].filter(p => p.metadata.reservation_id === "res_stuck").length;
+
+    const cancel = h.stripe.paymentIntents.cancel;
+    h.stripe.paymentIntents.cancel = async () => { throw new Error("Stripe unreachable"); };
+    console.error = () => {};
+    const stuck = await h.request("POST", "/cancel", { token, body: { reservation_id: "res_stuck" } });
+    assert.equal(stuck.status, 503);
+    assert.equal(stuck.body.error, "hold_release_pending");
+    assert.equal(intents(), 1);
+    assert.equal((await h.store.get("holds", "res_stuck")).release_requested, true);
+    const free = await h.request("POST", "/cancel", { token, body: { reservation_id: "res_stuck_free" } });
+    assert.deepEqual([free.status, free.body.status, free.body.release_pending], [200, "cancelled", true]);
+    console.error = error;
+    h.stripe.paymentIntents.cancel = cancel;
+
+    // The worker releases both; then the fee goes on the card
+    assert.equal(await h.app.locals.holdScheduler.runDue(), 2);
+    assert.equal((await h.store.getPaymentInfo("res_stuck_free")).preauth_status, "cancelled");
+    const retried = await h.request("POST", "/cancel", { token, body: { reservation_id: "res_stuck" } });
+    assert.equal(retried.body.status, "succeeded");
+    assert.equal(h.fakeStripe.db.payment_intents.get(retried.body.payment_intent_id).amount, 7000);
+    assert.equal(intents(), 2);
+  } finally {
+    console.error = error;
+    await h.close();
+  }
+});
+
+test("end to end: holds are renewed before they lapse, or flagged when they can't be", async () => {
+  const h = await startHarness();
+  try {
+    await preauthHarbor(h);
+    const scheduler = h.app.locals.holdScheduler;
+    await h.reservationWithCard("res_h4", { details: { hours: "2", arrivalDate: "2030-07-01" } });
+    const first = await h.store.get("holds", "res_h4");
+    const nearExpiry = Date.parse(first.expires_at) - 12 * HOUR_MS;
+
+    assert.equal(await scheduler.runDue(nearExpiry), 1);
+    const renewed = await h.store.get("holds", "res_h4");
+    assert.equal(renewed.generation, 2);
+    assert.notEqual(renewed.payment_intent_id, first.payment_intent_id);
+    assert.equal(h.fakeStripe.db.payment_intents.get(first.payment_intent_id).status, "canceled");
+    assert.equal(h.fakeStripe.db.payment_intents.get(renewed.payment_intent_id).status, "requires_capture");
+    assert.deepEqual(renewed.history.map(e => e.event), ["authorized", "reauthorized"]);
+
+    // The old PaymentIntent's cancel event doesn't touch the renewed hold
+    await h.deliver(h.fakeStripe.event("payment_intent.canceled", h.fakeStripe.db.payment_intents.get(first.payment_intent_id)));
+    assert.equal((await h.store.get("holds", "res_h4")).status, "authorized");
+
+    // Card no longer works: the current hold stays and is flagged
+    const info = await h.store.getPaymentInfo("res_h4");
+    await h.store.saveSetup({ reservationId: "res_h4", customerId: info.customer_id, paymentMethodId: "pm_card_chargeDeclined", location: "Harbor" });
+    await scheduler.runDue(Date.parse(renewed.expires_at) - 12 * HOUR_MS);
+    const flagged = await h.store.get("holds", "res_h4");
+    assert.equal(flagged.flag, "reauthorization_failed");
+    assert.equal(flagged.payment_intent_id, renewed.payment_intent_id);
+    const audit = await h.request("GET", "/admin/audit?reservation_id=res_h4", { token: h.adminToken });
+    assert.ok(audit.body.entries.some(e => e.type === "hold_reauthorization_failed"));
+
+    // ... and marked expired once it lapses
+    await scheduler.runDue(Date.parse(renewed.expires_at) + 1000);
+    assert.equal((await h.store.get("holds", "res_h4")).status, "expired");
+    assert.equal((await h.store.getPaymentInfo("res_h4")).preauth_status, "hold_expired");
+  } finally {
+    await h.close();
+  }
+});
+
+test("end to end: without reauthorize, expiring holds are flagged once", async () => {
+  const h = await startHarness();
+  try {
+    await preauthHarbor(h, { enabled: true, reauthorize: false });
+    await h.reservationWithCard("res_h5", { details: { hours: "2" } });
+    const hold = await h.store.get("holds", "res_h5");
+    const t = Date.parse(hold.expires_at) - 2 * HOUR_MS;
+    assert.equal(await h.app.locals.holdScheduler.runDue(t), 1);
+    assert.equal(await h.app.locals.holdScheduler.runDue(t + 1000), 0);
+    const flagged = await h.store.get("holds", "res_h5");
+    assert.equal(flagged.flag, "expiring");
+    assert.equal(flagged.generation, 1);
+
+    // Expiry reported by Stripe
+    const pi = h.fakeStripe.db.payment_intents.get(hold.payment_intent_id);
+    await h.deliver(h.fakeStripe.event("payment_intent.canceled", { ...pi, status: "canceled", cancellation_reason: "automatic" }));
+    assert.equal((await h.store.get("holds", "res_h5")).status, "expired");
+  } finally {
+    await h.close();
+  }
+});
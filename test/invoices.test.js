@@ -0,0 +1,156 @@
+// Receipts: numbering, line items, marina details, HTML/PDF downloads, revisions after refunds
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildInvoice, sellerFrom, renderInvoicePdf } = require("../lib/invoices");
+const { startHarness } = require("./support/harness");
+
+const PRICING = { currency: "usd", hourly_cents: 2500, taxes: [{ name: "Sales tax", bps: 1000 }] };
+const SELLER = { name: "Harbor Marina LLC", location: "Harbor", address: [], email: "", phone: "", url: "", account_id: "" };
+
+const invoiceFor = (entry, pricing = PRICING) => buildInvoice({
+  number: "SR-2030-000001",
+  entry: { currency: "usd", payment_intent_id: "pi_1", ...entry },
+  reservationId: "res_1",
+  payinfo: { location: "Harbor", details: { hours: "2", arrivalDate: "2030-07-01", email: "boater@example.test" } },
+  pricing,
+  currency: "usd",
+  locale: "en-US",
+  seller: SELLER,
+  accessKey: "key",
+  issuedAt: "2030-06-01T12:00:00.000Z"
+});
+
+test("line items: the priced stay less what was paid before, or a single line", () => {
+  // Two hours at $25 plus 10% tax = $55, of which $15 was a deposit
+  const balance = invoiceFor({ kind: "balance", amount_cents: 4000 });
+  assert.deepEqual(balance.lines, [{ description: "Slip, 2 hours", quantity: 2, unit_amount_cents: 2500, amount_cents: 5000 }]);
+  assert.deepEqual(balance.taxes, [{ description: "Sales tax", amount_cents: 500 }]);
+  assert.equal(balance.paid_earlier_cents, 1500);
+  assert.equal(balance.total_cents, 4000);
+  assert.equal(balance.status, "paid");
+  assert.deepEqual(balance.stay, { arrival_date: "2030-07-01", arrival_time: "", hours: "2", boat_length: "" });
+
+  // An override above the computed price, no pricing, deposits and fees: one line for the amount
+  assert.deepEqual(invoiceFor({ kind: "balance", amount_cents: 9000 }).lines.map(l => l.description), ["Slip stay"]);
+  assert.deepEqual(invoiceFor({ kind: "balance", amount_cents: 9000 }, null).lines.map(l => l.description), ["Slip stay"]);
+  const deposit = invoiceFor({ kind: "deposit", amount_cents: 1500 });
+  assert.equal(deposit.title, "Deposit receipt");
+  assert.equal(deposit.lines[0].description, "Booking deposit");
+  assert.equal(invoiceFor({ kind: "no_show_fee", amount_cents: 3000 }).lines[0].description, "No-show fee");
+
+  const refunded = invoiceFor({ kind: "balance", amount_cents: 4000, refunded_cents: 4000 });
+  assert.equal(refunded.status, "refunded");
+  assert.equal(refunded.net_cents, 0);
+});
+
+test("the marina's details come from its Connect account", () => {
+  const seller = sellerFrom({
+    id: "acct_1",
+    email: "owner@example.test",
+    business_profile: {
+      name: "Harbor Marina LLC",
+      support_email: "office@harbor.example.test",
+      support_phone: "+1 555 0100",
+      support_address: { line1: "1 Dock Rd", city: "Annapolis", state: "MD", postal_code: "21401", country: "US" }
+    }
+  }, "Harbor");
+  assert.deepEqual(seller, {
+    name: "Harbor Marina LLC",
+    location: "Harbor",
+    address: ["1 Dock Rd", "Annapolis MD 21401", "US"],
+    email: "office@harbor.example.test",
+    phone: "+1 555 0100",
+    url: "",
+    account_id: "acct_1"
+  });
+  assert.equal(sellerFrom(null, "Harbor").name, "Harbor");
+});
+
+test("the PDF is well formed", () => {
+  const pdf = renderInvoicePdf(invoiceFor({ kind: "balance", amount_cents: 4000 })).toString("latin1");
+  assert.ok(pdf.startsWith("%PDF-1.4\n"));
+  assert.ok(pdf.endsWith("%%EOF\n"));
+  assert.ok(pdf.includes("(Receipt) Tj"));
+  assert.ok(pdf.includes("($40.00) Tj"));
+  assert.ok(pdf.includes("(Paid earlier) Tj"));
+
+  // startxref points at the table, and the table at each object
+  const xrefAt = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  assert.ok(pdf.startsWith("xref\n", xrefAt));
+  const offsets = pdf.slice(xrefAt).split("\n").slice(3).filter(l => / n $/.test(l)).map(l => Number(l.slice(0, 10)));
+  offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj`, offset), `object ${i + 1}`));
+});
+
+test("end to end: a receipt per charge, linked from emails and revised by refunds", async () => {
+  const h = await startHarness({ env: { PUBLIC_API_URL: "https://api.example.test/", INVOICE_NUMBER_PREFIX: "HM" } });
+  try {
+    await h.request("PUT", "/admin/locations/Harbor/pricing", { token: h.adminToken, body: PRICING });
+    const acct = await h.readyLocation("Harbor");
+    h.fakeStripe.db.accounts.get(acct).business_profile = { name: "Harbor Marina LLC", support_email: "office@harbor.example.test" };
+    const token = h.locationToken("Harbor");
+    const { sessionId } = await h.reservationWithCard("res_inv", { details: { hours: "2" } });
+
+    const approved = await h.request("POST", "/approve", { token, body: { reservation_id: "res_inv" } });
+    assert.equal(approved.body.amount_cents, 5500);
+    // The webhook for the same charge doesn't issue a second receipt
+    const pi = h.fakeStripe.db.payment_intents.get(approved.body.payment_intent_id);
+    await h.deliver(h.fakeStripe.event("payment_intent.succeeded", pi));
+
+    const year = new Date().getUTCFullYear();
+    const list = await h.request("GET", "/invoices?reservation_id=res_inv", { token });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.invoices.length, 1);
+    const [invoice] = list.body.invoices;
+    assert.equal(invoice.number, `HM-${year}-000001`);
+    assert.equal(invoice.title, "Receipt");
+    assert.equal(invoice.seller.name, "Harbor Marina LLC");
+    assert.equal(invoice.seller.email, "office@harbor.example.test");
+    assert.equal(invoice.customer.email, "res_inv@example.test");
+    assert.equal(invoice.total_cents, 5500);
+    assert.equal(invoice.access_key, undefined);
+    assert.match(invoice.html_url, new RegExp(`^https://api\\.example\\.test/invoices/HM-${year}-000001\\?key=`));
+    assert.equal((await h.request("GET", "/invoices?reservation_id=res_inv", { token: h.locationToken("Elsewhere") })).status, 403);
+
+    // The payment email links to the PDF
+    const receiptMail = h.mailer.outbox.find(m => m.to === "res_inv@example.test" && m.subject.startsWith("Payment received"));
+    assert.ok(receiptMail.text.includes(`Download your receipt: ${invoice.pdf_url}`));
+
+    // Downloads, with the key only
+    const path = invoice.html_url.replace("https://api.example.test", "");
+    const html = await h.request("GET", path);
+    assert.equal(html.status, 200);
+    assert.match(html.headers.get("content-type"), /text\/html/);
+    assert.equal(html.headers.get("cache-control"), "no-store");
+    assert.ok(html.text.includes("Harbor Marina LLC"));
+    assert.ok(html.text.includes("Slip, 2 hours"));
+    assert.ok(html.text.includes("$55.00"));
+    const pdf = await fetch(`${h.base}${path}&format=pdf`);
+    assert.equal(pdf.headers.get("content-type"), "application/pdf");
+    assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), "%PDF-");
+    assert.equal((await h.request("GET", `/invoices/${invoice.number}?key=wrong`)).status, 404);
+
+    // The confirmation page gets the links too
+    const confirmed = await h.request("GET", `/checkout-session?session_id=${sessionId}`);
+    assert.deepEqual(confirmed.body.invoices.map(i => [i.number, i.pdf_url]), [[invoice.number, invoice.pdf_url]]);
+
+    // A partial refund revises the receipt; the webhook for it doesn't revise it again
+    await h.request("POST", "/refund", { token, body: { reservation_id: "res_inv", amount_cents: 1500 } });
+    await h.deliver(h.fakeStripe.event("charge.refunded", h.fakeStripe.db.charges.get(pi.latest_charge)));
+    const revised = (await h.request("GET", "/invoices?reservation_id=res_inv", { token })).body.invoices[0];
+    assert.equal(revised.revision, 2);
+    assert.equal(revised.status, "partially_refunded");
+    assert.equal(revised.refunded_cents, 1500);
+    assert.equal(revised.net_cents, 4000);
+    assert.ok((await h.request("GET", path)).text.includes("Net paid"));
+
+    // An adjustment's charge gets its own number
+    const adjusted = await h.request("POST", "/adjust", { token, body: { reservation_id: "res_inv", hours: "3" } });
+    assert.equal(adjusted.body.status, "charged");
+    const all = (await h.request("GET", "/invoices?reservation_id=res_inv", { token })).body.invoices;
+    assert.deepEqual(all.map(i => i.number), [`HM-${year}-000001`, `HM-${year}-000002`]);
+    assert.equal(all[1].total_cents, 4250);
+    assert.equal(all[1].paid_earlier_cents, 4000);
+  } finally {
+    await h.close();
+  }
+});
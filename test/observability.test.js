@@ -0,0 +1,180 @@
+// Structured logs with request context, /metrics, /readyz
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLogger, runWithContext, addContext } = require("../lib/logger");
+const { createRegistry } = require("../lib/metrics");
+const { startHarness } = require("./support/harness");
+
+// Collect the JSON lines logged while fn runs
+async function captureLogs(fn){
+  const lines = [];
+  const saved = [console.log, console.warn, console.error];
+  const grab = (line) => { try { lines.push(JSON.parse(line)); } catch { /* not ours */ } };
+  console.log = console.warn = console.error = grab;
+  try { await fn(); } finally { [console.log, console.warn, console.error] = saved; }
+  return lines;
+}
+
+test("logger: JSON lines with context, fields and Stripe error details", async () => {
+  const out = [];
+  const log = createLogger({ level: "info", write: (level, line) => out.push(JSON.parse(line)) });
+  log.debug("hidden");
+  await runWithContext({ request_id: "req-1", reservation_id: "" }, async () => {
+    addContext({ reservation_id: "res_1" });
+    await Promise.resolve();
+    const err = Object.assign(new Error("Your card was declined."), { type: "StripeCardError", code: "card_declined", requestId: "req_stripe1" });
+    log.error("POST /approve error:", { location: "Harbor" }, err);
+  });
+  log.warn("outside", "a", 2);
+
+  assert.equal(out.length, 2);
+  assert.equal(out[0].msg, "POST /approve error");
+  assert.equal(out[0].level, "error");
+  assert.equal(out[0].request_id, "req-1");
+  assert.equal(out[0].reservation_id, "res_1");
+  assert.equal(out[0].location, "Harbor");
+  assert.deepEqual(out[0].err, { message: "Your card was declined.", type: "StripeCardError", code: "card_declined", stripe_request_id: "req_stripe1" });
+  assert.equal(out[1].request_id, undefined);
+  assert.equal(out[1].detail, "a 2");
+});
+
+test("metrics registry renders the Prometheus text format", () => {
+  const r = createRegistry();
+  const c = r.counter("x_total", "Things", ["kind"]);
+  c.inc({ kind: "a \"quoted\"" });
+  c.inc({ kind: "a \"quoted\"" }, 2);
+  const h = r.histogram("x_seconds", "Latency", [], [0.1, 1]);
+  h.observe({}, 0.5);
+  assert.equal(r.render(), [
+    "# HELP x_total Things",
+    "# TYPE x_total counter",
+    "x_total{kind=\"a \\\"quoted\\\"\"} 3",
+    "# HELP x_seconds Latency",
+    "# TYPE x_seconds histogram",
+    "x_seconds_bucket{le=\"0.1\"} 0",
+    "x_seconds_bucket{le=\"1\"} 1",
+    "x_seconds_bucket{le=\"+Inf\"} 1",
+    "x_seconds_sum 0.5",
+    "x_seconds_count 1",
+    ""
+  ].join("\n"));
+});
+
+test("end to end: request ids tie the access log, Stripe calls and idempotency keys to the reservation", async () => {
+  const h = await startHarness({ env: { LOG_LEVEL: "info" } });
+  try {
+    await h.readyLocation("Harbor");
+    await h.reservationWithCard("res_o1");
+    let response;
+    const lines = await captureLogs(async () => {
+      response = await h.request("POST", "/approve", {
+        token: h.locationToken("Harbor"),
+        body: { reservation_id: "res_o1", amount_cents: 5000 },
+        headers: { "X-Request-Id": "dash-42" }
+      });
+    });
+    assert.equal(response.body.status, "succeeded");
+    assert.equal(response.headers.get("x-request-id"), "dash-42");
+
+    const charge = lines.find(l => l.msg === "stripe request" && l.stripe_path === "/v1/payment_intents");
+    assert.equal(charge.request_id, "dash-42");
+    assert.equal(charge.reservation_id, "res_o1");
+    assert.equal(charge.location, "Harbor");
+    assert.equal(charge.idempotency_key, "approve_res_o1_5000");
+    assert.match(charge.stripe_request_id, /^req_fake/);
+    const access = lines.find(l => l.msg === "request");
+    assert.deepEqual([access.request_id, access.route, access.status, access.reservation_id], ["dash-42", "/approve", 200, "res_o1"]);
+
+    // Without one, an id is minted
+    const minted = await h.request("GET", "/");
+    assert.match(minted.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+
+    // Webhook handling logs carry the event, and Stripe errors their request id
+    const failing = await captureLogs(async () => {
+      await h.deliver(h.fakeStripe.event("charge.refunded", { id: "ch_missing", object: "charge", payment_intent: "pi_missing", metadata: { location: "Harbor" } }));
+    });
+    const failed = failing.find(l => l.msg === "webhook event failed");
+    assert.equal(failed.stripe_event_type, "charge.refunded");
+    assert.equal(failed.location, "Harbor");
+    assert.equal(failed.err.code, "resource_missing");
+    assert.match(failed.err.stripe_request_id, /^req_fake/);
+  } finally {
+    await h.close();
+  }
+});
+
+test("end to end: /metrics counts checkouts, approvals, SCA fallbacks, webhooks and GAS failures", async () => {
+  const h = await startHarness({ store: "gas", env: { METRICS_TOKEN: "scrape-me" } });
+  try {
+    await h.readyLocation("Harbor");
+    const token = h.locationToken("Harbor");
+    await h.reservationWithCard("res_m1");
+    await h.reservationWithCard("res_m2", { paymentMethod: "pm_card_authenticationRequired" });
+    await h.request("POST", "/approve", { token, body: { reservation_id: "res_m1", amount_cents: 5000 } });
+    await h.request("POST", "/approve", { token, body: { reservation_id: "res_m2", amount_cents: 5000 } });
+    await h.request("POST", "/approve", { token, body: {} });
+    const pi = [...h.fakeStripe.db.payment_intents.values()].find(p => p.status === "succeeded");
+    await h.deliver(h.fakeStripe.event("payment_intent.succeeded", pi));
+
+    h.fakeGas.failing.add("getpayinfo");
+    const broken = await h.request("POST", "/approve", { token, body: { reservation_id: "res_m1" } });
+    assert.equal(broken.status, 500);
+
+    assert.equal((await h.request("GET", "/metrics")).status, 401);
+    const scrape = await h.request("GET", "/metrics", { headers: { Authorization: "Bearer scrape-me" } });
+    assert.equal(scrape.status, 200);
+    assert.match(scrape.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+    const text = scrape.text;
+    for (const line of [
+      "sliprezi_checkout_sessions_total{mode=\"setup\",result=\"created\"} 2",
+      "sliprezi_checkout_sessions_total{mode=\"sca\",result=\"created\"} 1",
+      "sliprezi_approvals_total{result=\"succeeded\"} 1",
+      "sliprezi_approvals_total{result=\"action_required\"} 1",
+      "sliprezi_approvals_total{result=\"rejected\"} 1",
+      "sliprezi_approvals_total{result=\"error\"} 1",
+      "sliprezi_sca_fallbacks_total{kind=\"approve\"} 1",
+      "sliprezi_webhook_events_total{type=\"payment_intent.succeeded\",result=\"processed\"} 1",
+      "sliprezi_gas_calls_total{action=\"getpayinfo\",result=\"error\"} 1",
+      "sliprezi_http_requests_total{method=\"POST\",route=\"/approve\",status=\"200\"} 2",
+      "sliprezi_stripe_requests_total{method=\"POST\",path=\"/v1/payment_intents\",status=\"402\"} 1"
+    ]) {
+      assert.ok(text.includes(line), `missing: ${line}`);
+    }
+    assert.match(text, /sliprezi_approval_duration_seconds_count\{result="succeeded"\} 1/);
+    assert.match(text, /sliprezi_gas_call_duration_seconds_count\{action="kvget"\} \d+/);
+  } finally {
+    await h.close();
+  }
+});
+
+test("/readyz checks Stripe and the store", async () => {
+  let storeDown = false;
+  const h = await startHarness({
+    wrapStore: (store) => ({
+      ...store,
+      async get(collection, key){
+        if (storeDown && collection === "health") throw new Error("sheet unavailable");
+        return store.get(collection, key);
+      }
+    })
+  });
+  try {
+    const ready = await h.request("GET", "/readyz");
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, "ready");
+    assert.equal(ready.body.checks.stripe.ok, true);
+    assert.equal(ready.body.checks.store.kind, "memory");
+
+    storeDown = true;
+    const down = await captureLogs(async () => {
+      const r = await h.request("GET", "/readyz");
+      assert.equal(r.status, 503);
+      assert.equal(r.body.status, "not_ready");
+      assert.equal(r.body.checks.store.error, "sheet unavailable");
+      assert.equal(r.body.checks.stripe.ok, true);
+    });
+    assert.ok(down.some(l => l.msg === "not ready"));
+  } finally {
+    await h.close();
+  }
+});
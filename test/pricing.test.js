@@ -0,0 +1,97 @@
+// Pure pricing/policy/ledger helpers
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { quote, validatePricing, depositFor, PricingError } = require("../lib/pricing");
+const { cancellationFee, noShowFee, validatePolicy } = require("../lib/policies");
+const { arrivalInstant, parseTime } = require("../lib/time");
+const { summarize } = require("../lib/ledger");
+
+const PRICING = {
+  currency: "usd",
+  hourly_cents: 1000,
+  nightly_cents: 15000,
+  nightly_after_hours: 12,
+  per_foot_nightly_cents: 100,
+  minimum_cents: 2500,
+  taxes: [{ name: "State tax", bps: 600 }, { name: "City tax", bps: 100 }],
+  seasons: [{ name: "Winter", start: "11-15", end: "02-28", nightly_cents: 9000 }]
+};
+
+test("hourly stays round up and get the minimum top-up", () => {
+  const q = quote(PRICING, { hours: "1.5" });
+  assert.deepEqual(q.items.map(i => i.code), ["slip_hourly", "minimum", "tax", "tax"]);
+  assert.equal(q.subtotal_cents, 2500);
+  assert.equal(q.tax_cents, 150 + 25);
+  assert.equal(q.total_cents, 2675);
+});
+
+test("long stays bill per night plus boat length, with seasons wrapping the new year", () => {
+  const summer = quote(PRICING, { hours: 30, boatLength: "31.5", arrivalDate: "2030-07-04" });
+  assert.equal(summer.season, null);
+  assert.equal(summer.items[0].amount_cents, 2 * 15000);
+  assert.equal(summer.items[1].amount_cents, 32 * 2 * 100);
+
+  const winter = quote(PRICING, { hours: 30, boatLength: 32, arrivalDate: "2031-01-10" });
+  assert.equal(winter.season, "Winter");
+  assert.equal(winter.items[0].unit_amount_cents, 9000);
+
+  assert.throws(() => quote(PRICING, { hours: 30 }), (e) => e instanceof PricingError && e.code === "boat_length_required");
+  assert.throws(() => quote(null, { hours: 1 }), (e) => e.code === "pricing_not_configured");
+});
+
+test("validatePricing reports every problem", () => {
+  assert.deepEqual(validatePricing(PRICING), []);
+  assert.deepEqual(validatePricing({ currency: "EUR", minimum_cents: -1, seasons: [{ start: "13-01", end: "01-01" }] }), [
+    "currency must be a 3-letter lowercase code",
+    "minimum_cents must be a non-negative integer",
+    "hourly_cents or nightly_cents is required",
+    "seasons[0] needs start/end as MM-DD"
+  ]);
+});
+
+test("deposits add percentage and flat parts, capped at the total", () => {
+  assert.equal(depositFor({ bps: 2000, cents: 500 }, 10000), 2500);
+  assert.equal(depositFor({ cents: 50000 }, 10000), 10000);
+  assert.equal(depositFor({ cents: 500 }, ""), 500);
+  assert.throws(() => depositFor({ bps: 2000 }, ""), /pricing/);
+});
+
+test("cancellation and no-show fees follow the policy", () => {
+  const policy = { free_cancellation_hours: 48, late_cancellation_bps: 5000, late_cancellation_cents: 100, no_show_bps: 10000 };
+  const now = Date.parse("2030-07-01T00:00:00Z");
+  assert.equal(cancellationFee(policy, { arrivalAt: now + 72 * 3600000, now, baseAmount: 8000 }).rule, "free");
+  assert.deepEqual(cancellationFee(policy, { arrivalAt: now + 24 * 3600000, now, baseAmount: 8000 }), { rule: "late_cancellation", fee_cents: 4100, hours_before_arrival: 24 });
+  assert.equal(cancellationFee(policy, { arrivalAt: now, now, baseAmount: 0 }).fee_cents, null);
+  assert.equal(cancellationFee(null, { arrivalAt: null, now }).rule, "free");
+  assert.deepEqual(noShowFee(policy, { baseAmount: 8000 }), { rule: "no_show", fee_cents: 8000 });
+  assert.deepEqual(noShowFee({}, {}), { rule: "none", fee_cents: 0 });
+  assert.deepEqual(validatePolicy({ no_show_bps: 20000 }), ["no_show_bps must be an integer between 0 and 10000"]);
+});
+
+test("arrival times are local to the marina, across DST", () => {
+  assert.deepEqual(parseTime("2:30 PM"), [14, 30]);
+  assert.deepEqual(parseTime("12am"), [0, 0]);
+  assert.equal(parseTime("25:00"), null);
+  assert.equal(arrivalInstant({ arrivalDate: "2030-07-01", arrivalTime: "14:00" }, "America/New_York"), Date.parse("2030-07-01T18:00:00Z"));
+  assert.equal(arrivalInstant({ arrivalDate: "2030-01-15", arrivalTime: "14:00" }, "America/New_York"), Date.parse("2030-01-15T19:00:00Z"));
+  assert.equal(arrivalInstant({ arrivalDate: "" }, "UTC"), null);
+});
+
+test("ledger summary nets the deposit out of the balance", () => {
+  const ledger = {
+    charges: [
+      { kind: "deposit", amount_cents: 2000, status: "succeeded" },
+      { kind: "balance", amount_cents: 3000, status: "failed" },
+      { kind: "no_show_fee", amount_cents: 500, status: "succeeded" }
+    ]
+  };
+  assert.deepEqual(summarize(ledger, 10000), {
+    deposit_paid_cents: 2000,
+    balance_paid_cents: 0,
+    fees_paid_cents: 500,
+    collected_cents: 2500,
+    total_cents: 10000,
+    balance_due_cents: 8000
+  });
+  assert.equal(summarize(ledger).balance_due_cents, null);
+});
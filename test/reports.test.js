@@ -0,0 +1,108 @@
+// Reconciliation and payout reports per location
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildReconciliation, reportRange, toCsv } = require("../lib/reports");
+const { localDate } = require("../lib/time");
+const { startHarness } = require("./support/harness");
+
+test("report ranges are inclusive marina-local dates", () => {
+  const r = reportRange({ from: "2030-03-01", to: "2030-03-31" }, "America/New_York");
+  assert.equal(new Date(r.fromMs).toISOString(), "2030-03-01T05:00:00.000Z");
+  assert.equal(new Date(r.toMs).toISOString(), "2030-04-01T04:00:00.000Z");
+  assert.equal(reportRange({}, "UTC", Date.parse("2030-03-15T12:00:00Z")).from, "2030-03-01");
+  assert.throws(() => reportRange({ from: "2030-03-02", to: "2030-03-01" }), /from must not be after to/);
+  assert.throws(() => reportRange({ from: "2029-01-01", to: "2030-03-01" }), (e) => e.code === "range_too_long");
+  assert.throws(() => reportRange({ from: "March" }), (e) => e.code === "invalid_range");
+});
+
+test("CSV cells are quoted and formula-safe", () => {
+  const csv = toCsv([{ a: "x,y", b: "=HYPERLINK(1)", c: -500, d: ["r1", "r2"] }], ["a", "b", "c", "d"]);
+  assert.equal(csv, 'a,b,c,d\r\n"x,y",\'=HYPERLINK(1),-500,r1;r2\r\n');
+});
+
+test("end to end: charges, refunds, fees, transfers and payouts joined to reservations", async () => {
+  const h = await startHarness({ env: { APPLICATION_FEE_BPS: "1000" } });
+  try {
+    const acct = await h.readyLocation("Harbor");
+    const token = h.locationToken("Harbor");
+    const approve = async (id, amount) => {
+      await h.reservationWithCard(id);
+      const r = await h.request("POST", "/approve", { token, body: { reservation_id: id, amount_cents: amount } });
+      assert.equal(r.body.status, "succeeded");
+      return r.body.payment_intent_id;
+    };
+
+    await approve("res_a", 10000);
+    await approve("res_b", 6000);
+    await h.request("POST", "/refund", { token, body: { reservation_id: "res_a", amount_cents: 2000 } });
+    h.fakeStripe.payout(acct);
+    await approve("res_c", 5000);
+
+    // Another marina's charge stays out of Harbor's report
+    await h.readyLocation("Other");
+    await h.reservationWithCard("res_other", { location: "Other" });
+    await h.request("POST", "/approve", { token: h.locationToken("Other"), body: { reservation_id: "res_other", amount_cents: 9000 } });
+
+    const from = localDate(Date.now() - 86400000);
+    const to = localDate(Date.now() + 86400000);
+    const r = await h.request("GET", `/reports/locations/Harbor/reconciliation?from=${from}&to=${to}`, { token });
+    assert.equal(r.status, 200);
+    const byRes = Object.fromEntries(r.body.lines.map(l => [l.reservation_id, l]));
+    assert.deepEqual(Object.keys(byRes).sort(), ["res_a", "res_b", "res_c"]);
+
+    assert.equal(byRes.res_a.gross_cents, 10000);
+    assert.equal(byRes.res_a.refunded_cents, 2000);
+    assert.equal(byRes.res_a.fee_cents, 800);
+    assert.equal(byRes.res_a.net_cents, 7200);
+    assert.equal(byRes.res_a.payout_status, "paid");
+    assert.equal(byRes.res_c.payout_status, "not_paid_out");
+
+    assert.equal(r.body.refunds.length, 1);
+    assert.equal(r.body.refunds[0].reservation_id, "res_a");
+    assert.deepEqual(r.body.totals, {
+      charges: 3,
+      gross_cents: 21000,
+      refunded_cents: 2000,
+      fees_cents: 800 + 600 + 500,
+      net_cents: 7200 + 5400 + 4500,
+      refunds_in_period_cents: 2000,
+      paid_out_cents: 7200 + 5400,
+      in_transit_cents: 0,
+      failed_payouts_cents: 0,
+      not_paid_out_cents: 4500
+    });
+
+    // Only Harbor's own rows count towards the cap: a busy marina elsewhere doesn't break Harbor's report
+    for (const id of ["res_o2", "res_o3", "res_o4"]) {
+      await h.reservationWithCard(id, { location: "Other" });
+      await h.request("POST", "/approve", { token: h.locationToken("Other"), body: { reservation_id: id, amount_cents: 1000 } });
+    }
+    const { fromMs, toMs } = reportRange({ from, to });
+    const build = (maxRows) => buildReconciliation({ stripe: h.stripe, location: "Harbor", accountId: acct, currency: "usd", fromMs, toMs, maxRows });
+    assert.equal((await build(3)).totals.charges, 3);
+    assert.ok(!h.fakeStripe.requests.some(x => x.path === "/v1/charges" || (x.path === "/v1/refunds" && x.method === "GET" && !x.params.charge)));
+    await assert.rejects(build(2), (e) => e.code === "too_many_rows" && e.status === 422);
+
+    const payouts = await h.request("GET", `/reports/locations/Harbor/payouts?from=${from}&to=${to}`, { token });
+    assert.equal(payouts.body.payouts.length, 1);
+    assert.deepEqual(payouts.body.payouts[0].reservation_ids.sort(), ["res_a", "res_b"]);
+    assert.ok(h.fakeStripe.requests.some(x => x.path === "/v1/payouts" && x.stripeAccount === acct));
+
+    const csv = await h.request("GET", `/reports/locations/Harbor/reconciliation?from=${from}&to=${to}&format=csv`, { token });
+    assert.match(csv.headers.get("content-type"), /^text\/csv/);
+    assert.match(csv.headers.get("content-disposition"), /reconciliation_Harbor_/);
+    const rows = csv.text.trim().split("\r\n");
+    assert.equal(rows[0].split(",")[0], "type");
+    assert.equal(rows.length, 1 + 3 + 1 + 1);
+    assert.match(rows[rows.length - 1], /^total,/);
+
+    const payoutCsv = await h.request("GET", `/reports/locations/Harbor/payouts?format=csv&from=${from}&to=${to}`, { token });
+    assert.match(payoutCsv.text, /^id,created,arrival_date,status/);
+
+    assert.equal((await h.request("GET", "/reports/locations/Harbor/reconciliation", { token: h.locationToken("Other") })).status, 403);
+    assert.equal((await h.request("GET", "/reports/locations/Harbor/reconciliation?from=nope", { token })).status, 400);
+    assert.equal((await h.request("GET", "/reports/locations/Harbor/payouts", { token: h.adminToken })).status, 200);
+  } finally {
+    await h.close();
+  }
+});
@@ -0,0 +1,102 @@
+// Reservation store adapters: file (persisted JSON) and GAS (against the fake Apps Script)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStore } = require("../lib/store");
+const { createFakeGas } = require("./support/fakeGas");
+
+async function exercise(store){
+  assert.equal(await store.getAccountIdForLocation("Harbor"), null);
+  await store.saveAccountIdForLocation("Harbor", "acct_123");
+  assert.equal(await store.getAccountIdForLocation("Harbor"), "acct_123");
+
+  await store.saveSetup({
+    reservationId: "res_1",
+    customerId: "cus_1",
+    paymentMethodId: "pm_1",
+    connectedAccountId: "acct_123",
+    location: "Harbor",
+    details: { hours: "3", email: "a@example.test" }
+  });
+  // Later partial saves keep what we already had
+  await store.saveSetup({ reservationId: "res_1", paymentMethodId: "pm_2", details: { boatLength: "32" } });
+  await store.setPreauthStatus("res_1", "card_on_file");
+  // A status for an unknown reservation doesn't create a row
+  await store.setPreauthStatus("res_unknown", "paid");
+  assert.ok(!(await store.getPaymentInfo("res_unknown"))?.preauth_status);
+
+  const info = await store.getPaymentInfo("res_1");
+  assert.equal(info.customer_id, "cus_1");
+  assert.equal(info.payment_method_id, "pm_2");
+  assert.equal(info.connected_account_id, "acct_123");
+  assert.equal(info.location, "Harbor");
+  assert.equal(info.preauth_status, "card_on_file");
+  assert.deepEqual({ hours: info.details.hours, boatLength: info.details.boatLength }, { hours: "3", boatLength: "32" });
+
+  assert.equal(await store.get("things", "a"), null);
+  await store.put("things", "a", { n: 1 });
+  await store.put("things", "b", { n: 2 });
+  assert.deepEqual(await store.get("things", "a"), { n: 1 });
+  assert.deepEqual((await store.list("things")).map(i => i.key).sort(), ["a", "b"]);
+  await store.remove("things", "a");
+  assert.deepEqual((await store.list("things")).map(i => i.key), ["b"]);
+
+  assert.equal(await store.add("things", "b", { n: 3 }), false);
+  assert.deepEqual(await store.get("things", "b"), { n: 2 });
+  assert.equal(await store.add("things", "c", { n: 3 }), true);
+  assert.deepEqual(await store.get("things", "c"), { n: 3 });
+}
+
+test("memory store implements the store interface", async () => {
+  const store = createStore({ driver: "memory" });
+  assert.equal(store.kind, "memory");
+  await exercise(store);
+});
+
+test("file store persists across instances", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sliprezi-store-"));
+  const file = path.join(dir, "reservations.json");
+  try {
+    await exercise(createStore({ driver: "file", file }));
+    const reopened = createStore({ driver: "file", file });
+    assert.equal((await reopened.getPaymentInfo("res_1")).payment_method_id, "pm_2");
+    assert.deepEqual(await reopened.get("things", "b"), { n: 2 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("gas store posts JSON actions with the token and follows the redirect", async () => {
+  const gas = createFakeGas({ token: "secret" });
+  const url = await gas.listen();
+  try {
+    await exercise(createStore({ driver: "gas", gasUrl: url, gasToken: "secret" }));
+    assert.ok(gas.calls.every(c => c.token === "secret"));
+    assert.ok(gas.calls.some(c => c.action === "savesetup" && c.account_id === "acct_123"));
+  } finally {
+    await gas.close();
+  }
+});
+
+test("gas store surfaces script errors (and getacct degrades to null)", async () => {
+  const gas = createFakeGas({ token: "secret" });
+  const url = await gas.listen();
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const store = createStore({ driver: "gas", gasUrl: url, gasToken: "wrong" });
+    await assert.rejects(store.getPaymentInfo("res_1"), /unauthorized/);
+    assert.equal(await store.getAccountIdForLocation("Harbor"), null);
+  } finally {
+    console.warn = warn;
+    await gas.close();
+  }
+});
+
+test("createStore picks a driver from config", () => {
+  assert.throws(() => createStore({ driver: "gas" }), /RESERVATIONS_GAS_URL/);
+  assert.throws(() => createStore({ driver: "redis" }), /Unknown RESERVATION_STORE/);
+  assert.equal(createStore({ gasUrl: "https://script.example.test/exec" }).kind, "gas");
+});
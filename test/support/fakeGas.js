@@ -0,0 +1,104 @@
+// test/support/fakeGas.js — stand-in for the Apps Script web app behind lib/store/gas.js
+const http = require("http");
+
+/**
+ * Behaves like a deployed script: every POST is answered with a 302 to a one-shot
+ * "script output" URL, and the JSON result is served on the follow-up GET.
+ * token: when set, requests without it get { error: "unauthorized" } (like the script's guard)
+ * failing: actions listed here answer { error } (e.g. failing.add("kvget") for a sheet outage)
+ */
+function createFakeGas({ token = "" } = {}){
+  const accounts = new Map();
+  const reservations = new Map();
+  const kv = new Map();
+  const mail = [];
+  const calls = [];
+  const outputs = new Map();
+  const failing = new Set();
+  let seq = 0;
+
+  const bucket = (name) => {
+    if (!kv.has(name)) kv.set(name, new Map());
+    return kv.get(name);
+  };
+
+  function run(body){
+    if (token && body.token !== token) return { error: "unauthorized" };
+    if (failing.has(body.action)) return { error: "Service invoked too many times" };
+    switch (body.action) {
+      case "getacct": return { account_id: accounts.get(body.location) || "" };
+      case "setacct": accounts.set(body.location, body.account_id); return { ok: true };
+      case "savesetup": {
+        const row = reservations.get(body.reservation_id) || { reservation_id: body.reservation_id };
+        for (const [from, to] of [["customer_id", "customer_id"], ["payment_method_id", "payment_method_id"], ["account_id", "connected_account_id"], ["location", "location"]]) {
+          if (body[from]) row[to] = body[from];
+        }
+        if (body.details) row.details = { ...(row.details || {}), ...body.details };
+        reservations.set(body.reservation_id, row);
+        return { ok: true };
+      }
+      case "getpayinfo": return reservations.get(body.reservation_id) || {};
+      case "setpreauth": {
+        const row = reservations.get(body.reservation_id);
+        if (row) row.preauth_status = body.preauth_status;
+        return { ok: true };
+      }
+      case "kvget": {
+        const b = bucket(body.collection);
+        return b.has(body.key) ? { value: b.get(body.key) } : {};
+      }
+      case "kvput": bucket(body.collection).set(body.key, body.value); return { ok: true };
+      case "kvadd": {
+        const b = bucket(body.collection);
+        if (b.has(body.key)) return { added: false };
+        b.set(body.key, body.value);
+        return { added: true };
+      }
+      case "kvlist": return { items: [...bucket(body.collection)].map(([key, value]) => ({ key, value })) };
+      case "kvdelete": bucket(body.collection).delete(body.key); return { ok: true };
+      case "sendmail": mail.push({ to: body.to, subject: body.subject, text: body.text }); return { ok: true };
+      default: return { error: `unknown action ${body.action}` };
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => { raw += c; });
+    req.on("end", () => {
+      if (req.method === "POST") {
+        let body = {};
+        try { body = JSON.parse(raw || "{}"); } catch { /* answered below as unknown action */ }
+        calls.push(body);
+        const id = String(++seq);
+        outputs.set(id, JSON.parse(JSON.stringify(run(body))));
+        res.writeHead(302, { Location: `/macros/echo?id=${id}` });
+        return res.end();
+      }
+      const id = new URL(req.url, "http://fake").searchParams.get("id");
+      if (!outputs.has(id)) {
+        res.writeHead(404);
+        return res.end();
+      }
+      const out = outputs.get(id);
+      outputs.delete(id);
+      res.writeHead(200, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify(out));
+    });
+  });
+
+  return {
+    accounts,
+    reservations,
+    kv,
+    mail,
+    calls,
+    failing,
+    async listen(){
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return `http://127.0.0.1:${server.address().port}/macros/s/fake/exec`;
+    },
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = { createFakeGas };
@@ -0,0 +1,105 @@
+// test/support/fakeSmtp.js — a stand-in SMTP relay: EHLO, AUTH PLAIN/LOGIN, MAIL/RCPT/DATA; no TLS
+const net = require("net");
+
+/**
+ * messages: [{ auth, from, to: [...], data }] (data is the raw message, dot-stuffing undone)
+ * user/pass: when set, AUTH must match before MAIL is accepted
+ */
+function createFakeSmtp({ user = "", pass = "", rejectRecipient = "" } = {}){
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    const reply = (line) => socket.write(`${line}\r\n`);
+    let buffer = "";
+    let authed = !user;
+    let authUser = "";
+    let loginStep = null;
+    let envelope = null;
+    let inData = false;
+
+    reply("220 fake-smtp ready");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end < 0) return;
+          const data = buffer.slice(0, end).replace(/^\.\./gm, ".");
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          messages.push({ ...envelope, auth: authUser, data });
+          envelope = null;
+          reply("250 queued");
+          continue;
+        }
+        const i = buffer.indexOf("\r\n");
+        if (i < 0) return;
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        handle(line);
+      }
+    });
+
+    function handle(line){
+      if (loginStep === "user") { authUser = Buffer.from(line, "base64").toString(); loginStep = "pass"; return reply("334 UGFzc3dvcmQ6"); }
+      if (loginStep === "pass") {
+        loginStep = null;
+        const ok = authUser === user && Buffer.from(line, "base64").toString() === pass;
+        authed = ok;
+        return reply(ok ? "235 ok" : "535 bad credentials");
+      }
+      const [verb, ...rest] = line.split(" ");
+      const arg = rest.join(" ");
+      switch (verb.toUpperCase()) {
+        case "EHLO":
+          reply("250-fake-smtp");
+          reply("250-AUTH PLAIN LOGIN");
+          return reply("250 8BITMIME");
+        case "AUTH": {
+          const [mech, initial] = arg.split(" ");
+          if (mech === "LOGIN") { loginStep = "user"; return reply("334 VXNlcm5hbWU6"); }
+          const [, u, p] = Buffer.from(initial || "", "base64").toString().split("\0");
+          authUser = u;
+          authed = u === user && p === pass;
+          return reply(authed ? "235 ok" : "535 bad credentials");
+        }
+        case "MAIL":
+          if (!authed) return reply("530 authentication required");
+          envelope = { from: /<(.*)>/.exec(arg)?.[1] || "", to: [] };
+          return reply("250 ok");
+        case "RCPT": {
+          const to = /<(.*)>/.exec(arg)?.[1] || "";
+          if (!envelope) return reply("503 need MAIL first");
+          if (to === rejectRecipient) return reply("550 no such user");
+          envelope.to.push(to);
+          return reply("250 ok");
+        }
+        case "DATA":
+          if (!envelope?.to.length) return reply("503 need RCPT first");
+          inData = true;
+          return reply("354 go ahead");
+        case "QUIT":
+          reply("221 bye");
+          return socket.end();
+        default:
+          return reply("502 not implemented");
+      }
+    }
+  });
+
+  function listen(){
+    return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server.address().port)));
+  }
+
+  function close(){
+    for (const s of sockets) s.destroy();
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return { messages, listen, close };
+}
+
+module.exports = { createFakeSmtp };
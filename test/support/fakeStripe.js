@@ -0,0 +1,674 @@
+// test/support/fakeStripe.js — in-repo Stripe stand-in: enough of the REST API for the real SDK to talk to
+const http = require("http");
+
+// "a[b][0][c]=v" form/query encoding -> nested objects (numeric keys become arrays)
+function parseForm(raw){
+  const out = {};
+  for (const [rawKey, value] of new URLSearchParams(raw || "")) {
+    const path = rawKey.replace(/\]/g, "").split("[");
+    let node = out;
+    path.forEach((key, i) => {
+      const last = i === path.length - 1;
+      const nextIsIndex = !last && /^\d*$/.test(path[i + 1]);
+      const k = key === "" && Array.isArray(node) ? node.length : key;
+      if (last) node[k] = value;
+      else node = node[k] = node[k] || (nextIsIndex ? [] : {});
+    });
+  }
+  return out;
+}
+
+const int = (v) => (v === undefined || v === "" ? undefined : Number(v));
+const bool = (v) => v === true || v === "true";
+
+// Test cards (same names as Stripe's test payment methods)
+const PM_BEHAVIOUR = {
+  pm_card_authenticationRequired: "authentication_required",
+  pm_card_chargeDeclined: "card_declined"
+};
+
+class FakeStripeError extends Error {
+  constructor(status, error){
+    super(error.message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+function createFakeStripe(){
+  const db = {
+    customers: new Map(),
+    payment_methods: new Map(),
+    checkout_sessions: new Map(),
+    setup_intents: new Map(),
+    payment_intents: new Map(),
+    charges: new Map(),
+    refunds: new Map(),
+    accounts: new Map(),
+    // Connect money movement for destination charges
+    application_fees: new Map(),
+    transfers: new Map(),
+    connected_payments: new Map(), // py_... on the connected account, one per transfer
+    payouts: new Map(),
+    balance_transactions: new Map(),
+    disputes: new Map()
+  };
+  const requests = [];
+  const idempotent = new Map();
+  let seq = 0;
+  const newId = (prefix) => `${prefix}_fake${String(++seq).padStart(6, "0")}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  const notFound = (what, id) => new FakeStripeError(404, {
+    type: "invalid_request_error",
+    code: "resource_missing",
+    message: `No such ${what}: '${id}'`
+  });
+  const get = (table, what, id) => {
+    const row = db[table].get(id);
+    if (!row) throw notFound(what, id);
+    return row;
+  };
+
+  /* ------------------------------ objects ------------------------------ */
+  function createCustomer(p){
+    const c = { id: newId("cus"), object: "customer", email: p.email || null, metadata: p.metadata || {}, created: now() };
+    db.customers.set(c.id, c);
+    return c;
+  }
+
+  // Test card names (pm_card_visa, ...) double as PaymentMethod ids; attachCard() mints distinct ones
+  function paymentMethodRecord(id){
+    if (!db.payment_methods.has(id)) {
+      if (!String(id).startsWith("pm_card_")) throw notFound("PaymentMethod", id);
+      const brand = /mastercard/i.test(id) ? "mastercard" : "visa";
+      db.payment_methods.set(id, {
+        id, object: "payment_method", type: "card", customer: null, test_card: id,
+        card: { brand, last4: brand === "visa" ? "4242" : "4444", exp_month: 12, exp_year: 2034 },
+        created: now()
+      });
+    }
+    return db.payment_methods.get(id);
+  }
+
+  function createCharge(pi){
+    const ch = {
+      id: newId("ch"),
+      object: "charge",
+      amount: pi.amount,
+      amount_captured: pi.status === "succeeded" ? pi.amount : 0,
+      amount_refunded: 0,
+      refunded: false,
+      captured: pi.status === "succeeded",
+      currency: pi.currency,
+      customer: pi.customer,
+      payment_intent: pi.id,
+      payment_method: pi.payment_method,
+      payment_method_details: {
+        type: "card",
+        card: { capture_before: pi.capture_method === "manual" ? now() + 7 * 86400 : null }
+      },
+      metadata: { ...pi.metadata },
+      transfer_data: pi.transfer_data,
+      application_fee_amount: pi.application_fee_amount,
+      status: "succeeded",
+      created: now()
+    };
+    db.charges.set(ch.id, ch);
+    pi.latest_charge = ch.id;
+    if (ch.captured) settle(ch);
+    return ch;
+  }
+
+  // A captured destination charge: application fee to the platform, the rest transferred to the account
+  function settle(ch){
+    const destination = ch.transfer_data?.destination;
+    if (!destination) return;
+    const feeAmount = Number(ch.application_fee_amount) || 0;
+    let feeId = null;
+    if (feeAmount > 0) {
+      const fee = { id: newId("fee"), object: "application_fee", account: destination, amount: feeAmount, amount_refunded: 0, charge: ch.id, currency: ch.currency, created: ch.created };
+      db.application_fees.set(fee.id, fee);
+      feeId = fee.id;
+    }
+    const tr = {
+      id: newId("tr"),
+      object: "transfer",
+      amount: ch.amount_captured - feeAmount,
+      amount_reversed: 0,
+      currency: ch.currency,
+      destination,
+      destination_payment: null,
+      source_transaction: ch.id,
+      created: ch.created
+    };
+    const py = { id: newId("py"), object: "charge", account: destination, amount: tr.amount, source_transfer: tr.id, paid_out: false, created: ch.created };
+    tr.destination_payment = py.id;
+    db.transfers.set(tr.id, tr);
+    db.connected_payments.set(py.id, py);
+    Object.assign(ch, { application_fee: feeId, transfer: tr.id });
+  }
+
+  function confirmPaymentIntent(pi){
+    const behaviour = PM_BEHAVIOUR[db.payment_methods.get(pi.payment_method)?.test_card || pi.payment_method];
+    if (behaviour === "authentication_required") {
+      pi.status = "requires_action";
+      pi.next_action = { type: "use_stripe_sdk" };
+      throw new FakeStripeError(402, {
+        type: "card_error",
+        code: "authentication_required",
+        message: "This payment requires authentication.",
+        payment_intent: pi
+      });
+    }
+    if (behaviour === "card_declined") {
+      pi.status = "requires_payment_method";
+      pi.last_payment_error = { code: "card_declined", decline_code: "generic_decline" };
+      throw new FakeStripeError(402, {
+        type: "card_error",
+        code: "card_declined",
+        decline_code: "generic_decline",
+        message: "Your card was declined.",
+        payment_intent: pi
+      });
+    }
+    pi.status = pi.capture_method === "manual" ? "requires_capture" : "succeeded";
+    pi.amount_received = pi.status === "succeeded" ? pi.amount : 0;
+    createCharge(pi);
+  }
+
+  function createPaymentIntent(p){
+    const pi = {
+      id: newId("pi"),
+      object: "payment_intent",
+      amount: int(p.amount),
+      amount_received: 0,
+      currency: p.currency,
+      customer: p.customer || null,
+      payment_method: p.payment_method || null,
+      capture_method: p.capture_method || "automatic",
+      setup_future_usage: p.setup_future_usage || null,
+      metadata: p.metadata || {},
+      transfer_data: p.transfer_data ? { destination: p.transfer_data.destination } : null,
+      application_fee_amount: int(p.application_fee_amount) ?? null,
+      on_behalf_of: p.on_behalf_of || null,
+      statement_descriptor_suffix: p.statement_descriptor_suffix || null,
+      status: "requires_payment_method",
+      latest_charge: null,
+      created: now()
+    };
+    if (pi.payment_method) pi.status = "requires_confirmation";
+    db.payment_intents.set(pi.id, pi);
+    if (bool(p.confirm)) confirmPaymentIntent(pi);
+    return pi;
+  }
+
+  function createCheckoutSession(p){
+    const s = {
+      id: newId("cs_test"),
+      object: "checkout.session",
+      mode: p.mode,
+      status: "open",
+      payment_status: "unpaid",
+      customer: p.customer || null,
+      customer_email: p.customer_email || null,
+      customer_details: null,
+      client_reference_id: p.client_reference_id || null,
+      success_url: p.success_url,
+      cancel_url: p.cancel_url,
+      metadata: p.metadata || {},
+      setup_intent: null,
+      payment_intent: p.payment_intent || null,
+      amount_total: (p.line_items || []).reduce((n, li) => n + int(li.price_data?.unit_amount || 0) * int(li.quantity || 1), 0) || null,
+      currency: p.line_items?.[0]?.price_data?.currency || null,
+      url: null,
+      _params: p
+    };
+    s.url = `https://checkout.stripe.test/c/pay/${s.id}`;
+    db.checkout_sessions.set(s.id, s);
+    return s;
+  }
+
+  function createRefund(p){
+    const pi = p.payment_intent ? get("payment_intents", "payment_intent", p.payment_intent) : null;
+    const ch = get("charges", "charge", p.charge || pi?.latest_charge);
+    const amount = int(p.amount) ?? ch.amount_captured - ch.amount_refunded;
+    if (amount > ch.amount_captured - ch.amount_refunded) {
+      throw new FakeStripeError(400, { type: "invalid_request_error", message: "Refund amount is greater than unrefunded amount on charge" });
+    }
+    ch.amount_refunded += amount;
+    ch.refunded = ch.amount_refunded >= ch.amount_captured;
+    // Destination charges: reverse the transfer / refund the fee in proportion
+    const share = (total) => Math.round((amount * total) / ch.amount_captured);
+    const tr = ch.transfer && db.transfers.get(ch.transfer);
+    if (tr && bool(p.reverse_transfer)) tr.amount_reversed = Math.min(tr.amount, tr.amount_reversed + share(tr.amount));
+    const fee = ch.application_fee && db.application_fees.get(ch.application_fee);
+    if (fee && bool(p.refund_application_fee)) fee.amount_refunded = Math.min(fee.amount, fee.amount_refunded + share(fee.amount));
+    const r = {
+      id: newId("re"),
+      object: "refund",
+      amount,
+      charge: ch.id,
+      payment_intent: ch.payment_intent,
+      currency: ch.currency,
+      reason: p.reason || null,
+      metadata: p.metadata || {},
+      reverse_transfer: p.reverse_transfer,
+      refund_application_fee: p.refund_application_fee,
+      status: "succeeded",
+      created: now()
+    };
+    db.refunds.set(r.id, r);
+    return r;
+  }
+
+  function createAccount(p){
+    const a = {
+      id: newId("acct"),
+      object: "account",
+      type: p.type || "express",
+      country: p.country || "US",
+      business_type: p.business_type || null,
+      metadata: p.metadata || {},
+      charges_enabled: false,
+      payouts_enabled: false,
+      details_submitted: false,
+      capabilities: { card_payments: "inactive", transfers: "inactive" },
+      requirements: { currently_due: ["external_account"], past_due: [], eventually_due: [], pending_verification: [], disabled_reason: "requirements.past_due", current_deadline: null },
+      created: now()
+    };
+    db.accounts.set(a.id, a);
+    return a;
+  }
+
+  // expand=["latest_charge", "latest_charge.application_fee", ...] -> swap ids for objects
+  const EXPANDABLE = {
+    latest_charge: "charges",
+    setup_intent: "setup_intents",
+    payment_intent: "payment_intents",
+    customer: "customers",
+    charge: "charges",
+    application_fee: "application_fees",
+    source: "connected_payments"
+  };
+  function expand(obj, fields){
+    const out = { ...obj };
+    delete out._params;
+    delete out.test_card;
+    for (const f of [].concat(fields || [])) {
+      const [key, ...rest] = String(f).replace(/^data\./, "").split(".");
+      const table = EXPANDABLE[key];
+      if (table && typeof out[key] === "string") out[key] = db[table].get(out[key]) || out[key];
+      if (rest.length && out[key] && typeof out[key] === "object") out[key] = expand(out[key], [rest.join(".")]);
+    }
+    return out;
+  }
+  const clean = (obj) => expand(obj, []);
+
+  // metadata['reservation_id']:'x' AND status:'succeeded' AND created>=1700000000
+  const COMPARE = { ">=": (a, b) => a >= b, ">": (a, b) => a > b, "<=": (a, b) => a <= b, "<": (a, b) => a < b };
+  function searchPaymentIntents(query){
+    const clauses = String(query || "").split(/\s+AND\s+/i).map(c => {
+      const m = /^(?:metadata\['([^']+)'\]|(\w+)):'((?:[^'\\]|\\.)*)'$/.exec(c.trim());
+      if (m) return { meta: m[1], field: m[2], value: m[3].replace(/\\'/g, "'") };
+      const n = /^(\w+)(>=|<=|>|<)(\d+)$/.exec(c.trim());
+      return n ? { field: n[1], op: n[2], value: Number(n[3]) } : null;
+    }).filter(Boolean);
+    const matches = (pi, c) => {
+      if (c.op) return COMPARE[c.op](Number(pi[c.field]), c.value);
+      return c.meta ? pi.metadata?.[c.meta] === c.value : String(pi[c.field]) === c.value;
+    };
+    return [...db.payment_intents.values()]
+      .filter(pi => clauses.every(c => matches(pi, c)))
+      .sort((a, b) => b.created - a.created);
+  }
+
+  const list = (rows, url) => ({ object: "list", url, has_more: false, data: rows });
+
+  // created[gte|gt|lte|lt] filter, newest first, data.* expands (everything fits in one page)
+  function listRange(table, p, url, where = () => true){
+    const c = p.created || {};
+    const rows = [...db[table].values()]
+      .filter(r => (c.gte === undefined || r.created >= int(c.gte)) && (c.gt === undefined || r.created > int(c.gt)))
+      .filter(r => (c.lte === undefined || r.created <= int(c.lte)) && (c.lt === undefined || r.created < int(c.lt)))
+      .filter(where)
+      .sort((a, b) => b.created - a.created)
+      .map(r => expand(r, p.expand));
+    return list(rows, url);
+  }
+
+  /* ------------------------------ routes ------------------------------ */
+  const routes = [
+    ["POST", /^\/v1\/customers$/, (p) => createCustomer(p)],
+    ["GET", /^\/v1\/customers$/, (p) => {
+      const rows = [...db.customers.values()].filter(c => !p.email || c.email === p.email);
+      return list(rows.slice(0, int(p.limit) || 10), "/v1/customers");
+    }],
+    ["GET", /^\/v1\/customers\/([^/]+)$/, (p, [id]) => get("customers", "customer", id)],
+    ["POST", /^\/v1\/customers\/([^/]+)$/, (p, [id]) => {
+      const c = get("customers", "customer", id);
+      if (p.invoice_settings) {
+        const pm = p.invoice_settings.default_payment_method;
+        if (pm && paymentMethodRecord(pm).customer !== id) {
+          throw new FakeStripeError(400, { type: "invalid_request_error", message: `No such PaymentMethod: '${pm}' on customer ${id}` });
+        }
+        c.invoice_settings = { ...(c.invoice_settings || {}), default_payment_method: pm || null };
+      }
+      if (p.metadata) c.metadata = { ...c.metadata, ...p.metadata };
+      if (p.email) c.email = p.email;
+      return c;
+    }],
+    ["GET", /^\/v1\/customers\/([^/]+)\/payment_methods$/, (p, [id]) => {
+      get("customers", "customer", id);
+      const rows = [...db.payment_methods.values()].filter(pm => pm.customer === id && (!p.type || pm.type === p.type));
+      return list(rows.map(clean), `/v1/customers/${id}/payment_methods`);
+    }],
+
+    ["GET", /^\/v1\/payment_methods\/([^/]+)$/, (p, [id]) => clean(paymentMethodRecord(id))],
+    ["POST", /^\/v1\/payment_methods\/([^/]+)\/attach$/, (p, [id]) => {
+      get("customers", "customer", p.customer);
+      return clean(Object.assign(paymentMethodRecord(id), { customer: p.customer }));
+    }],
+    ["POST", /^\/v1\/payment_methods\/([^/]+)\/detach$/, (p, [id]) => {
+      const pm = paymentMethodRecord(id);
+      if (!pm.customer) throw new FakeStripeError(400, { type: "invalid_request_error", message: "The payment method you provided is not attached to a customer" });
+      const c = db.customers.get(pm.customer);
+      if (c?.invoice_settings?.default_payment_method === id) c.invoice_settings.default_payment_method = null;
+      pm.customer = null;
+      return clean(pm);
+    }],
+    ["POST", /^\/v1\/billing_portal\/sessions$/, (p) => {
+      get("customers", "customer", p.customer);
+      const id = newId("bps");
+      return { id, object: "billing_portal.session", customer: p.customer, return_url: p.return_url || null, url: `https://billing.stripe.test/session/${id}`, created: now() };
+    }],
+
+    ["POST", /^\/v1\/checkout\/sessions$/, (p) => clean(createCheckoutSession(p))],
+    ["GET", /^\/v1\/checkout\/sessions\/([^/]+)$/, (p, [id]) => expand(get("checkout_sessions", "checkout session", id), p.expand)],
+
+    ["GET", /^\/v1\/setup_intents\/([^/]+)$/, (p, [id]) => expand(get("setup_intents", "setup_intent", id), p.expand)],
+
+    ["POST", /^\/v1\/payment_intents$/, (p) => expand(createPaymentIntent(p), p.expand)],
+    ["GET", /^\/v1\/payment_intents\/search$/, (p) => ({
+      object: "search_result", url: "/v1/payment_intents/search", has_more: false, next_page: null,
+      data: searchPaymentIntents(p.query).slice(0, int(p.limit) || 10).map(pi => expand(pi, p.expand))
+    })],
+    ["GET", /^\/v1\/payment_intents\/([^/]+)$/, (p, [id]) => expand(get("payment_intents", "payment_intent", id), p.expand)],
+    ["POST", /^\/v1\/payment_intents\/([^/]+)\/capture$/, (p, [id]) => {
+      const pi = get("payment_intents", "payment_intent", id);
+      if (pi.status !== "requires_capture") {
+        throw new FakeStripeError(400, { type: "invalid_request_error", code: "payment_intent_unexpected_state", message: `PaymentIntent status is ${pi.status}` });
+      }
+      const amount = int(p.amount_to_capture) ?? pi.amount;
+      pi.status = "succeeded";
+      pi.amount_received = amount;
+      if (p.application_fee_amount !== undefined) pi.application_fee_amount = int(p.application_fee_amount);
+      if (p.metadata) pi.metadata = { ...pi.metadata, ...p.metadata };
+      const ch = db.charges.get(pi.latest_charge);
+      if (ch) {
+        Object.assign(ch, { captured: true, amount_captured: amount, application_fee_amount: pi.application_fee_amount });
+        settle(ch);
+      }
+      return pi;
+    }],
+    ["POST", /^\/v1\/payment_intents\/([^/]+)\/cancel$/, (p, [id]) => {
+      const pi = get("payment_intents", "payment_intent", id);
+      if (pi.status === "succeeded" || pi.status === "canceled") {
+        throw new FakeStripeError(400, { type: "invalid_request_error", code: "payment_intent_unexpected_state", message: `PaymentIntent status is ${pi.status}` });
+      }
+      pi.status = "canceled";
+      pi.cancellation_reason = p.cancellation_reason || null;
+      return pi;
+    }],
+    ["POST", /^\/v1\/payment_intents\/([^/]+)$/, (p, [id]) => {
+      const pi = get("payment_intents", "payment_intent", id);
+      if (p.metadata) pi.metadata = { ...pi.metadata, ...p.metadata };
+      return pi;
+    }],
+
+    ["POST", /^\/v1\/refunds$/, (p) => createRefund(p)],
+    ["GET", /^\/v1\/refunds$/, (p) => listRange("refunds", p, "/v1/refunds", r => !p.charge || r.charge === p.charge)],
+    ["GET", /^\/v1\/charges$/, (p) => listRange("charges", p, "/v1/charges")],
+    ["GET", /^\/v1\/application_fees$/, (p) => listRange("application_fees", p, "/v1/application_fees")],
+    ["POST", /^\/v1\/transfers$/, (p) => {
+      const ch = p.source_transaction ? get("charges", "charge", p.source_transaction) : null;
+      const tr = {
+        id: newId("tr"), object: "transfer", amount: int(p.amount), amount_reversed: 0, currency: p.currency,
+        destination: p.destination, destination_payment: null, source_transaction: ch?.id || null, metadata: p.metadata || {}, created: now()
+      };
+      const py = { id: newId("py"), object: "charge", account: p.destination, amount: tr.amount, source_transfer: tr.id, paid_out: false, created: tr.created };
+      tr.destination_payment = py.id;
+      db.transfers.set(tr.id, tr);
+      db.connected_payments.set(py.id, py);
+      return tr;
+    }],
+    ["GET", /^\/v1\/transfers$/, (p) => listRange("transfers", p, "/v1/transfers", t => !p.destination || t.destination === p.destination)],
+    ["GET", /^\/v1\/transfers\/([^/]+)$/, (p, [id]) => get("transfers", "transfer", id)],
+    ["GET", /^\/v1\/charges\/([^/]+)$/, (p, [id]) => expand(get("charges", "charge", id), p.expand)],
+    ["GET", /^\/v1\/disputes\/([^/]+)$/, (p, [id]) => expand(get("disputes", "dispute", id), p.expand)],
+    ["POST", /^\/v1\/disputes\/([^/]+)$/, (p, [id]) => {
+      const d = get("disputes", "dispute", id);
+      if (!["needs_response", "warning_needs_response"].includes(d.status)) {
+        throw new FakeStripeError(400, { type: "invalid_request_error", message: `This dispute is already ${d.status}` });
+      }
+      if (p.evidence) d.evidence = { ...d.evidence, ...p.evidence };
+      if (p.metadata) d.metadata = { ...d.metadata, ...p.metadata };
+      d.evidence_details.has_evidence = Object.values(d.evidence).some(Boolean);
+      if (p.submit !== "false") {
+        d.status = d.status === "warning_needs_response" ? "warning_under_review" : "under_review";
+        d.evidence_details.submission_count += 1;
+      }
+      return d;
+    }],
+    // Connected-account resources (Stripe-Account header)
+    ["GET", /^\/v1\/payouts$/, (p, m, ctx) => listRange("payouts", p, "/v1/payouts", po => po.account === ctx.stripeAccount)],
+    ["GET", /^\/v1\/balance_transactions$/, (p, m, ctx) => listRange("balance_transactions", p, "/v1/balance_transactions",
+      t => t.account === ctx.stripeAccount && (!p.payout || t.payout === p.payout) && (!p.type || t.type === p.type))],
+
+    ["GET", /^\/v1\/balance$/, () => ({ object: "balance", available: [], pending: [], livemode: false })],
+    ["POST", /^\/v1\/accounts$/, (p) => createAccount(p)],
+    ["GET", /^\/v1\/accounts\/([^/]+)$/, (p, [id]) => get("accounts", "account", id)],
+    ["POST", /^\/v1\/account_links$/, (p) => ({ object: "account_link", url: `https://connect.stripe.test/setup/${p.account}`, created: now(), expires_at: now() + 300 })],
+    ["POST", /^\/v1\/accounts\/([^/]+)\/login_links$/, (p, [id]) => {
+      get("accounts", "account", id);
+      return { object: "login_link", url: `https://connect.stripe.test/express/${id}`, created: now() };
+    }]
+  ];
+
+  function handle(req, res, raw){
+    const url = new URL(req.url, "http://fake");
+    const params = req.method === "GET" || req.method === "DELETE" ? parseForm(url.search.slice(1)) : parseForm(raw);
+    const idemKey = req.headers["idempotency-key"] || "";
+    const cacheKey = idemKey && `${req.method} ${url.pathname} ${idemKey}`;
+    requests.push({ method: req.method, path: url.pathname, params, idempotencyKey: idemKey, stripeAccount: req.headers["stripe-account"] || "" });
+
+    const send = (status, body) => {
+      // Like Stripe, echo the idempotency key back
+      res.writeHead(status, { "Content-Type": "application/json", "Request-Id": `req_fake${seq}`, ...(idemKey ? { "Idempotency-Key": idemKey } : {}) });
+      res.end(JSON.stringify(body));
+    };
+    if (cacheKey && idempotent.has(cacheKey)) {
+      const [status, body] = idempotent.get(cacheKey);
+      return send(status, body);
+    }
+
+    let status = 200;
+    let body;
+    const route = routes.find(([m, re]) => m === req.method && re.test(url.pathname));
+    try {
+      if (!route) throw new FakeStripeError(404, { type: "invalid_request_error", message: `Unrecognized request URL (${req.method}: ${url.pathname})` });
+      const match = route[1].exec(url.pathname).slice(1);
+      body = JSON.parse(JSON.stringify(route[2](params, match, { stripeAccount: req.headers["stripe-account"] || "" })));
+    } catch (e) {
+      if (!(e instanceof FakeStripeError)) throw e;
+      status = e.status;
+      body = { error: JSON.parse(JSON.stringify(e.error)) };
+    }
+    if (cacheKey) idempotent.set(cacheKey, [status, body]);
+    return send(status, body);
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => { raw += c; });
+    req.on("end", () => {
+      try { handle(req, res, raw); }
+      catch (e) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: { type: "api_error", message: e.message } }));
+      }
+    });
+  });
+
+  /* --------------------------- test controls --------------------------- */
+  return {
+    db,
+    requests,
+
+    async listen(){
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      return server.address().port;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+
+    /** Simulate the boater finishing Checkout with a test card. */
+    completeCheckoutSession(sessionId, { paymentMethod = "pm_card_visa", email = "" } = {}){
+      const s = get("checkout_sessions", "checkout session", sessionId);
+      const customer = s.customer ? db.customers.get(s.customer) : null;
+      s.customer_details = { email: email || customer?.email || s.customer_email || null };
+      s.status = "complete";
+      if (s.mode === "setup") {
+        const si = {
+          id: newId("seti"),
+          object: "setup_intent",
+          customer: s.customer,
+          payment_method: paymentMethod,
+          status: "succeeded",
+          usage: "off_session",
+          metadata: s._params.setup_intent_data?.metadata || {},
+          created: now()
+        };
+        db.setup_intents.set(si.id, si);
+        if (s.customer) paymentMethodRecord(paymentMethod).customer = s.customer;
+        s.setup_intent = si.id;
+        s.payment_status = "no_payment_required";
+      } else if (s.mode === "payment" && !s.payment_intent) {
+        const pd = s._params.payment_intent_data || {};
+        const pi = createPaymentIntent({
+          ...pd,
+          amount: s.amount_total,
+          currency: s.currency,
+          customer: s.customer,
+          payment_method: paymentMethod,
+          confirm: "true"
+        });
+        if (s.customer && pd.setup_future_usage) paymentMethodRecord(paymentMethod).customer = s.customer;
+        s.payment_intent = pi.id;
+        s.payment_status = pi.status === "succeeded" ? "paid" : "unpaid";
+      }
+      return clean(s);
+    },
+
+    /** A card the boater saved earlier (e.g. from another booking), attached to their Customer. */
+    attachCard(customerId, { brand = "visa", last4 = "4242", testCard = "pm_card_visa" } = {}){
+      get("customers", "customer", customerId);
+      const pm = {
+        id: newId("pm"), object: "payment_method", type: "card", customer: customerId, test_card: testCard,
+        card: { brand, last4, exp_month: 12, exp_year: 2034 },
+        created: now()
+      };
+      db.payment_methods.set(pm.id, pm);
+      return clean(pm);
+    },
+
+    /** Make a connected account fully onboarded (or apply any overrides). */
+    updateAccount(id, fields = {}){
+      const a = get("accounts", "account", id);
+      Object.assign(a, {
+        charges_enabled: true,
+        payouts_enabled: true,
+        details_submitted: true,
+        capabilities: { card_payments: "active", transfers: "active" },
+        requirements: { currently_due: [], past_due: [], eventually_due: [], pending_verification: [], disabled_reason: null, current_deadline: null }
+      }, fields);
+      return a;
+    },
+
+    createAccount: (p = {}) => createAccount(p),
+
+    /** Pay out everything transferred to the account and not paid out yet. */
+    payout(accountId, { status = "paid", arrivalDays = 2 } = {}){
+      const payments = [...db.connected_payments.values()].filter(py => py.account === accountId && !py.paid_out);
+      const amountOf = (py) => {
+        const tr = db.transfers.get(py.source_transfer);
+        return tr.amount - tr.amount_reversed;
+      };
+      const po = {
+        id: newId("po"),
+        object: "payout",
+        account: accountId,
+        amount: payments.reduce((n, py) => n + amountOf(py), 0),
+        currency: db.transfers.get(payments[0]?.source_transfer)?.currency || "usd",
+        status,
+        arrival_date: now() + arrivalDays * 86400,
+        created: now()
+      };
+      db.payouts.set(po.id, po);
+      for (const py of payments) {
+        py.paid_out = true;
+        const txn = { id: newId("txn"), object: "balance_transaction", account: accountId, type: "payment", source: py.id, payout: po.id, amount: amountOf(py), created: now() };
+        db.balance_transactions.set(txn.id, txn);
+      }
+      return po;
+    },
+
+    /** Boater's bank disputes the PaymentIntent's charge; returns the dispute (send it as charge.dispute.created). */
+    dispute(paymentIntentId, { reason = "fraudulent", status = "needs_response", dueInDays = 7 } = {}){
+      const pi = get("payment_intents", "payment_intent", paymentIntentId);
+      const ch = get("charges", "charge", pi.latest_charge);
+      const d = {
+        id: newId("dp"),
+        object: "dispute",
+        amount: ch.amount_captured - ch.amount_refunded,
+        currency: ch.currency,
+        charge: ch.id,
+        payment_intent: pi.id,
+        reason,
+        status,
+        evidence: {},
+        evidence_details: { due_by: now() + dueInDays * 86400, has_evidence: false, past_due: dueInDays < 0, submission_count: 0 },
+        metadata: {},
+        created: now()
+      };
+      db.disputes.set(d.id, d);
+      ch.disputed = true;
+      return d;
+    },
+
+    /** Issuer decision: "won" | "lost" | "warning_closed". */
+    closeDispute(id, status){
+      const d = get("disputes", "dispute", id);
+      d.status = status;
+      return d;
+    },
+
+    /** Create a PaymentIntent directly (e.g. a manual-capture hold) bypassing the app. */
+    createPaymentIntent: (p) => createPaymentIntent(p),
+
+    /** Wrap an object the way Stripe's webhook payloads do. */
+    event(type, object, extra = {}){
+      return {
+        id: newId("evt"),
+        object: "event",
+        api_version: "2024-06-20",
+        created: now(),
+        type,
+        data: { object: JSON.parse(JSON.stringify(clean(object))) },
+        livemode: false,
+        ...extra
+      };
+    }
+  };
+}
+
+module.exports = { createFakeStripe, parseForm };
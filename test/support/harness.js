@@ -0,0 +1,153 @@
+// test/support/harness.js — boots app.js against the fake Stripe (and optionally the fake GAS) on random ports
+const Stripe = require("stripe");
+const { loadConfig } = require("../../lib/config");
+const { createStore } = require("../../lib/store");
+const { signToken } = require("../../lib/auth");
+const { createApp } = require("../../app");
+const { createMetrics } = require("../../lib/metrics");
+const { createFakeStripe } = require("./fakeStripe");
+const { createFakeGas } = require("./fakeGas");
+
+// Keeps what the app sends in outbox instead of delivering it
+function createMemoryMailer(){
+  const outbox = [];
+  return {
+    kind: "memory",
+    outbox,
+    async send({ to, subject, text, html }){
+      if (!to) throw new Error("mail recipient missing");
+      outbox.push({ to, subject: subject || "", text: text || "", html, sent_at: new Date().toISOString() });
+      return true;
+    }
+  };
+}
+
+const WEBHOOK_SECRET = "whsec_test_platform";
+const AUTH_SECRET = "test-auth-secret";
+const ADMIN_KEY = "test-admin-key";
+
+/**
+ * opts.env:   extra env vars for loadConfig
+ * opts.store: "memory" (default) | "gas"
+ * opts.wrapStore(store): swap in a decorated store (e.g. to inject failures)
+ * opts.mailer: a lib/mailer.js instance (default: keeps messages in h.mailer.outbox)
+ */
+async function startHarness({ env = {}, store: driver = "memory", wrapStore, mailer = createMemoryMailer() } = {}){
+  const fakeStripe = createFakeStripe();
+  const stripePort = await fakeStripe.listen();
+  const stripe = new Stripe("sk_test_fake", {
+    apiVersion: "2024-06-20",
+    host: "127.0.0.1",
+    port: stripePort,
+    protocol: "http",
+    maxNetworkRetries: 0,
+    telemetry: false
+  });
+
+  const metrics = createMetrics();
+  let fakeGas = null;
+  let store;
+  if (driver === "gas") {
+    fakeGas = createFakeGas({ token: "gas-token" });
+    store = createStore({ driver: "gas", gasUrl: await fakeGas.listen(), gasToken: "gas-token", onCall: metrics.observeGasCall });
+  } else {
+    store = createStore({ driver: "memory" });
+  }
+  if (wrapStore) store = wrapStore(store);
+
+  const config = loadConfig({
+    STRIPE_SECRET_KEY: "sk_test_fake",
+    STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    AUTH_TOKEN_SECRET: AUTH_SECRET,
+    ADMIN_API_KEY: ADMIN_KEY,
+    CONFIRM_URL: "https://confirm.example.test",
+    PROFILE_URL_BASE: "https://profiles.example.test",
+    // Warnings and errors still show (tests silence them where they're expected); request lines don't
+    LOG_LEVEL: "warn",
+    // Suites book dozens of reservations from 127.0.0.1; test/abuse.test.js sets real limits
+    RATE_LIMIT_PER_IP: "1000",
+    RATE_LIMIT_PER_EMAIL: "1000",
+    RATE_LIMIT_LOOKUPS_PER_IP: "1000",
+    ...env
+  });
+  const app = createApp({ config, stripe, store, metrics, mailer });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { body, token, headers = {} } = {}){
+    const r = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body)
+    });
+    const text = await r.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* plain-text response */ }
+    return { status: r.status, body: json, text, headers: r.headers };
+  }
+
+  const locationToken = (...locations) => signToken({ sub: "dash", scope: "location", locations }, AUTH_SECRET);
+
+  // Signed delivery, exactly as Stripe would POST it
+  async function deliver(event, { secret = WEBHOOK_SECRET } = {}){
+    const payload = JSON.stringify(event);
+    const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+    const r = await request("POST", "/stripe-webhook", { body: payload, headers: { "Stripe-Signature": signature } });
+    // The route answers before the handler runs; wait for it so tests see its effects
+    await app.locals.webhookLog.drain();
+    return r;
+  }
+
+  // A location with a fully onboarded Express account
+  async function readyLocation(location){
+    const acct = fakeStripe.createAccount({ metadata: { location } });
+    fakeStripe.updateAccount(acct.id);
+    await store.saveAccountIdForLocation(location, acct.id);
+    return acct.id;
+  }
+
+  // Walk a reservation through setup Checkout with the given test card
+  async function reservationWithCard(reservationId, { location = "Harbor", paymentMethod = "pm_card_visa", details = {} } = {}){
+    const created = await request("POST", "/create-checkout-session", {
+      body: { reservation_id: reservationId, location, email: `${reservationId}@example.test`, hours: "3", arrivalDate: "2030-07-01", arrivalTime: "10:00", ...details }
+    });
+    if (created.status !== 200) throw new Error(`create-checkout-session ${created.status}: ${created.text}`);
+    const sessionId = new URL(created.body.url).pathname.split("/").pop();
+    fakeStripe.completeCheckoutSession(sessionId, { paymentMethod });
+    const confirmed = await request("GET", `/checkout-session?session_id=${sessionId}`);
+    return { sessionId, created: created.body, confirmed: confirmed.body };
+  }
+
+  async function close(){
+    await new Promise((resolve) => server.close(resolve));
+    await fakeStripe.close();
+    if (fakeGas) await fakeGas.close();
+  }
+
+  return {
+    app,
+    base,
+    metrics,
+    stripe,
+    store,
+    fakeStripe,
+    fakeGas,
+    mailer: app.locals.mailer,
+    request,
+    deliver,
+    readyLocation,
+    reservationWithCard,
+    locationToken,
+    adminToken: ADMIN_KEY,
+    webhookSecret: WEBHOOK_SECRET,
+    close
+  };
+}
+
+module.exports = { startHarness };
@@ -0,0 +1,163 @@
+// /stripe-webhook: signature checks, event handlers, dedupe, failure log and replay
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./support/harness");
+
+// Lets a test make the next N setPreauthStatus calls throw, or hold them until a promise settles
+let failPreauth = 0;
+let preauthGate = null;
+const flakyStore = (store) => ({
+  ...store,
+  async setPreauthStatus(...args){
+    if (preauthGate) await preauthGate;
+    if (failPreauth > 0) {
+      failPreauth -= 1;
+      throw new Error("sheet unavailable");
+    }
+    return store.setPreauthStatus(...args);
+  }
+});
+
+let h;
+test.before(async () => {
+  h = await startHarness({ env: { STRIPE_CONNECT_WEBHOOK_SECRET: "whsec_test_connect" }, wrapStore: flakyStore });
+  await h.readyLocation("Harbor");
+});
+test.after(async () => { await h.close(); });
+
+const quiet = async (fn) => {
+  const [error, warn] = [console.error, console.warn];
+  console.error = console.warn = () => {};
+  try { return await fn(); } finally { [console.error, console.warn] = [error, warn]; }
+};
+
+// An open setup session the boater has just finished
+async function completedSetupSession(reservationId){
+  const created = await h.request("POST", "/create-checkout-session", {
+    body: { reservation_id: reservationId, location: "Harbor", email: `${reservationId}@example.test`, hours: "2" }
+  });
+  const sessionId = new URL(created.body.url).pathname.split("/").pop();
+  return h.fakeStripe.completeCheckoutSession(sessionId);
+}
+
+test("rejects bad signatures", async () => {
+  const event = h.fakeStripe.event("payment_intent.succeeded", { id: "pi_x", object: "payment_intent", metadata: {} });
+  const r = await quiet(() => h.deliver(event, { secret: "whsec_wrong" }));
+  assert.equal(r.status, 400);
+  assert.match(r.text, /Webhook Error/);
+});
+
+test("checkout.session.completed saves the card; redelivery is a duplicate", async () => {
+  const session = await completedSetupSession("res_hook");
+  const event = h.fakeStripe.event("checkout.session.completed", session);
+
+  const first = await h.deliver(event);
+  assert.equal(first.status, 200);
+  assert.equal(first.text, "ok");
+  const info = await h.store.getPaymentInfo("res_hook");
+  assert.equal(info.payment_method_id, "pm_card_visa");
+  assert.equal(info.preauth_status, "card_on_file");
+
+  const again = await h.deliver(event);
+  assert.equal(again.text, "duplicate");
+});
+
+test("answers before the handler runs, and runs it once for deliveries that arrive together", async () => {
+  const session = await completedSetupSession("res_hook_race");
+  const event = h.fakeStripe.event("checkout.session.completed", session);
+  const payload = JSON.stringify(event);
+  const headers = { "Stripe-Signature": h.stripe.webhooks.generateTestHeaderString({ payload, secret: "whsec_test_platform" }) };
+
+  let release;
+  preauthGate = new Promise(resolve => { release = resolve; });
+  try {
+    const [a, b] = await Promise.all([
+      h.request("POST", "/stripe-webhook", { body: payload, headers }),
+      h.request("POST", "/stripe-webhook", { body: payload, headers })
+    ]);
+    assert.deepEqual([a.text, b.text].sort(), ["duplicate", "ok"]);
+    // Both were answered while the handler is still waiting on the store
+    assert.notEqual((await h.store.get("webhook_events", event.id)).status, "processed");
+  } finally {
+    preauthGate = null;
+    release();
+  }
+  await h.app.locals.webhookLog.drain();
+  const record = await h.store.get("webhook_events", event.id);
+  assert.equal(record.status, "processed");
+  assert.equal(record.attempts, 1);
+  assert.equal((await h.store.getPaymentInfo("res_hook_race")).preauth_status, "card_on_file");
+});
+
+test("accepts events signed with the Connect endpoint secret", async () => {
+  const acct = h.fakeStripe.createAccount({ metadata: { location: "Marina" } });
+  h.fakeStripe.updateAccount(acct.id);
+  const r = await h.deliver(h.fakeStripe.event("account.updated", h.fakeStripe.db.accounts.get(acct.id), { account: acct.id }), { secret: "whsec_test_connect" });
+  assert.equal(r.status, 200);
+  const status = await h.store.get("connect_accounts", acct.id);
+  assert.equal(status.location, "Marina");
+  assert.equal(status.charges_enabled, true);
+});
+
+test("payment_intent events update the reservation", async () => {
+  await h.store.saveSetup({ reservationId: "res_pi", location: "Harbor" });
+  const pi = { id: "pi_hook_ok", object: "payment_intent", amount: 4200, currency: "usd", metadata: { reservation_id: "res_pi", charge_kind: "approve" } };
+  await h.deliver(h.fakeStripe.event("payment_intent.succeeded", pi));
+  assert.equal((await h.store.getPaymentInfo("res_pi")).preauth_status, "paid");
+  const ledger = await h.store.get("reservation_charges", "res_pi");
+  assert.equal(ledger.charges[0].kind, "balance");
+  assert.equal(ledger.charges[0].status, "succeeded");
+
+  await h.deliver(h.fakeStripe.event("payment_intent.payment_failed", { ...pi, id: "pi_hook_fail", metadata: { reservation_id: "res_pi", charge_kind: "no_show_fee" } }));
+  assert.equal((await h.store.getPaymentInfo("res_pi")).preauth_status, "no_show_fee_failed");
+});
+
+test("charge.refunded finds the reservation through the PaymentIntent", async () => {
+  await h.store.saveSetup({ reservationId: "res_refunded", location: "Harbor" });
+  const pi = h.fakeStripe.createPaymentIntent({
+    amount: "3000", currency: "usd", payment_method: "pm_card_visa", confirm: "true", metadata: { reservation_id: "res_refunded" }
+  });
+  const charge = { ...h.fakeStripe.db.charges.get(pi.latest_charge), metadata: {}, amount_refunded: 1000 };
+  await h.deliver(h.fakeStripe.event("charge.refunded", charge));
+  assert.equal((await h.store.getPaymentInfo("res_refunded")).preauth_status, "partially_refunded");
+});
+
+test("failed events are logged for retry and can be replayed", async () => {
+  await h.store.saveSetup({ reservationId: "res_flaky", location: "Harbor" });
+  const pi = { id: "pi_flaky", object: "payment_intent", amount: 1000, currency: "usd", metadata: { reservation_id: "res_flaky" } };
+  const event = h.fakeStripe.event("payment_intent.succeeded", pi);
+
+  failPreauth = 1;
+  const r = await quiet(() => h.deliver(event));
+  assert.equal(r.status, 200);
+
+  const failed = await h.request("GET", "/admin/webhook-events?status=failed", { token: h.adminToken });
+  const record = failed.body.events.find(e => e.id === event.id);
+  assert.equal(record.attempts, 1);
+  assert.equal(record.last_error, "sheet unavailable");
+  assert.ok(record.next_attempt_at);
+
+  assert.equal((await h.request("POST", "/admin/webhook-events/evt_missing/replay", { token: h.adminToken })).status, 404);
+  const replay = await h.request("POST", `/admin/webhook-events/${event.id}/replay`, { token: h.adminToken });
+  assert.equal(replay.status, 200);
+  assert.equal(replay.body.status, "processed");
+  assert.equal(replay.body.attempts, 1); // a manual replay starts a fresh attempt budget
+  assert.equal((await h.store.getPaymentInfo("res_flaky")).preauth_status, "paid");
+});
+
+test("the retry worker picks up due failures", async () => {
+  const event = h.fakeStripe.event("payment_intent.succeeded", { id: "pi_retry", object: "payment_intent", amount: 1000, currency: "usd", metadata: { reservation_id: "res_retry" } });
+  failPreauth = 1;
+  await quiet(() => h.deliver(event));
+
+  const log = h.app.locals.webhookLog;
+  const record = await h.store.get("webhook_events", event.id);
+  await h.store.put("webhook_events", event.id, { ...record, next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+  await log.retryDue();
+  assert.equal((await h.store.get("webhook_events", event.id)).status, "processed");
+});
+
+test("webhook admin routes need admin scope", async () => {
+  assert.equal((await h.request("GET", "/admin/webhook-events")).status, 401);
+  assert.equal((await h.request("GET", "/admin/webhook-events", { token: h.locationToken("Harbor") })).status, 403);
+});